@@ -8,7 +8,49 @@ const API_CONFIG = {
     DEFAULT_BASE_URL: 'https://api.linkapi.org',
     MODELS_ENDPOINT: '/v1beta/models',
     GEMINI_GENERATE_SUFFIX: ':generateContent',
+    GEMINI_STREAM_SUFFIX: ':streamGenerateContent?alt=sse',
+    // 各协议默认的接口路径、鉴权方式和支持的功能，模型适配规则中未填写的项取这里的值
+    // path：Gemini 中 {model} 替换为模型名；OpenAI Images 按是否有参考图追加 /generations 或 /edits
+    // features：imageSize 传分辨率参数，history 携带多轮上下文，multiImage 支持多张参考图
+    // sizes：OpenAI Images 中分辨率选项到 size 参数的映射，不在映射中的分辨率不可选；
+    // gpt-image-1 只接受 1024x1024 / 1536x1024 / 1024x1536，默认只开放 1K，其他尺寸在模型适配规则的 sizes 中指定
+    PROTOCOL_DEFAULTS: {
+        gemini: { path: '/v1beta/models/{model}', auth: 'x-goog-api-key', features: { imageSize: false, history: true, multiImage: true } },
+        'openai-chat': { path: '/v1/chat/completions', auth: 'bearer', features: { imageSize: false, history: false, multiImage: true } },
+        'openai-images': { path: '/v1/images', auth: 'bearer', features: { imageSize: true, history: false, multiImage: true }, sizes: { '1K': '1024x1024' } }
+    },
+    // 内置模型适配规则，按顺序取第一条匹配的规则，页面中添加的自定义规则优先；match 中的 * 匹配任意字符，不区分大小写
+    MODEL_ADAPTERS: [
+        { match: 'nano-banana*', protocol: 'openai-chat' },
+        { match: 'gpt-image*', protocol: 'openai-images' },
+        { match: 'dall-e*', protocol: 'openai-images' },
+        { match: '*gemini*', protocol: 'gemini', features: { imageSize: true } },
+        { match: '*', protocol: 'gemini' }
+    ],
+    STREAM: true, // 默认走流式接口，边生成边展示
+    PROXY_ENDPOINT: '/api/proxy',
+    KEYS_ENDPOINT: '/api/keys',
+    CLIENT_CONFIG_ENDPOINT: '/api/client-config',
+    JOBS_ENDPOINT: '/api/jobs',
+    JOB_POLL_INTERVAL: 1000, // 轮询任务状态的间隔
+    PROXY_STATUS_ENDPOINT: '/api/proxy/status',
+    PROXY_CHECK_ENDPOINT: '/api/proxy/check',
+    QUEUE_STATUS_INTERVAL: 1500, // 刷新代理排队情况的间隔
+    USAGE_SUMMARY_ENDPOINT: '/api/usage/summary',
+    USAGE_SETTINGS_ENDPOINT: '/api/usage/settings',
+    WEBHOOK_ENDPOINT: '/api/webhook',
+    BATCHES_ENDPOINT: '/api/batches',
+    BATCH_POLL_INTERVAL: 2000, // 刷新批量任务状态的间隔
+    DEFAULT_KEY_PROFILE: 'default',
     TIMEOUT: 600000, // 10分钟超时，满足大尺寸图生成
+    // 429 / 5xx 自动重试策略，可在调用时通过 retryPolicy 覆盖
+    RETRY_POLICY: {
+        maxAttempts: 4,
+        retryableStatuses: [429, 500, 502, 503, 504],
+        totalBudgetMs: 180000, // 所有重试等待时间之和的上限
+        baseDelayMs: 2000,
+        maxDelayMs: 30000
+    },
     DEFAULT_MODELS: [
         'nano-banana-2-4k',
         'gemini-2.5-flash-image-preview',
@@ -44,33 +86,287 @@ function validateApiKey(apiKey) {
     return apiKey.length > 10;
 }
 
+// 代理传输：浏览器中请求本地 /api/proxy；在服务端运行时由 setProxyTransport 替换为进程内实现
+let proxyTransport = null;
+
 /**
- * 通过本地代理获取可用模型列表
+ * 替换代理传输（仅 Node 环境使用）
+ * @param {(request: object, options: { signal?: AbortSignal }) => Promise<Response>} transport
+ */
+function setProxyTransport(transport) {
+    proxyTransport = transport;
+}
+
+// 日志输出：浏览器中写到控制台；在服务端运行时由 setLogger 替换为 server/logger.js（按级别过滤并脱敏），未设置时不输出
+const SILENT_LOGGER = { error() {}, warn() {}, info() {}, debug() {} };
+let apiLogger = typeof window !== 'undefined' ? console : SILENT_LOGGER;
+
+/**
+ * 替换日志输出（仅 Node 环境使用）
+ * @param {{ error: Function, warn: Function, info: Function, debug: Function }} logger
+ */
+function setLogger(logger) {
+    apiLogger = logger || SILENT_LOGGER;
+}
+
+/**
+ * 通过本地代理转发请求，API 密钥由服务端按 keyProfile 注入
+ * bodyType 为 multipart 时 body 为 { fields, files: [{ field, filename, mimeType, data }] }，由代理编码为 multipart/form-data
+ * @param {{ targetUrl: string, method?: string, headers?: object, body?: any, bodyType?: 'json'|'multipart', keyProfile?: string, authScheme?: string, purpose?: 'media' }} request
+ * @param {{ signal?: AbortSignal }} options
+ * @returns {Promise<Response>}
+ */
+function callProxy(request, { signal } = {}) {
+    if (proxyTransport) {
+        return proxyTransport(request, { signal });
+    }
+    return fetch(API_CONFIG.PROXY_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request),
+        signal
+    });
+}
+
+/**
+ * 从错误响应中提取可读信息
+ * @param {Response} response
+ * @returns {Promise<string>}
+ */
+async function readErrorMessage(response) {
+    const text = await response.text();
+    try {
+        const data = JSON.parse(text);
+        if (data.error && data.error.message) return data.error.message;
+        if (typeof data.error === 'string') return data.error;
+    } catch (_) {}
+    return text || `请求失败 (${response.status})`;
+}
+
+// ---------- 失败重试 ----------
+
+/**
+ * 解析 Retry-After 头（秒数或 HTTP 日期），返回毫秒；无法解析时返回 null
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 指数退避 + 随机抖动：在 [上限/2, 上限] 之间取值
+ * @param {number} attempt - 已失败的次数（从 1 开始）
+ * @param {object} policy
+ * @returns {number}
+ */
+function computeBackoffDelay(attempt, policy) {
+    const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+/**
+ * 构造取消错误；Node 16（Electron 22 主进程）没有全局 DOMException，统一用带 AbortError 名称的 Error
+ * @returns {Error}
+ */
+function createAbortError() {
+    return Object.assign(new Error('Aborted'), { name: 'AbortError' });
+}
+
+/**
+ * 等待重试，期间每秒通过 onProgress 刷新倒计时
+ */
+function waitForRetry(delayMs, { signal, onTick }) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const deadline = Date.now() + delayMs;
+        const tick = () => {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                cleanup();
+                resolve();
+                return;
+            }
+            if (onTick) onTick(Math.ceil(remaining / 1000));
+            timer = setTimeout(tick, Math.min(1000, remaining));
+        };
+        const onAbort = () => {
+            cleanup();
+            reject(createAbortError());
+        };
+        const cleanup = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+
+        let timer = null;
+        if (signal) signal.addEventListener('abort', onAbort);
+        tick();
+    });
+}
+
+/**
+ * 对可重试的状态码自动重试：优先遵循 Retry-After，否则指数退避
+ * 返回最后一次响应，是否失败由调用方按原有逻辑处理
+ * @param {() => Promise<Response>} doRequest
+ * @param {{ policy?: object, onProgress?: Function, signal?: AbortSignal }} options
+ * @returns {Promise<Response>}
+ */
+async function fetchWithRetry(doRequest, { policy, onProgress, signal } = {}) {
+    const effective = { ...API_CONFIG.RETRY_POLICY, ...(policy || {}) };
+    let waitedMs = 0;
+
+    for (let attempt = 1; ; attempt++) {
+        const response = await doRequest();
+        if (
+            response.ok ||
+            !effective.retryableStatuses.includes(response.status) ||
+            attempt >= effective.maxAttempts
+        ) {
+            return response;
+        }
+
+        const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+        const delayMs = retryAfter !== null ? retryAfter : computeBackoffDelay(attempt, effective);
+        if (waitedMs + delayMs > effective.totalBudgetMs) {
+            return response;
+        }
+        waitedMs += delayMs;
+
+        // 丢弃失败响应的内容，释放连接
+        if (response.body) {
+            response.body.cancel().catch(() => {});
+        }
+
+        apiLogger.warn(`请求失败 (${response.status})，${Math.ceil(delayMs / 1000)} 秒后进行第 ${attempt + 1}/${effective.maxAttempts} 次尝试`);
+        await waitForRetry(delayMs, {
+            signal,
+            onTick: seconds => {
+                if (onProgress) {
+                    onProgress(20, `请求失败 (${response.status})，正在重试 (${attempt + 1}/${effective.maxAttempts})，${seconds}s 后发起…`);
+                }
+            }
+        });
+    }
+}
+
+/**
+ * 读取服务端下发的前端配置（默认 Base URL 等）
+ * 服务端不支持时（如 Python 版本）返回 null
+ * @returns {Promise<{ defaultBaseUrl: string, lanMode: boolean }|null>}
+ */
+async function fetchClientConfig() {
+    const response = await fetch(API_CONFIG.CLIENT_CONFIG_ENDPOINT);
+    if (!response.ok) {
+        return null;
+    }
+    return response.json();
+}
+
+// ---------- 密钥管理（本地服务端保管，浏览器只拿到脱敏信息） ----------
+
+/**
+ * 桌面版通过 preload 暴露的密钥接口（主进程加密保存），网页版和 Node 环境返回 null
+ */
+function getDesktopKeyStore() {
+    return typeof window !== 'undefined' && window.nanoBanana && window.nanoBanana.keys
+        ? window.nanoBanana.keys
+        : null;
+}
+
+/**
+ * 获取密钥配置状态
+ * @param {string} profileId
+ * @returns {Promise<{ id: string, configured: boolean, maskedKey: string }>}
+ */
+async function fetchKeyStatus(profileId = API_CONFIG.DEFAULT_KEY_PROFILE) {
+    const desktopKeys = getDesktopKeyStore();
+    if (desktopKeys) return desktopKeys.get(profileId);
+
+    const response = await fetch(`${API_CONFIG.KEYS_ENDPOINT}/${encodeURIComponent(profileId)}`);
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 保存 API 密钥到本地服务端
+ * @param {string} profileId
  * @param {string} apiKey
- * @param {string} baseUrl
- * @returns {Promise<string[]>}
+ * @returns {Promise<{ id: string, configured: boolean, maskedKey: string }>}
  */
-async function getAvailableModels(apiKey, baseUrl) {
+async function saveApiKey(profileId, apiKey) {
     if (!validateApiKey(apiKey)) {
         throw new Error('无效的API密钥格式');
     }
 
+    const desktopKeys = getDesktopKeyStore();
+    if (desktopKeys) return desktopKeys.set(profileId, apiKey);
+
+    const response = await fetch(`${API_CONFIG.KEYS_ENDPOINT}/${encodeURIComponent(profileId)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ apiKey })
+    });
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 删除本地服务端保存的 API 密钥
+ * @param {string} profileId
+ * @returns {Promise<void>}
+ */
+async function deleteApiKey(profileId) {
+    const desktopKeys = getDesktopKeyStore();
+    if (desktopKeys) {
+        await desktopKeys.remove(profileId);
+        return;
+    }
+
+    const response = await fetch(`${API_CONFIG.KEYS_ENDPOINT}/${encodeURIComponent(profileId)}`, {
+        method: 'DELETE'
+    });
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+}
+
+/**
+ * 通过本地代理获取可用模型列表
+ * @param {string} keyProfile
+ * @param {string} baseUrl
+ * @returns {Promise<string[]>}
+ */
+async function getAvailableModels(keyProfile, baseUrl) {
+    if (!keyProfile) {
+        throw new Error('请先配置 API 密钥');
+    }
+
     const origin = normalizeBaseUrl(baseUrl);
-    const url = `${origin}${API_CONFIG.MODELS_ENDPOINT}?key=${encodeURIComponent(apiKey)}`;
+    const url = `${origin}${API_CONFIG.MODELS_ENDPOINT}`;
 
     try {
-        const response = await fetch('/api/proxy', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                targetUrl: url,
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json'
-                }
-            }),
-            signal: AbortSignal.timeout(10000)
-        });
+        const response = await callProxy({
+            targetUrl: url,
+            method: 'GET',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            keyProfile,
+            authScheme: 'x-goog-api-key'
+        }, { signal: AbortSignal.timeout(10000) });
 
         if (!response.ok) {
             if (response.status === 401) {
@@ -93,7 +389,7 @@ async function getAvailableModels(apiKey, baseUrl) {
 
         return API_CONFIG.DEFAULT_MODELS;
     } catch (error) {
-        console.error('获取模型列表失败:', error);
+        apiLogger.error('获取模型列表失败:', error);
 
         if (error.name === 'AbortError') {
             throw new Error('请求超时，请检查网络连接');
@@ -148,6 +444,17 @@ function buildOpenAIContentFromGeminiParts(newParts) {
     return { contentParts, prompt };
 }
 
+/**
+ * Gemini 格式的历史对话转换为 OpenAI messages，模型回复只保留文字
+ */
+function buildOpenAIMessagesFromHistory(history) {
+    return history
+        .map(turn => (turn.role === 'model'
+            ? { role: 'assistant', content: (turn.parts || []).filter(part => part.text).map(part => part.text).join('\n') }
+            : { role: 'user', content: buildOpenAIContentFromGeminiParts(turn.parts || []).contentParts }))
+        .filter(message => message.content.length > 0);
+}
+
 function extractImageUrlFromText(text) {
     if (!text) return null;
 
@@ -160,42 +467,395 @@ function extractImageUrlFromText(text) {
     return urlMatch ? urlMatch[0] : null;
 }
 
-function blobToBase64(blob) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onloadend = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(blob);
-    });
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const chunkSize = 0x8000;
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
 }
 
+/**
+ * 通过本地代理下载结果图片（避免浏览器直连图床时的 CORS 失败）
+ * @param {string} url
+ * @returns {Promise<{ mimeType: string, data: string }>}
+ */
 async function fetchImageAsBase64(url) {
-    const res = await fetch(url);
+    const res = await callProxy({ targetUrl: url, method: 'GET', purpose: 'media' });
     if (!res.ok) {
-        throw new Error(`下载图片失败: ${res.status} ${res.statusText}`);
+        throw new Error(`下载图片失败: ${res.status} ${await readErrorMessage(res)}`);
     }
 
-    const blob = await res.blob();
-    const dataUrl = await blobToBase64(blob);
+    const mimeType = (res.headers.get('content-type') || 'image/png').split(';')[0].trim();
+    const data = arrayBufferToBase64(await res.arrayBuffer());
 
-    const commaIndex = typeof dataUrl === 'string' ? dataUrl.indexOf(',') : -1;
-    const base64 = commaIndex !== -1 ? dataUrl.slice(commaIndex + 1) : dataUrl;
-    const mimeType = blob.type || 'image/png';
+    return { mimeType, data };
+}
+
+// ---------- OpenAI Images (/v1/images/generations、/v1/images/edits) ----------
+
+const IMAGE_FILE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp'
+};
+
+/**
+ * 解析 Images 接口的 data 数组：b64_json 直接使用，url 通过本地代理下载
+ * @returns {Promise<Array<{ mimeType: string, data: string }>>}
+ */
+async function readOpenAIImagesData(data, outputFormat) {
+    const images = [];
+    for (const item of data || []) {
+        if (item.b64_json) {
+            images.push({ mimeType: `image/${outputFormat === 'jpeg' || outputFormat === 'webp' ? outputFormat : 'png'}`, data: item.b64_json });
+        } else if (item.url) {
+            try {
+                images.push(await fetchImageAsBase64(item.url));
+            } catch (downloadError) {
+                apiLogger.error('下载图片失败:', downloadError);
+            }
+        }
+    }
+    return images;
+}
+
+/**
+ * 调用 OpenAI Images 接口：纯文本走 generations，带参考图时走 edits（multipart 上传）
+ */
+async function callOpenAIImages({
+    keyProfile,
+    model,
+    newParts,
+    onProgress,
+    baseUrl,
+    path = API_CONFIG.PROTOCOL_DEFAULTS['openai-images'].path,
+    authScheme = 'bearer',
+    sizes = API_CONFIG.PROTOCOL_DEFAULTS['openai-images'].sizes,
+    imageSize = '',
+    n = 1,
+    retryPolicy,
+    signal
+}) {
+    const size = imageSize ? sizes[imageSize] : '';
+    if (imageSize && !size) {
+        throw new Error(`模型 ${model} 不支持 ${imageSize} 分辨率（可选：${Object.keys(sizes).join(' / ') || '无'}）`);
+    }
+
+    if (onProgress) onProgress(10, '正在连接 OpenAI Images 接口...');
+
+    const prompt = newParts.filter(part => part.text).map(part => part.text).join('\n') || 'A creative image';
+    const references = newParts.filter(part => part.inlineData);
+    const count = Math.max(1, parseInt(n, 10) || 1);
+
+    const fields = { model, prompt, n: count };
+    if (size) fields.size = size;
+
+    const origin = normalizeBaseUrl(baseUrl);
+    let request;
+    if (references.length === 0) {
+        request = {
+            targetUrl: `${origin}${path}/generations`,
+            headers: { 'Content-Type': 'application/json' },
+            body: fields
+        };
+    } else {
+        // 多张参考图按 image[] 字段上传
+        const field = references.length > 1 ? 'image[]' : 'image';
+        request = {
+            targetUrl: `${origin}${path}/edits`,
+            bodyType: 'multipart',
+            body: {
+                fields,
+                files: references.map(({ inlineData }, index) => ({
+                    field,
+                    filename: `image_${index + 1}.${IMAGE_FILE_EXTENSIONS[inlineData.mimeType] || 'png'}`,
+                    mimeType: inlineData.mimeType,
+                    data: inlineData.data
+                }))
+            }
+        };
+    }
+
+    if (onProgress) onProgress(30, references.length ? '正在根据参考图编辑图片...' : '正在生成图片...');
+
+    const response = await fetchWithRetry(() => callProxy({
+        ...request,
+        method: 'POST',
+        keyProfile,
+        authScheme
+    }, { signal }), { policy: retryPolicy, onProgress, signal });
+
+    if (!response.ok) {
+        const error = new Error(`OpenAI Images API Error: ${response.status} - ${await readErrorMessage(response)}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    const result = await response.json();
+    if (onProgress) onProgress(80, '正在解析生成图片...');
+
+    const images = await readOpenAIImagesData(result.data, result.output_format);
+    if (images.length === 0) {
+        throw new Error('API未返回任何图片');
+    }
+
+    if (onProgress) onProgress(100, '生成完成');
+
+    return {
+        text: (result.data || []).map(item => item.revised_prompt).filter(Boolean).join('\n'),
+        images
+    };
+}
+
+// ---------- 流式响应 (SSE) 辅助函数 ----------
+
+/**
+ * 逐条读取 text/event-stream 响应中的 data 字段
+ * @param {Response} response
+ * @param {(data: string) => void} onEvent
+ * @returns {Promise<void>}
+ */
+async function readServerSentEvents(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const flushEvent = rawEvent => {
+        const data = rawEvent
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).replace(/^ /, ''))
+            .join('\n');
+        if (data) onEvent(data);
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+
+        let match;
+        while ((match = buffer.match(/\r?\n\r?\n/))) {
+            flushEvent(buffer.slice(0, match.index));
+            buffer = buffer.slice(match.index + match[0].length);
+        }
+
+        if (done) break;
+    }
+
+    if (buffer.trim()) {
+        flushEvent(buffer);
+    }
+}
+
+function isEventStream(response) {
+    const contentType = response.headers.get('content-type') || '';
+    return contentType.includes('text/event-stream');
+}
+
+/**
+ * 把 streamGenerateContent 的单个分片合并到汇总结果中
+ * @param {object} aggregate - { candidates, promptFeedback, usageMetadata }
+ * @param {object} chunk
+ */
+function mergeGeminiStreamChunk(aggregate, chunk) {
+    if (chunk.error) {
+        throw new Error(chunk.error.message || 'Gemini 流式响应返回错误');
+    }
+
+    if (chunk.promptFeedback) aggregate.promptFeedback = chunk.promptFeedback;
+    if (chunk.usageMetadata) aggregate.usageMetadata = chunk.usageMetadata;
+
+    (chunk.candidates || []).forEach((candidate, position) => {
+        const index = typeof candidate.index === 'number' ? candidate.index : position;
+        const target = aggregate.candidates[index] || (aggregate.candidates[index] = { content: { parts: [] } });
+
+        if (candidate.finishReason) target.finishReason = candidate.finishReason;
+        if (candidate.safetyRatings) target.safetyRatings = candidate.safetyRatings;
+
+        const parts = (candidate.content && candidate.content.parts) || [];
+        parts.forEach(part => {
+            const last = target.content.parts[target.content.parts.length - 1];
+            if (part.text && last && typeof last.text === 'string' && !last.thought) {
+                last.text += part.text;
+            } else {
+                target.content.parts.push({ ...part });
+            }
+        });
+    });
+
+    aggregate.candidates = aggregate.candidates.filter(Boolean);
+    return aggregate;
+}
+
+/**
+ * 从 Gemini 响应中取出文本和图片，拿不到有效内容时给出尽量具体的错误
+ * @param {object} result
+ * @returns {{ text: string, images: Array<{ mimeType: string, data: string }> }}
+ */
+function parseGeminiResponse(result) {
+    if (!result.candidates || result.candidates.length === 0) {
+        const blockReason = result.promptFeedback && result.promptFeedback.blockReason;
+        throw new Error(blockReason ? `API未返回任何结果（提示被拦截(${blockReason})）` : 'API未返回任何结果');
+    }
+
+    // 尽量从任意候选里找到有效 parts，避免因安全拦截/空 payload 直接失败
+    const candidateWithParts = result.candidates.find(
+        c => c.content && Array.isArray(c.content.parts) && c.content.parts.length > 0
+    );
+
+    if (!candidateWithParts) {
+        const errs = [];
+        const first = result.candidates[0] || {};
+        const blockReason = result.promptFeedback && result.promptFeedback.blockReason;
+        if (blockReason) errs.push(`提示被拦截(${blockReason})`);
+        const safety = result.promptFeedback && result.promptFeedback.safetyRatings;
+        if (Array.isArray(safety) && safety.length) {
+            const blocked = safety
+                .filter(r => r.probability || r.probabilityScore)
+                .map(r => r.category || '')
+                .filter(Boolean)
+                .join(',');
+            if (blocked) errs.push(`安全策略: ${blocked}`);
+        }
+        if (first.finishReason) errs.push(`finishReason: ${first.finishReason}`);
+        throw new Error(errs.length ? `API返回了空内容（${errs.join(' / ')}）` : 'API返回了空内容');
+    }
+
+    const responseParts = candidateWithParts.content.parts;
+    let textContent = '';
+    const images = [];
+
+    for (const part of responseParts) {
+        if (part.text) {
+            textContent += part.text;
+        }
+        if (part.inlineData) {
+            images.push({
+                mimeType: part.inlineData.mimeType,
+                data: part.inlineData.data
+            });
+        }
+    }
+
+    if (!textContent && images.length === 0) {
+        throw new Error('API生成的内容为空');
+    }
+
+    return {
+        text: textContent,
+        images
+    };
+}
+
+/**
+ * 取出流式汇总中已到达的文本和图片（不做空内容校验，用于实时展示）
+ */
+function collectGeminiPartial(aggregate) {
+    const partial = { text: '', images: [] };
+    const candidate = aggregate.candidates.find(c => c.content && c.content.parts.length > 0);
+    if (!candidate) return partial;
+
+    candidate.content.parts.forEach(part => {
+        if (part.text && !part.thought) partial.text += part.text;
+        if (part.inlineData) {
+            partial.images.push({ mimeType: part.inlineData.mimeType, data: part.inlineData.data });
+        }
+    });
+    return partial;
+}
+
+/**
+ * 读取 Gemini 生成结果，支持 SSE 流、JSON 数组与普通 JSON 三种返回形态
+ */
+async function readGeminiResult(response, { onStream, onProgress }) {
+    const aggregate = { candidates: [] };
+
+    if (isEventStream(response)) {
+        let received = 0;
+        await readServerSentEvents(response, data => {
+            mergeGeminiStreamChunk(aggregate, JSON.parse(data));
+            received++;
+            if (onProgress) onProgress(Math.min(30 + received * 5, 90), `正在接收生成结果（已收到 ${received} 段）...`);
+            if (onStream) onStream(collectGeminiPartial(aggregate));
+        });
+        return aggregate;
+    }
+
+    const result = await response.json();
+    if (Array.isArray(result)) {
+        result.forEach(chunk => mergeGeminiStreamChunk(aggregate, chunk));
+        return aggregate;
+    }
+    return result;
+}
+
+/**
+ * 读取 OpenAI Chat 结果文本，兼容 stream: true 的 SSE 增量和普通 JSON
+ */
+async function readChatCompletionText(response, { onStream, onProgress }) {
+    const toText = content =>
+        typeof content === 'string'
+            ? content
+            : Array.isArray(content)
+                ? content.map(c => (typeof c === 'string' ? c : c.text || '')).join('\n')
+                : '';
+
+    if (isEventStream(response)) {
+        let textContent = '';
+        let received = 0;
+        await readServerSentEvents(response, data => {
+            if (data.trim() === '[DONE]') return;
+            const chunk = JSON.parse(data);
+            if (chunk.error) {
+                throw new Error(chunk.error.message || 'Nano Banana 流式响应返回错误');
+            }
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (delta && delta.content) {
+                textContent += toText(delta.content);
+                received++;
+                if (onProgress) onProgress(Math.min(30 + received, 75), '正在接收生成结果...');
+                if (onStream) onStream({ text: textContent, images: [] });
+            }
+        });
+        return textContent;
+    }
 
-    return { mimeType, data: base64 };
+    const data = await response.json();
+    if (!data.choices || data.choices.length === 0 || !data.choices[0].message) {
+        throw new Error('API未返回有效结果');
+    }
+    return toText(data.choices[0].message.content);
 }
 
 /**
- * 调用 Nano Banana (通过本地代理 -> /v1/chat/completions)
+ * 调用 OpenAI Chat 格式的绘图接口 (通过本地代理 -> /v1/chat/completions)
+ * history 只在模型适配声明支持上下文时传入
  */
-async function callNanoBananaChatCompletions({ apiKey, newParts, onProgress, baseUrl }) {
+async function callNanoBananaChatCompletions({
+    keyProfile,
+    model,
+    history = [],
+    newParts,
+    onProgress,
+    onStream,
+    baseUrl,
+    path = API_CONFIG.PROTOCOL_DEFAULTS['openai-chat'].path,
+    authScheme = 'bearer',
+    stream = API_CONFIG.STREAM,
+    retryPolicy,
+    signal
+}) {
     if (onProgress) onProgress(10, '正在连接 Nano Banana 绘图服务...');
 
-    const { contentParts, prompt } = buildOpenAIContentFromGeminiParts(newParts);
+    const { contentParts } = buildOpenAIContentFromGeminiParts(newParts);
 
     const requestBody = {
-        model: 'nano-banana-2-4k',
+        model,
         messages: [
+            ...buildOpenAIMessagesFromHistory(history),
             {
                 role: 'user',
                 content: contentParts
@@ -203,45 +863,36 @@ async function callNanoBananaChatCompletions({ apiKey, newParts, onProgress, bas
         ]
     };
 
+    if (stream) {
+        requestBody.stream = true;
+    }
+
     if (onProgress) onProgress(30, '正在生成图片...');
 
     const origin = normalizeBaseUrl(baseUrl);
-    const url = `${origin}/v1/chat/completions`;
+    const url = `${origin}${path}`;
 
-    const response = await fetch('/api/proxy', {
+    const response = await fetchWithRetry(() => callProxy({
+        targetUrl: url,
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            targetUrl: url,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: requestBody
-        })
-    });
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: requestBody,
+        keyProfile,
+        authScheme
+    }, { signal }), { policy: retryPolicy, onProgress, signal });
 
     if (!response.ok) {
         const errText = await response.text();
-        throw new Error(`Nano Banana API Error: ${response.status} - ${errText}`);
+        const error = new Error(`Nano Banana API Error: ${response.status} - ${errText}`);
+        error.status = response.status;
+        throw error;
     }
 
-    const data = await response.json();
-
-    if (onProgress) onProgress(60, '解析生成结果文本...');
+    const textContent = await readChatCompletionText(response, { onStream, onProgress });
 
-    if (!data.choices || data.choices.length === 0 || !data.choices[0].message) {
-        throw new Error('API未返回有效结果');
-    }
-
-    const rawContent = data.choices[0].message.content;
-    const textContent =
-        typeof rawContent === 'string'
-            ? rawContent
-            : Array.isArray(rawContent)
-                ? rawContent.map(c => (typeof c === 'string' ? c : c.text || '')).join('\n')
-                : '';
+    if (onProgress) onProgress(80, '解析生成结果文本...');
 
     if (!textContent) {
         throw new Error('API返回内容为空');
@@ -256,7 +907,7 @@ async function callNanoBananaChatCompletions({ apiKey, newParts, onProgress, bas
             const image = await fetchImageAsBase64(imageUrl);
             images.push(image);
         } catch (downloadError) {
-            console.error('下载图片失败:', downloadError);
+            apiLogger.error('下载图片失败:', downloadError);
         }
     }
 
@@ -268,19 +919,169 @@ async function callNanoBananaChatCompletions({ apiKey, newParts, onProgress, bas
     };
 }
 
+// ---------- 模型协议适配 ----------
+
+const AUTH_SCHEMES = ['bearer', 'x-goog-api-key'];
+const IMAGE_SIZE_OPTIONS = ['1K', '2K', '4K'];
+
+/**
+ * 模型名是否匹配规则；* 匹配任意字符，不区分大小写
+ */
+function matchesModelPattern(pattern, model) {
+    if (typeof pattern !== 'string' || !pattern) return false;
+    const source = pattern.split('*').map(piece => piece.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i').test(model || '');
+}
+
+/**
+ * 找出模型使用的协议适配：自定义规则优先，其次内置规则
+ * 端点手动指定了协议且与规则不一致时，改用该协议的默认路径、鉴权方式和功能
+ * @param {string} model
+ * @param {{ protocol?: string, adapters?: Array<{ match: string, protocol: string, path?: string, auth?: string, features?: object, sizes?: Object<string, string> }> }} [options]
+ *   protocol 为端点协议（auto 表示按规则），adapters 为自定义规则
+ * @returns {{ protocol: 'gemini'|'openai-chat'|'openai-images', path: string, auth: string, features: { imageSize: boolean, history: boolean, multiImage: boolean }, sizes: Object<string, string>|null }}
+ *   sizes 仅 OpenAI Images 协议有值，其他协议直接传分辨率名称
+ */
+function resolveModelAdapter(model, { protocol = 'auto', adapters = [] } = {}) {
+    const defaults = API_CONFIG.PROTOCOL_DEFAULTS;
+    const rules = [...(Array.isArray(adapters) ? adapters : []), ...API_CONFIG.MODEL_ADAPTERS]
+        .filter(rule => rule && defaults[rule.protocol]);
+    const rule = rules.find(item => matchesModelPattern(item.match, model)) || { protocol: 'gemini' };
+
+    const effective = defaults[protocol] ? protocol : rule.protocol;
+    const fromRule = rule.protocol === effective ? rule : {};
+    const base = defaults[effective];
+    const features = { ...base.features };
+    Object.keys(features).forEach(name => {
+        if (fromRule.features && typeof fromRule.features[name] === 'boolean') features[name] = fromRule.features[name];
+    });
+    const ruleSizes = fromRule.sizes && typeof fromRule.sizes === 'object'
+        ? Object.entries(fromRule.sizes).filter(([name, value]) => IMAGE_SIZE_OPTIONS.includes(name) && typeof value === 'string' && value)
+        : [];
+    return {
+        protocol: effective,
+        path: typeof fromRule.path === 'string' && fromRule.path.startsWith('/') ? fromRule.path : base.path,
+        auth: AUTH_SCHEMES.includes(fromRule.auth) ? fromRule.auth : base.auth,
+        features,
+        sizes: base.sizes ? (ruleSizes.length > 0 ? Object.fromEntries(ruleSizes) : { ...base.sizes }) : null
+    };
+}
+
+// ---------- 多端点故障切换 ----------
+
+// 配额 / 余额不足的错误信息，部分中转站不会返回 429
+const QUOTA_ERROR_PATTERN = /quota|RESOURCE_EXHAUSTED|insufficient|余额|额度/i;
+
+/**
+ * 整理调用方传入的端点列表；未传 endpoints 时退回单个 baseUrl + keyProfile
+ * @returns {Array<{ id: string, label: string, baseUrl: string, keyProfile: string, protocol: string }>}
+ */
+function resolveEndpoints({ endpoints, baseUrl, keyProfile }) {
+    const list = Array.isArray(endpoints) && endpoints.length > 0
+        ? endpoints
+        : [{ id: 'default', baseUrl, keyProfile, protocol: 'auto' }];
+
+    return list.map((endpoint, index) => {
+        const origin = normalizeBaseUrl(endpoint.baseUrl);
+        let label = endpoint.label;
+        if (!label) {
+            try {
+                label = new URL(origin).host;
+            } catch (_) {
+                label = `线路 ${index + 1}`;
+            }
+        }
+        return {
+            id: endpoint.id || `endpoint-${index + 1}`,
+            label,
+            baseUrl: origin,
+            keyProfile: endpoint.keyProfile,
+            protocol: endpoint.protocol || 'auto'
+        };
+    });
+}
+
+/**
+ * 是否换下一个端点重试：网络错误、5xx、配额或余额不足
+ * 鉴权失败、内容被拦截、取消 / 超时等换端点也无济于事，直接报错
+ */
+function shouldFailover(error) {
+    if (error.status) {
+        return error.status >= 500 || error.status === 429 || error.status === 402 || QUOTA_ERROR_PATTERN.test(error.message);
+    }
+    // fetch 的网络错误
+    return error instanceof TypeError;
+}
+
 // ---------- Gemini 主流程 ----------
 
-async function generateImageWithGemini({
-    apiKey,
+/**
+ * 生成图像 / 对话：按 endpoints 顺序尝试，前面的端点不可用时自动切换到下一个
+ * 返回结果中的 endpoint 记录实际完成生成的端点，failovers 记录被跳过的端点
+ * @param {{ keyProfile?: string, baseUrl?: string, endpoints?: Array<{ id?: string, label?: string, baseUrl: string, keyProfile: string, protocol?: string }>, model: string, modelAdapters?: Array, history?: Array, newParts: Array, onProgress?: Function, onStream?: Function, imageSize?: string, n?: number, stream?: boolean, retryPolicy?: object, signal?: AbortSignal }} params
+ *   n 为 OpenAI Images 协议一次生成的图片数；modelAdapters 为自定义模型适配规则（见 resolveModelAdapter）
+ * @returns {Promise<{ text: string, images: Array<{ mimeType: string, data: string }>, endpoint: object, failovers: Array<{ endpoint: string, status: number|null, message: string }> }>}
+ */
+async function generateImageWithGemini(params) {
+    const endpoints = resolveEndpoints(params);
+    const failovers = [];
+
+    for (const [index, endpoint] of endpoints.entries()) {
+        const next = endpoints[index + 1];
+        const adapter = resolveModelAdapter(params.model, { protocol: endpoint.protocol, adapters: params.modelAdapters });
+
+        try {
+            const result = await generateOnEndpoint({
+                ...params,
+                baseUrl: endpoint.baseUrl,
+                keyProfile: endpoint.keyProfile,
+                adapter,
+                // 后面还有备用端点时不在当前端点上等待重试，立即切换
+                retryPolicy: next ? { ...(params.retryPolicy || {}), maxAttempts: 1 } : params.retryPolicy
+            });
+            return {
+                ...result,
+                endpoint: { id: endpoint.id, label: endpoint.label, baseUrl: endpoint.baseUrl, protocol: adapter.protocol },
+                failovers
+            };
+        } catch (error) {
+            const cancelled = params.signal && params.signal.aborted;
+            if (cancelled || !shouldFailover(error)) throw error;
+
+            failovers.push({ endpoint: endpoint.label, status: error.status || null, message: error.message });
+            if (!next) {
+                const summary = failovers.map(item => `${item.endpoint}${item.status ? ` (${item.status})` : ''}`).join('、');
+                const allFailed = new Error(failovers.length > 1 ? `所有线路均不可用（${summary}）: ${error.message}` : error.message);
+                allFailed.status = error.status;
+                throw allFailed;
+            }
+
+            apiLogger.warn(`线路 ${endpoint.label} 不可用，切换到 ${next.label}:`, error.message);
+            if (params.onProgress) params.onProgress(10, `${endpoint.label} 不可用，正在切换到备用线路 ${next.label}...`);
+        }
+    }
+}
+
+/**
+ * 在单个端点上完成一次生成，按模型适配选择协议、接口路径和鉴权方式
+ */
+async function generateOnEndpoint({
+    keyProfile,
     model,
     history = [],
     newParts = [],
     onProgress,
+    onStream,
     baseUrl,
-    imageSize = ''
+    adapter,
+    imageSize = '',
+    n = 1,
+    stream = API_CONFIG.STREAM,
+    retryPolicy,
+    signal
 }) {
-    if (!validateApiKey(apiKey)) {
-        throw new Error('无效的API密钥');
+    if (!keyProfile) {
+        throw new Error('请先配置 API 密钥');
     }
 
     if (!newParts || newParts.length === 0) {
@@ -303,19 +1104,51 @@ async function generateImageWithGemini({
         return part;
     });
 
-    if (model === 'nano-banana-2-4k') {
+    const { features } = adapter;
+    if (!features.multiImage && normalizedParts.filter(part => part.inlineData).length > 1) {
+        throw new Error(`模型 ${model} 只支持一张参考图`);
+    }
+    const contextHistory = features.history && Array.isArray(history) ? history : [];
+    const requestedSize = features.imageSize ? imageSize : '';
+
+    if (adapter.protocol === 'openai-images') {
+        return await callOpenAIImages({
+            keyProfile,
+            model,
+            newParts: normalizedParts,
+            onProgress,
+            baseUrl,
+            path: adapter.path,
+            authScheme: adapter.auth,
+            sizes: adapter.sizes,
+            imageSize: requestedSize,
+            n,
+            retryPolicy,
+            signal
+        });
+    }
+
+    if (adapter.protocol === 'openai-chat') {
         return await callNanoBananaChatCompletions({
-            apiKey,
+            keyProfile,
+            model,
+            history: contextHistory,
             newParts: normalizedParts,
             onProgress,
-            baseUrl
+            onStream,
+            baseUrl,
+            path: adapter.path,
+            authScheme: adapter.auth,
+            stream,
+            retryPolicy,
+            signal
         });
     }
 
     if (onProgress) onProgress(10, '准备API请求...');
 
     const contents = [
-        ...(Array.isArray(history) ? history : []),
+        ...contextHistory,
         { role: 'user', parts: normalizedParts }
     ];
 
@@ -326,9 +1159,8 @@ async function generateImageWithGemini({
         maxOutputTokens: 4096
     };
 
-    const isGeminiModel = typeof model === 'string' && model.toLowerCase().includes('gemini');
-    if (isGeminiModel && imageSize) {
-        generationConfig.imageConfig = { imageSize };
+    if (requestedSize) {
+        generationConfig.imageConfig = { imageSize: requestedSize };
     }
 
     const requestBody = {
@@ -339,45 +1171,45 @@ async function generateImageWithGemini({
     if (onProgress) onProgress(20, '发送请求到Gemini API...');
 
     const origin = normalizeBaseUrl(baseUrl);
-    const url = `${origin}${API_CONFIG.MODELS_ENDPOINT}/${model}${API_CONFIG.GEMINI_GENERATE_SUFFIX}`;
+    const suffix = stream ? API_CONFIG.GEMINI_STREAM_SUFFIX : API_CONFIG.GEMINI_GENERATE_SUFFIX;
+    const url = `${origin}${adapter.path.replace('{model}', model)}${suffix}`;
 
-    try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.TIMEOUT);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.TIMEOUT);
+    // 调用方取消（例如服务端任务被删除）时一并中止
+    const abortFromCaller = () => controller.abort();
+    if (signal) signal.addEventListener('abort', abortFromCaller);
 
-        const response = await fetch('/api/proxy', {
+    try {
+        const response = await fetchWithRetry(() => callProxy({
+            targetUrl: url,
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                targetUrl: url,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-goog-api-key': apiKey
-                },
-                body: requestBody
-            }),
-            signal: controller.signal
-        });
-
-        clearTimeout(timeoutId);
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: requestBody,
+            keyProfile,
+            authScheme: adapter.auth
+        }, { signal: controller.signal }), { policy: retryPolicy, onProgress, signal: controller.signal });
 
-        if (onProgress) onProgress(60, '处理API响应...');
+        if (onProgress) onProgress(30, '处理API响应...');
 
         if (!response.ok) {
             const errorText = await response.text();
             let errorMessage = `API请求失败 (${response.status})`;
+            let rejectedByProxy = false;
 
             try {
                 const errorData = JSON.parse(errorText);
                 if (errorData.error && errorData.error.message) {
                     errorMessage = errorData.error.message;
+                    rejectedByProxy = errorData.error.status === 'PROXY_TARGET_REJECTED';
                 }
             } catch (_) {}
 
             if (response.status === 401) {
                 errorMessage = 'API密钥无效或已过期';
-            } else if (response.status === 403) {
+            } else if (response.status === 403 && !rejectedByProxy && !QUOTA_ERROR_PATTERN.test(errorMessage)) {
                 errorMessage = 'API访问被拒绝，请检查配置';
             } else if (response.status === 429) {
                 errorMessage = '请求过于频繁，请稍后再试';
@@ -385,108 +1217,362 @@ async function generateImageWithGemini({
                 errorMessage = 'Gemini API 服务暂时不可用';
             }
 
-            throw new Error(errorMessage);
+            const error = new Error(errorMessage);
+            error.status = response.status;
+            throw error;
         }
 
-        const result = await response.json();
+        const result = await readGeminiResult(response, { onStream, onProgress });
 
-        console.log('Gemini API 响应结构:', JSON.stringify(result, null, 2));
+        if (onProgress) onProgress(95, '解析生成结果...');
 
-        if (onProgress) onProgress(80, '解析生成结果...');
+        const parsed = parseGeminiResponse(result);
 
-        if (!result.candidates || result.candidates.length === 0) {
-            throw new Error('API未返回任何结果');
-        }
+        if (onProgress) onProgress(100, '生成完成');
 
-        // 尽量从任意候选里找到有效 parts，避免因安全拦截/空 payload 直接失败
-        const candidateWithParts = result.candidates.find(
-            c => c.content && Array.isArray(c.content.parts) && c.content.parts.length > 0
-        );
-
-        if (!candidateWithParts) {
-            const errs = [];
-            const first = result.candidates[0] || {};
-            const blockReason = result.promptFeedback && result.promptFeedback.blockReason;
-            if (blockReason) errs.push(`提示被拦截(${blockReason})`);
-            const safety = result.promptFeedback && result.promptFeedback.safetyRatings;
-            if (Array.isArray(safety) && safety.length) {
-                const blocked = safety
-                    .filter(r => r.probability || r.probabilityScore)
-                    .map(r => r.category || '')
-                    .filter(Boolean)
-                    .join(',');
-                if (blocked) errs.push(`安全策略: ${blocked}`);
-            }
-            if (first.finishReason) errs.push(`finishReason: ${first.finishReason}`);
-            throw new Error(errs.length ? `API返回了空内容（${errs.join(' / ')}）` : 'API返回了空内容');
+        return parsed;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            if (signal && signal.aborted) throw new Error('生成已取消');
+            throw new Error('请求超时，生成时间过长，请稍后重试');
         }
 
-        const responseParts = candidateWithParts.content.parts;
-        let textContent = '';
-        const images = [];
+        apiLogger.error('Gemini API 调用失败:', error);
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+        if (signal) signal.removeEventListener('abort', abortFromCaller);
+    }
+}
 
-        for (const part of responseParts) {
-            if (part.text) {
-                textContent += part.text;
-            }
-            if (part.inlineData) {
-                images.push({
-                    mimeType: part.inlineData.mimeType,
-                    data: part.inlineData.data
-                });
+/**
+ * 查询本地代理的排队情况
+ * 服务端不支持时（如 Python 版本）返回 null
+ * @returns {Promise<{ active: number, waiting: number }|null>}
+ */
+async function fetchProxyStatus() {
+    const response = await fetch(API_CONFIG.PROXY_STATUS_ENDPOINT);
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 检查上游地址是否允许经本地代理访问（代理白名单、内网地址拦截）
+ * 服务端不支持时（如 Python 版本）返回 null
+ * @param {string} baseUrl
+ * @returns {Promise<{ allowed: boolean, reason?: string, message?: string }|null>}
+ */
+async function checkProxyTarget(baseUrl) {
+    const response = await fetch(API_CONFIG.PROXY_CHECK_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ targetUrl: normalizeBaseUrl(baseUrl) })
+    });
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+// ---------- 用量统计 ----------
+
+/**
+ * 查询当天 / 当月的用量汇总和预算提醒
+ * 服务端不支持时（如 Python 版本）返回 null
+ * @returns {Promise<object|null>}
+ */
+async function fetchUsageSummary() {
+    const response = await fetch(API_CONFIG.USAGE_SUMMARY_ENDPOINT);
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 读取价格表和预算设置，服务端不支持时返回 null
+ * @returns {Promise<{ currency: string, pricing: object, budget: { daily: number, monthly: number }, warnRatio: number }|null>}
+ */
+async function fetchUsageSettings() {
+    const response = await fetch(API_CONFIG.USAGE_SETTINGS_ENDPOINT);
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 保存价格表和预算设置
+ * @param {{ pricing?: object, budget?: { daily: number, monthly: number } }} settings
+ * @returns {Promise<object>} 保存后的完整设置
+ */
+async function saveUsageSettings(settings) {
+    const response = await fetch(API_CONFIG.USAGE_SETTINGS_ENDPOINT, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings)
+    });
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 读取生成完成 Webhook 设置，服务端不支持时（如 Python 版本）返回 null
+ * @returns {Promise<{ url: string }|null>}
+ */
+async function fetchWebhookSettings() {
+    const response = await fetch(API_CONFIG.WEBHOOK_ENDPOINT);
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 保存 Webhook 地址，空字符串表示关闭
+ * @param {{ url: string }} settings
+ * @returns {Promise<{ url: string }>}
+ */
+async function saveWebhookSettings(settings) {
+    const response = await fetch(API_CONFIG.WEBHOOK_ENDPOINT, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings)
+    });
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 向已保存的 Webhook 地址发送一条测试通知
+ * @returns {Promise<{ ok: boolean, status: number|null, message?: string }>}
+ */
+async function testWebhook() {
+    const response = await fetch(`${API_CONFIG.WEBHOOK_ENDPOINT}/test`, { method: 'POST' });
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+// ---------- 批量生成 ----------
+
+/**
+ * 列出服务端的批量任务，服务端不支持时（如 Python 版本）返回 null
+ * @returns {Promise<{ batches: Array<object> }|null>}
+ */
+async function fetchBatches() {
+    const response = await fetch(API_CONFIG.BATCHES_ENDPOINT);
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 导入批量文件并开始执行
+ * @param {{ content: string, format?: string, name?: string, attachments?: object, defaults?: object, concurrency?: number }} request
+ * @returns {Promise<object>} 批量任务快照
+ */
+async function submitBatch(request) {
+    const response = await fetch(API_CONFIG.BATCHES_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request)
+    });
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 查询批量任务（含每行状态）
+ * @param {string} batchId
+ * @returns {Promise<object>}
+ */
+async function fetchBatch(batchId) {
+    const response = await fetch(`${API_CONFIG.BATCHES_ENDPOINT}/${encodeURIComponent(batchId)}`);
+    if (!response.ok) {
+        const error = new Error(await readErrorMessage(response));
+        error.status = response.status;
+        throw error;
+    }
+    return response.json();
+}
+
+/**
+ * 取消批量任务中尚未完成的行
+ * @param {string} batchId
+ * @returns {Promise<object>}
+ */
+async function cancelBatch(batchId) {
+    const response = await fetch(`${API_CONFIG.BATCHES_ENDPOINT}/${encodeURIComponent(batchId)}/cancel`, { method: 'POST' });
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 批量结果 zip（图片 + manifest.json）的下载地址
+ * @param {string} batchId
+ * @returns {string}
+ */
+function getBatchExportUrl(batchId) {
+    return `${API_CONFIG.BATCHES_ENDPOINT}/${encodeURIComponent(batchId)}/export`;
+}
+
+// ---------- 服务端生成任务（刷新 / 关闭页面不会丢失结果） ----------
+
+/**
+ * 提交生成任务，参数同 generateImageWithGemini（不含回调）
+ * 服务端不支持任务队列时（如 Python 版本）返回 null，由调用方改为在页面内直接生成
+ * @param {object} params
+ * @returns {Promise<object|null>} 任务快照
+ */
+async function submitGenerationJob(params) {
+    const response = await fetch(API_CONFIG.JOBS_ENDPOINT, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params)
+    });
+    if (response.status === 404 || response.status === 405) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(await readErrorMessage(response));
+    }
+    return response.json();
+}
+
+/**
+ * 查询任务状态
+ * @param {string} jobId
+ * @returns {Promise<object>} 任务快照
+ */
+async function fetchJob(jobId) {
+    const response = await fetch(`${API_CONFIG.JOBS_ENDPOINT}/${encodeURIComponent(jobId)}`);
+    if (!response.ok) {
+        const error = new Error(await readErrorMessage(response));
+        error.status = response.status;
+        throw error;
+    }
+    return response.json();
+}
+
+/**
+ * 删除任务：进行中的任务会被取消，已完成的任务结果随之释放
+ * @param {string} jobId
+ * @returns {Promise<void>}
+ */
+async function deleteJob(jobId) {
+    const response = await fetch(`${API_CONFIG.JOBS_ENDPOINT}/${encodeURIComponent(jobId)}`, {
+        method: 'DELETE'
+    });
+    if (!response.ok && response.status !== 404) {
+        throw new Error(await readErrorMessage(response));
+    }
+}
+
+/**
+ * 轮询任务直到结束，期间通过 onProgress / onStream 回放服务端进度
+ * @param {string} jobId
+ * @param {{ onProgress?: Function, onStream?: Function, intervalMs?: number }} options
+ * @returns {Promise<{ text: string, images: Array<{ mimeType: string, data: string }> }>}
+ */
+async function waitForJob(jobId, { onProgress, onStream, intervalMs = API_CONFIG.JOB_POLL_INTERVAL } = {}) {
+    let lastPartialText = '';
+
+    while (true) {
+        let job;
+        try {
+            job = await fetchJob(jobId);
+        } catch (error) {
+            if (error.status === 404) {
+                throw new Error('生成任务不存在或已过期（本地服务可能已重启）');
             }
+            throw error;
         }
 
-        if (!textContent && images.length === 0) {
-            throw new Error('API生成的内容为空');
+        if (onProgress && job.progress) onProgress(job.progress.percent, job.progress.message);
+        if (onStream && job.partial && job.partial.text !== lastPartialText) {
+            lastPartialText = job.partial.text;
+            onStream(job.partial);
         }
 
-        if (onProgress) onProgress(100, '生成完成');
-
-        return {
-            text: textContent,
-            images
-        };
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            throw new Error('请求超时，生成时间过长，请稍后重试');
-        }
+        if (job.status === 'succeeded') return job.result;
+        if (job.status === 'failed') throw new Error((job.error && job.error.message) || '生成失败');
+        if (job.status === 'cancelled') throw new Error('生成已取消');
 
-        console.error('Gemini API 调用失败:', error);
-        throw error;
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
     }
 }
 
-async function testApiConnection(apiKey, model, baseUrl) {
+async function testApiConnection(keyProfile, model, baseUrl) {
     try {
         const testPrompt = 'Generate a simple test image';
         const origin = normalizeBaseUrl(baseUrl);
         const url = `${origin}${API_CONFIG.MODELS_ENDPOINT}/${model}${API_CONFIG.GEMINI_GENERATE_SUFFIX}`;
 
-        const response = await fetch('/api/proxy', {
+        const response = await callProxy({
+            targetUrl: url,
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                targetUrl: url,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-goog-api-key': apiKey
-                },
-                body: {
-                    contents: [
-                        {
-                            parts: [{ text: testPrompt }]
-                        }
-                    ]
-                }
-            }),
-            signal: AbortSignal.timeout(10000)
-        });
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: {
+                contents: [
+                    {
+                        parts: [{ text: testPrompt }]
+                    }
+                ]
+            },
+            keyProfile,
+            authScheme: 'x-goog-api-key'
+        }, { signal: AbortSignal.timeout(10000) });
 
         return response.ok;
     } catch (error) {
-        console.error('API连接测试失败:', error);
+        apiLogger.error('API连接测试失败:', error);
         return false;
     }
 }
+
+// Node 环境（服务端任务队列）复用同一套调用逻辑；浏览器中以全局函数形式使用
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        API_CONFIG,
+        setProxyTransport,
+        setLogger,
+        normalizeBaseUrl,
+        getAvailableModels,
+        generateImageWithGemini,
+        resolveModelAdapter,
+        testApiConnection
+    };
+}
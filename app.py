@@ -5,13 +5,18 @@ Nano Banana - nanobanana-pro 多图合成工具
 基于 Flask 的本地 Web 服务器，用于打包成独立 exe / app。
 """
 
+import base64
+import ipaddress
+import json
 import os
+import re
 import sys
 import threading
 import webbrowser
 import socket
 import time
 from pathlib import Path
+from urllib.parse import urljoin, urlsplit
 
 import requests
 from flask import Flask, send_from_directory, jsonify, request, Response
@@ -35,6 +40,253 @@ app = Flask(
 )
 
 
+# 代理白名单配置（与 server.js 使用相同的环境变量）
+DEFAULT_BASE_URL = "https://api.linkapi.org"
+GOOGLE_API_ORIGIN = "https://generativelanguage.googleapis.com"
+PROXY_MAX_REDIRECTS = 5
+DEFAULT_PORTS = {"http": 80, "https": 443}
+
+
+def _parse_list(value: str) -> list:
+    """解析逗号分隔的列表"""
+    return [item.strip() for item in (value or "").split(",") if item.strip()]
+
+
+PROXY_ALLOWED_ORIGINS = [
+    os.environ.get("NANO_BANANA_BASE_URL") or DEFAULT_BASE_URL,
+    GOOGLE_API_ORIGIN,
+    *_parse_list(os.environ.get("PROXY_ALLOWED_ORIGINS")),
+]
+# 下载生成图片时允许的 Origin，默认 * 表示任意公网地址（仍会拦截内网）
+PROXY_MEDIA_ORIGINS = _parse_list(os.environ.get("PROXY_MEDIA_ORIGINS") or "*")
+# 允许透传给浏览器的上游响应头
+FORWARDED_RESPONSE_HEADERS = {
+    "content-type",
+    "content-disposition",
+    "cache-control",
+    "etag",
+    "last-modified",
+    "retry-after",
+    "x-request-id",
+}
+PROXY_ALLOW_PRIVATE_NETWORKS = os.environ.get(
+    "PROXY_ALLOW_PRIVATE_NETWORKS", ""
+).strip().lower() in {"1", "true", "yes", "on"}
+
+
+class ProxyGuardError(Exception):
+    """代理拒绝访问上游时抛出的错误"""
+
+    def __init__(self, reason: str, message: str, status: int = 403):
+        super().__init__(message)
+        self.reason = reason
+        self.message = message
+        self.status = status
+
+    def to_response(self):
+        return (
+            jsonify(
+                {
+                    "error": {
+                        "code": self.status,
+                        "status": "PROXY_TARGET_REJECTED",
+                        "reason": self.reason,
+                        "message": self.message,
+                    }
+                }
+            ),
+            self.status,
+        )
+
+
+def _origin_parts(parts) -> tuple:
+    """返回 (scheme, host, port)，默认端口补全"""
+    return (
+        parts.scheme,
+        (parts.hostname or "").lower(),
+        parts.port or DEFAULT_PORTS.get(parts.scheme),
+    )
+
+
+def _is_origin_allowed(parts, allowed_origins) -> bool:
+    scheme, host, port = _origin_parts(parts)
+    for entry in allowed_origins:
+        if entry == "*":
+            return True
+        wildcard = "://*." in entry
+        entry_parts = urlsplit(entry.replace("://*.", "://", 1) if wildcard else entry)
+        entry_scheme, entry_host, entry_port = _origin_parts(entry_parts)
+        if entry_scheme != scheme or entry_port != port:
+            continue
+        if wildcard and host.endswith(f".{entry_host}"):
+            return True
+        if not wildcard and host == entry_host:
+            return True
+    return False
+
+
+def is_private_address(address: str) -> bool:
+    """判断 IP 是否属于私有 / 回环 / 链路本地等非公网网段"""
+    try:
+        ip = ipaddress.ip_address(address.split("%", 1)[0])
+    except ValueError:
+        return True
+    if getattr(ip, "ipv4_mapped", None):
+        ip = ip.ipv4_mapped
+    return not ip.is_global or ip.is_multicast
+
+
+def assert_target_allowed(
+    target_url: str,
+    allowed_origins=PROXY_ALLOWED_ORIGINS,
+    allowlist_name: str = "PROXY_ALLOWED_ORIGINS",
+):
+    """校验代理目标：协议、白名单、解析后的地址"""
+    try:
+        parts = urlsplit(target_url)
+        parts.port  # noqa: B018 触发端口合法性校验
+    except ValueError:
+        raise ProxyGuardError("invalid_url", f"无效的 targetUrl: {target_url}", 400)
+
+    if parts.scheme not in DEFAULT_PORTS or not parts.hostname:
+        raise ProxyGuardError(
+            "scheme_not_allowed", f"不支持的协议 {parts.scheme}:，仅允许 HTTP(S)"
+        )
+    if parts.username or parts.password:
+        raise ProxyGuardError("credentials_in_url", "targetUrl 中不允许携带用户名或密码")
+    if not _is_origin_allowed(parts, allowed_origins):
+        raise ProxyGuardError(
+            "host_not_allowed",
+            f"上游 {parts.scheme}://{parts.netloc} 不在代理白名单中，可通过 {allowlist_name} 添加",
+        )
+
+    if PROXY_ALLOW_PRIVATE_NETWORKS:
+        return
+    try:
+        infos = socket.getaddrinfo(parts.hostname, None)
+    except socket.gaierror as exc:
+        raise ProxyGuardError(
+            "dns_lookup_failed", f"无法解析上游主机 {parts.hostname}: {exc}", 502
+        )
+    for info in infos:
+        address = info[4][0]
+        if is_private_address(address):
+            raise ProxyGuardError(
+                "private_address", f"上游主机 {parts.hostname} 指向内网地址 {address}，已拒绝"
+            )
+
+
+# 密钥保管（与 server.js 共用同一个配置文件）
+DATA_DIR = Path(os.environ.get("NANO_BANANA_HOME") or Path.home() / ".nano-banana")
+KEY_VAULT_FILE = DATA_DIR / "keys.json"
+PROFILE_ID_PATTERN = re.compile(r"^[A-Za-z0-9_-]{1,64}$")
+MIN_KEY_LENGTH = 11
+
+
+class KeyVaultError(Exception):
+    """密钥配置错误"""
+
+    def __init__(self, status: int, code: str, message: str):
+        super().__init__(message)
+        self.status = status
+        self.code = code
+        self.message = message
+
+    def to_response(self):
+        return (
+            jsonify({"error": {"code": self.status, "status": self.code, "message": self.message}}),
+            self.status,
+        )
+
+
+def _load_vault() -> dict:
+    try:
+        data = json.loads(KEY_VAULT_FILE.read_text(encoding="utf-8"))
+    except FileNotFoundError:
+        data = {}
+    except (OSError, ValueError) as exc:
+        print(f"[ERROR] 读取密钥配置失败: {exc}")
+        data = {}
+    data.setdefault("version", 1)
+    data.setdefault("profiles", {})
+    return data
+
+
+def _save_vault(data: dict) -> None:
+    DATA_DIR.mkdir(parents=True, exist_ok=True, mode=0o700)
+    tmp_file = KEY_VAULT_FILE.with_suffix(".json.tmp")
+    fd = os.open(tmp_file, os.O_WRONLY | os.O_CREAT | os.O_TRUNC, 0o600)
+    with os.fdopen(fd, "w", encoding="utf-8") as fp:
+        json.dump(data, fp, ensure_ascii=False, indent=2)
+    os.replace(tmp_file, KEY_VAULT_FILE)
+
+
+def mask_key(api_key: str) -> str:
+    """脱敏显示密钥，只保留首尾各 4 位"""
+    if not api_key:
+        return ""
+    if len(api_key) <= 8:
+        return "*" * len(api_key)
+    return f"{api_key[:4]}****{api_key[-4:]}"
+
+
+def _check_profile_id(profile_id: str) -> None:
+    if not PROFILE_ID_PATTERN.match(profile_id or ""):
+        raise KeyVaultError(400, "INVALID_PROFILE_ID", f"无效的密钥配置 ID: {profile_id}")
+
+
+def _describe_profile(profile_id: str, profile: dict) -> dict:
+    return {
+        "id": profile_id,
+        "label": profile.get("label") or profile_id,
+        "configured": bool(profile.get("apiKey")),
+        "maskedKey": mask_key(profile.get("apiKey")),
+        "updatedAt": profile.get("updatedAt"),
+    }
+
+
+def resolve_api_key(profile_id: str) -> str:
+    """取出明文密钥，仅供代理注入请求头"""
+    _check_profile_id(profile_id)
+    profile = _load_vault()["profiles"].get(profile_id) or {}
+    if not profile.get("apiKey"):
+        raise KeyVaultError(401, "KEY_NOT_CONFIGURED", f'密钥配置 "{profile_id}" 尚未设置 API Key')
+    return profile["apiKey"]
+
+
+def build_auth_headers(auth_scheme: str, api_key: str) -> dict:
+    if auth_scheme == "bearer":
+        return {"Authorization": f"Bearer {api_key}"}
+    return {"X-goog-api-key": api_key}
+
+
+def guarded_request(method: str, target_url: str, media: bool = False, **kwargs):
+    """手动跟随重定向，每一跳都重新校验目标"""
+    url = target_url
+    for _ in range(PROXY_MAX_REDIRECTS + 1):
+        if media:
+            assert_target_allowed(url, PROXY_MEDIA_ORIGINS, "PROXY_MEDIA_ORIGINS")
+        else:
+            assert_target_allowed(url)
+        resp = requests.request(method, url, allow_redirects=False, **kwargs)
+        if not resp.is_redirect:
+            return resp
+        url = urljoin(url, resp.headers["location"])
+        if resp.status_code == 303 or (resp.status_code in (301, 302) and method == "POST"):
+            # 改为 GET 时去掉请求体（JSON 或 multipart）和描述请求体的头，重定向后的 GET 不能再带上传内容
+            method = "GET"
+            for name in ("json", "data", "files"):
+                kwargs.pop(name, None)
+            kwargs["headers"] = {
+                name: value
+                for name, value in (kwargs.get("headers") or {}).items()
+                if name.lower() not in ("content-type", "content-length")
+            }
+    raise ProxyGuardError(
+        "too_many_redirects", f"上游重定向次数超过 {PROXY_MAX_REDIRECTS} 次", 502
+    )
+
+
 def find_free_port() -> int:
     """查找可用端口"""
     with socket.socket(socket.AF_INET, socket.SOCK_STREAM) as s:
@@ -94,11 +346,57 @@ def health_check():
     )
 
 
+@app.route("/api/keys")
+def list_keys():
+    """列出密钥配置（脱敏）"""
+    profiles = _load_vault()["profiles"]
+    return jsonify({"profiles": [_describe_profile(k, v) for k, v in profiles.items()]})
+
+
+@app.route("/api/keys/<profile_id>", methods=["GET", "PUT", "DELETE"])
+def manage_key(profile_id: str):
+    """查询 / 保存 / 删除单个密钥配置"""
+    try:
+        _check_profile_id(profile_id)
+        data = _load_vault()
+        profiles = data["profiles"]
+
+        if request.method == "GET":
+            return jsonify(_describe_profile(profile_id, profiles.get(profile_id) or {}))
+
+        if request.method == "DELETE":
+            existed = profiles.pop(profile_id, None) is not None
+            if existed:
+                _save_vault(data)
+            return jsonify({"deleted": existed})
+
+        payload = request.get_json(silent=True) or {}
+        api_key = (payload.get("apiKey") or "").strip()
+        if len(api_key) < MIN_KEY_LENGTH:
+            raise KeyVaultError(400, "INVALID_API_KEY", "无效的API密钥格式")
+        previous = dict(profiles.get(profile_id) or {})
+        if previous.get("apiKey") != api_key:
+            # Node 版按 keys 数组读取密钥池，数组优先于 apiKey；换了密钥时丢弃旧的池，两个服务端都使用新密钥
+            previous.pop("keys", None)
+        profiles[profile_id] = {
+            **previous,
+            "label": payload.get("label") or previous.get("label") or profile_id,
+            "apiKey": api_key,
+            "updatedAt": time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime()),
+        }
+        _save_vault(data)
+        return jsonify(_describe_profile(profile_id, profiles[profile_id]))
+    except KeyVaultError as exc:
+        return exc.to_response()
+
+
 @app.route("/api/proxy", methods=["POST"])
 def api_proxy():
     """
     简单的后端代理：
-    - 接收前端 POST 的 { targetUrl, method, headers, body }
+    - 接收前端 POST 的 { targetUrl, method, headers, body, keyProfile, authScheme }
+    - 校验 targetUrl 是否在白名单内且不指向内网地址
+    - 按 keyProfile 在服务端注入 API 密钥
     - 使用 requests 请求远程 API
     - 将响应状态码和内容原样转回前端
     """
@@ -107,6 +405,9 @@ def api_proxy():
     method = (data.get("method") or "POST").upper()
     headers = data.get("headers") or {}
     body = data.get("body")
+    key_profile = data.get("keyProfile")
+    auth_scheme = data.get("authScheme")
+    is_media = data.get("purpose") == "media"
 
     if not target_url:
         return jsonify({"error": "targetUrl is required"}), 400
@@ -116,23 +417,60 @@ def api_proxy():
         headers.pop(h, None)
 
     try:
+        if is_media:
+            # 下载生成图片：只允许不带密钥的 GET
+            if data.get("method") not in (None, "GET") or key_profile:
+                raise ProxyGuardError("media_request_invalid", "图片下载只允许不带密钥的 GET 请求", 400)
+            method = "GET"
+            headers = {}
+
+        if key_profile:
+            for name in [h for h in headers if h.lower() in ("authorization", "x-goog-api-key")]:
+                headers.pop(name)
+            headers.update(build_auth_headers(auth_scheme, resolve_api_key(key_profile)))
+
         # API 返回可能耗时较长（4K 渲染），将超时提高至 10 分钟
         kwargs = {"headers": headers, "timeout": 600}
         if method != "GET" and body is not None:
-            # 我们的调用都是 JSON
-            kwargs["json"] = body
+            if data.get("bodyType") == "multipart":
+                # OpenAI Images edits：{ fields, files } 编码为 multipart/form-data，由 requests 生成 boundary
+                for name in [h for h in headers if h.lower() == "content-type"]:
+                    headers.pop(name)
+                kwargs["data"] = {k: str(v) for k, v in (body.get("fields") or {}).items()}
+                kwargs["files"] = [
+                    (
+                        f.get("field") or "file",
+                        (f.get("filename") or "file", base64.b64decode(f.get("data") or ""), f.get("mimeType") or "application/octet-stream"),
+                    )
+                    for f in body.get("files") or []
+                ]
+            else:
+                kwargs["json"] = body
+
+        resp = guarded_request(method, target_url, media=is_media, **kwargs)
 
-        resp = requests.request(method, target_url, **kwargs)
+        if is_media and resp.ok and not resp.headers.get("content-type", "").startswith("image/"):
+            raise ProxyGuardError(
+                "unsupported_media_type",
+                f"目标地址返回的不是图片 ({resp.headers.get('content-type') or '未知类型'})",
+                415,
+            )
 
-        # 过滤掉会影响 Flask Response 的头
-        excluded = {"content-encoding", "transfer-encoding", "connection"}
+        # 只透传安全的响应头；requests 已解压内容，content-length 不能沿用
         response_headers = {
-            k: v for k, v in resp.headers.items() if k.lower() not in excluded
+            k: v
+            for k, v in resp.headers.items()
+            if k.lower() in FORWARDED_RESPONSE_HEADERS or k.lower().startswith("x-ratelimit-")
         }
 
         return Response(
             resp.content, status=resp.status_code, headers=response_headers
         )
+    except ProxyGuardError as exc:
+        print(f"[WARN] Proxy 拒绝: {exc.message}")
+        return exc.to_response()
+    except KeyVaultError as exc:
+        return exc.to_response()
     except Exception as exc:  # noqa: BLE001
         print(f"[ERROR] Proxy Error: {exc}")
         return jsonify({"error": str(exc)}), 500
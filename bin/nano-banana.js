@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+/**
+ * nano-banana 命令行生成工具
+ * 复用 api.js 的请求构造与响应解析；上游请求经过与本地服务相同的代理核心
+ * （代理守卫、密钥池、模拟上游、录制 / 回放、用量记录），无需打开浏览器界面
+ *
+ * 用法：nano-banana generate [选项] "提示词"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { config } = require('../server/config');
+const { logger, configureLogger } = require('../server/logger');
+const { createKeyVault } = require('../server/key-vault');
+const { createKeyPool } = require('../server/key-pool');
+const { createMockFetch } = require('../server/mock-upstream');
+const { createCassettes } = require('../server/cassettes');
+const { createUpstreamProxy } = require('../server/proxy');
+const { createUsageLedger } = require('../server/usage-ledger');
+
+const HELP = `用法: nano-banana generate [选项] [提示词]
+
+未提供提示词（或提示词为 -）时从标准输入读取。
+
+选项:
+  -m, --model <模型>        模型名，默认 nano-banana-2-4k
+  -i, --image <文件>        参考图片，可重复指定多次
+  -s, --size <1K|2K|4K>     图像分辨率（Gemini imageSize / OpenAI Images size）
+  -n, --count <数量>        OpenAI Images 协议一次生成的图片数，默认 1
+  -o, --out <目录>          图片输出目录，默认当前目录
+      --base-url <地址>     上游地址，默认读取服务器配置
+      --protocol <协议>     auto | gemini | openai-chat | openai-images，默认按模型判断
+      --adapters <文件>     模型适配规则 JSON 文件（数组，格式同配置文件中的 modelAdapters），优先于配置文件
+      --profile <ID>        使用本地服务端保存的密钥配置，默认 default
+      --json                以 JSON 输出结果（便于脚本解析）
+      --no-stream           使用非流式接口
+      --mock                使用离线模拟上游
+  -v, --verbose             输出调试信息到标准错误
+  -h, --help                显示帮助
+
+API 密钥优先读取环境变量 NANO_BANANA_API_KEY，否则使用本地服务端保存的密钥配置（~/.nano-banana/keys.json）。`;
+
+const OPTIONS = {
+    model: { type: 'string', short: 'm' },
+    image: { type: 'string', short: 'i', multiple: true },
+    size: { type: 'string', short: 's' },
+    count: { type: 'string', short: 'n' },
+    out: { type: 'string', short: 'o' },
+    'base-url': { type: 'string' },
+    protocol: { type: 'string' },
+    adapters: { type: 'string' },
+    profile: { type: 'string' },
+    json: { type: 'boolean' },
+    'no-stream': { type: 'boolean' },
+    mock: { type: 'boolean' }, // 由 server/config 通过 process.argv 识别
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const IMAGE_SIZES = ['1K', '2K', '4K'];
+const PROTOCOLS = ['auto', 'gemini', 'openai-chat', 'openai-images'];
+const EXTENSION_MIMES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
+const MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+/**
+ * 参数错误，退出码为 2
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { data += chunk; });
+        process.stdin.on('end', () => resolve(data));
+        process.stdin.on('error', reject);
+    });
+}
+
+/**
+ * 读取参考图片，转换为 api.js 使用的 inlineData 分片
+ */
+function readImagePart(file) {
+    const mimeType = EXTENSION_MIMES[path.extname(file).toLowerCase()];
+    if (!mimeType) {
+        throw new UsageError(`不支持的图片格式: ${file}（支持 png / jpg / webp / gif）`);
+    }
+    let data;
+    try {
+        data = fs.readFileSync(file);
+    } catch (error) {
+        throw new UsageError(`无法读取图片 ${file}: ${error.message}`);
+    }
+    return { inlineData: { mimeType, data: data.toString('base64') } };
+}
+
+/**
+ * 读取 --adapters 指定的模型适配规则文件
+ * @param {string} file
+ * @returns {Array<object>}
+ */
+function readModelAdapters(file) {
+    let rules;
+    try {
+        rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new UsageError(`无法读取模型适配规则 ${file}: ${error.message}`);
+    }
+    if (!Array.isArray(rules)) {
+        throw new UsageError(`模型适配规则 ${file} 必须是 JSON 数组`);
+    }
+    return rules;
+}
+
+/**
+ * 与作品库一致的时间戳文件名前缀
+ */
+function timestampPrefix() {
+    const timestamp = new Date().toISOString()
+        .replace(/[:.]/g, '-')
+        .replace('T', '_')
+        .substring(0, 19);
+    return `nano-banana_${timestamp}`;
+}
+
+/**
+ * 组装进程内代理传输：环境变量中的密钥只在本次进程中使用，不写入密钥文件
+ */
+function createTransport({ baseUrl, apiKey }) {
+    const keyVault = apiKey
+        ? { resolveKeys: () => [{ id: 'env', label: '', apiKey }], list: () => [] }
+        : createKeyVault({ filePath: config.keyVaultFile });
+
+    const upstreamProxy = createUpstreamProxy({
+        // 命令行明确指定的上游地址视为已授权
+        proxyConfig: { ...config.proxy, allowedOrigins: [...config.proxy.allowedOrigins, baseUrl] },
+        keyPool: createKeyPool({ keyVault, ...config.keyPool }),
+        mockFetch: config.mock.enabled ? createMockFetch(config.mock) : null,
+        cassettes: config.cassettes.mode ? createCassettes(config.cassettes) : null,
+        usageLedger: createUsageLedger({ filePath: config.usage.ledgerFile, settingsFile: config.usage.settingsFile })
+    });
+    return upstreamProxy.transport;
+}
+
+async function generate(values, positionals) {
+    let prompt = positionals.join(' ').trim();
+    if (!prompt || prompt === '-') {
+        if (process.stdin.isTTY) throw new UsageError('请提供提示词，或通过标准输入传入');
+        prompt = (await readStdin()).trim();
+    }
+    if (!prompt) throw new UsageError('提示词不能为空');
+
+    const imageSize = values.size ? values.size.toUpperCase() : '';
+    if (imageSize && !IMAGE_SIZES.includes(imageSize)) {
+        throw new UsageError(`--size 只支持 ${IMAGE_SIZES.join(' / ')}`);
+    }
+    const count = values.count === undefined ? 1 : Number(values.count);
+    if (!Number.isInteger(count) || count < 1 || count > 10) {
+        throw new UsageError('--count 必须是 1 到 10 之间的整数');
+    }
+    const protocol = values.protocol || 'auto';
+    if (!PROTOCOLS.includes(protocol)) {
+        throw new UsageError(`--protocol 只支持 ${PROTOCOLS.join(' / ')}`);
+    }
+
+    const api = require('../api');
+    const model = values.model || api.API_CONFIG.DEFAULT_MODELS[0];
+    const baseUrl = api.normalizeBaseUrl(values['base-url'] || config.defaultBaseUrl);
+    const envKey = (process.env.NANO_BANANA_API_KEY || '').trim() || (config.mock.enabled ? 'mock-api-key-000000' : '');
+    const keyProfile = envKey ? 'env' : (values.profile || api.API_CONFIG.DEFAULT_KEY_PROFILE);
+    const newParts = [{ text: prompt }, ...(values.image || []).map(readImagePart)];
+    const modelAdapters = [...(values.adapters ? readModelAdapters(values.adapters) : []), ...config.modelAdapters];
+
+    api.setProxyTransport(createTransport({ baseUrl, apiKey: envKey }));
+    api.setLogger(logger);
+
+    let lastMessage = '';
+    const result = await api.generateImageWithGemini({
+        endpoints: [{ id: 'cli', baseUrl, keyProfile, protocol }],
+        model,
+        modelAdapters,
+        newParts,
+        imageSize,
+        n: count,
+        stream: !values['no-stream'],
+        onProgress: (percent, message) => {
+            if (message === lastMessage) return;
+            lastMessage = message;
+            process.stderr.write(`[${String(percent).padStart(3)}%] ${message}\n`);
+        }
+    });
+
+    const outDir = path.resolve(values.out || '.');
+    fs.mkdirSync(outDir, { recursive: true });
+    const prefix = timestampPrefix();
+    const images = result.images.map((image, index) => {
+        const mimeType = (image.mimeType || 'image/png').toLowerCase();
+        const file = path.join(outDir, `${prefix}_${index + 1}.${MIME_EXTENSIONS[mimeType] || 'png'}`);
+        const buffer = Buffer.from(image.data, 'base64');
+        fs.writeFileSync(file, buffer);
+        return { file, mimeType, bytes: buffer.length };
+    });
+
+    return { model, prompt, imageSize, text: result.text, endpoint: result.endpoint, images };
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+
+    if (values.help || positionals.length === 0) {
+        process.stdout.write(`${HELP}\n`);
+        return values.help ? 0 : 2;
+    }
+
+    // 服务端模块的日志统一写到标准错误，保证 stdout 只有结果；默认只保留警告和错误
+    configureLogger({ level: values.verbose ? 'debug' : 'warn', stderr: true });
+
+    const [command, ...rest] = positionals;
+    if (command !== 'generate') {
+        throw new UsageError(`未知命令: ${command}（目前只支持 generate）`);
+    }
+
+    try {
+        const output = await generate(values, rest);
+        if (values.json) {
+            process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+        } else {
+            if (output.text) process.stdout.write(`${output.text}\n`);
+            output.images.forEach(image => process.stdout.write(`已保存: ${image.file}\n`));
+            if (output.images.length === 0) process.stderr.write('未返回图片\n');
+        }
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) throw error;
+        if (values.json) {
+            process.stdout.write(`${JSON.stringify({ error: { message: error.message, status: error.status || null } }, null, 2)}\n`);
+        } else {
+            process.stderr.write(`生成失败: ${error.message}\n`);
+        }
+        return 1;
+    }
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        process.stderr.write(`${error.message}\n\n运行 nano-banana --help 查看用法\n`);
+        process.exitCode = error instanceof UsageError ? 2 : 1;
+    });
@@ -11,15 +11,18 @@ cd portable
 REM 清空目录
 if exist "*" del /q *.*
 if exist "node_modules" rmdir /s /q node_modules
+if exist "server" rmdir /s /q server
 
 echo [INFO] 复制应用文件...
 
 REM 复制核心文件
 copy ..\server.js .
+xcopy /E /I /Y ..\server server
 copy ..\index.html .
 copy ..\script.js .
 copy ..\api.js .
 copy ..\utils.js .
+copy ..\db.js .
 copy ..\styles.css .
 copy ..\package.json .
 copy "..\启动 Nano Banana.bat" .
@@ -1,32 +1,327 @@
-const { app, BrowserWindow, Menu } = require('electron');
-const express = require('express');
+const { app, BrowserWindow, Menu, dialog, ipcMain, safeStorage, shell } = require('electron');
+const fs = require('fs');
 const path = require('path');
+const { config } = require('./server/config');
+const { createApp } = require('./server/app');
+const { createKeyVault } = require('./server/key-vault');
 
 let mainWindow;
 let server;
+let sharedApp;
+let keyVault;
 
-// Express 服务器
-function createServer() {
-    const expressApp = express();
-    const PORT = 3000;
-    
-    // 静态文件服务
-    expressApp.use(express.static(__dirname));
-    
-    // 默认路由
-    expressApp.get('/', (req, res) => {
-        res.sendFile(path.join(__dirname, 'index.html'));
+// 旧版固定使用 3000 端口，页面的 localStorage / IndexedDB 按 http://localhost:3000 这个来源保存；
+// 没有记录过端口时沿用 3000，升级后设置、历史和旧版密钥仍在同一来源下
+const DEFAULT_PORT = 3000;
+
+// 上次使用的端口：页面的 localStorage / IndexedDB 按端口区分来源，尽量沿用同一端口保留设置和历史
+function getPortFile() {
+    return path.join(app.getPath('userData'), 'server-port.json');
+}
+
+function readLastPort() {
+    try {
+        const { port } = JSON.parse(fs.readFileSync(getPortFile(), 'utf8'));
+        return Number.isInteger(port) && port > 0 && port < 65536 ? port : DEFAULT_PORT;
+    } catch (_) {
+        return DEFAULT_PORT;
+    }
+}
+
+function saveLastPort(port) {
+    try {
+        fs.mkdirSync(path.dirname(getPortFile()), { recursive: true });
+        fs.writeFileSync(getPortFile(), JSON.stringify({ port }));
+    } catch (error) {
+        console.warn('保存端口失败:', error.message);
+    }
+}
+
+/**
+ * 本机模式显式绑定 127.0.0.1：绑定 localhost 时可能只占到 ::1，另一个进程占着 127.0.0.1 的同一端口也不会报 EADDRINUSE；
+ * 窗口仍通过 localhost 访问，保持页面来源不变
+ */
+function getListenHost() {
+    return config.host === 'localhost' ? '127.0.0.1' : config.host;
+}
+
+function listen(expressApp, port) {
+    return new Promise((resolve, reject) => {
+        const listener = expressApp.listen(port, getListenHost());
+        listener.once('listening', () => resolve(listener));
+        listener.once('error', reject);
     });
-    
-    server = expressApp.listen(PORT, 'localhost', () => {
-        console.log(`🍌 Nano Banana 服务器已启动: http://localhost:${PORT}`);
+}
+
+/**
+ * 启动与 server.js 相同的 Express 应用（静态页面 + /api/proxy、任务、作品库等全部接口）
+ * 优先沿用上次的端口（默认 3000），被占用时本次改用系统分配的临时端口，但不记录临时端口，下次启动仍回到原来的来源；
+ * 等到 listening 事件后才返回地址，避免加载到占用同一端口的其他进程的页面
+ * @returns {Promise<string>} 窗口要加载的地址
+ */
+async function startServer() {
+    // macOS 上关闭窗口后重新激活会再次创建服务器，应用本身只初始化一次
+    if (!sharedApp) sharedApp = createApp({ rootDir: __dirname, keyVault: getKeyVault() });
+    const { app: expressApp, lanAccessToken } = sharedApp;
+
+    const lastPort = readLastPort();
+    try {
+        server = await listen(expressApp, lastPort);
+        saveLastPort(lastPort);
+    } catch (error) {
+        if (error.code !== 'EADDRINUSE') throw error;
+        console.warn(`端口 ${lastPort} 已被占用，本次改用系统分配的端口（页面设置和历史记录按端口保存，本次运行中看不到）`);
+        server = await listen(expressApp, 0);
+    }
+
+    const { port } = server.address();
+    console.log(`🍌 Nano Banana 服务器已启动: http://localhost:${port}`);
+
+    // 局域网共享模式下窗口直接带上配对码完成配对
+    return `http://localhost:${port}${lanAccessToken ? `/?pair=${encodeURIComponent(lanAccessToken)}` : ''}`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * 在主窗口中显示启动失败页面
+ */
+function showStartupError(title, error) {
+    console.error(`${title}:`, error);
+    const detail = error && error.code === 'EACCES'
+        ? '没有权限监听端口，请检查安全软件或防火墙设置。'
+        : '请检查配置文件（~/.nano-banana/config.json）和数据目录是否可读写，然后重新启动应用。';
+    const html = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head><meta charset="UTF-8"><title>Nano Banana 启动失败</title></head>
+<body style="font-family: -apple-system, 'Segoe UI', 'Microsoft YaHei', sans-serif; padding: 40px; color: #333;">
+    <h2>🍌 ${escapeHtml(title)}</h2>
+    <p>${escapeHtml(detail)}</p>
+    <pre style="background: #f5f5f5; padding: 12px; border-radius: 6px; white-space: pre-wrap;">${escapeHtml(error && error.message ? error.message : error)}</pre>
+</body>
+</html>`;
+    mainWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+}
+
+// ---------- 页面文件操作（preload.js 暴露的 window.nanoBanana） ----------
+
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+// 只允许在文件管理器中显示本次运行由应用写入的文件
+const writtenFiles = new Set();
+
+function getDesktopSettingsFile() {
+    return path.join(app.getPath('userData'), 'desktop-settings.json');
+}
+
+function readDesktopSettings() {
+    try {
+        return JSON.parse(fs.readFileSync(getDesktopSettingsFile(), 'utf8')) || {};
+    } catch (_) {
+        return {};
+    }
+}
+
+function updateDesktopSettings(changes) {
+    const next = { ...readDesktopSettings(), ...changes };
+    fs.mkdirSync(path.dirname(getDesktopSettingsFile()), { recursive: true });
+    fs.writeFileSync(getDesktopSettingsFile(), JSON.stringify(next, null, 2));
+    return next;
+}
+
+/**
+ * 校验页面传来的图片，文件名只取 basename 并按 MIME 类型修正扩展名
+ */
+function parseImage(image) {
+    const { data, mimeType, filename } = image || {};
+    const extension = IMAGE_EXTENSIONS[mimeType];
+    if (typeof data !== 'string' || !data || !extension) {
+        throw new Error('无效的图片数据');
+    }
+    const base = path.basename(String(filename || 'nano-banana')).replace(/\.[^.]*$/, '') || 'nano-banana';
+    return { buffer: Buffer.from(data, 'base64'), filename: `${base}.${extension}` };
+}
+
+/**
+ * 同名文件已存在时追加序号，避免同一秒内的多张图片互相覆盖
+ */
+function uniqueFilePath(dir, filename) {
+    const extension = path.extname(filename);
+    const base = filename.slice(0, -extension.length);
+    let candidate = path.join(dir, filename);
+    for (let index = 2; fs.existsSync(candidate); index++) {
+        candidate = path.join(dir, `${base}_${index}${extension}`);
+    }
+    return candidate;
+}
+
+function writeImage(filePath, buffer) {
+    fs.writeFileSync(filePath, buffer);
+    writtenFiles.add(filePath);
+    return { filePath };
+}
+
+/**
+ * 只响应主窗口发出的请求
+ */
+function handleFromMainWindow(channel, handler) {
+    ipcMain.handle(channel, (event, ...args) => {
+        if (!mainWindow || event.sender !== mainWindow.webContents) {
+            throw new Error('拒绝来自未知页面的请求');
+        }
+        return handler(...args);
     });
-    
-    return `http://localhost:${PORT}`;
+}
+
+function registerFileHandlers() {
+    handleFromMainWindow('image:save-as', async image => {
+        const { buffer, filename } = parseImage(image);
+        const extension = path.extname(filename).slice(1);
+        const defaultDir = readDesktopSettings().exportDir || app.getPath('pictures');
+        const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+            title: '保存图片',
+            defaultPath: path.join(defaultDir, filename),
+            filters: [{ name: '图片', extensions: [extension] }]
+        });
+        if (canceled || !filePath) return null;
+        return writeImage(filePath, buffer);
+    });
+
+    handleFromMainWindow('image:export', image => {
+        const { exportDir } = readDesktopSettings();
+        if (!exportDir) return null;
+        const { buffer, filename } = parseImage(image);
+        fs.mkdirSync(exportDir, { recursive: true });
+        return writeImage(uniqueFilePath(exportDir, filename), buffer);
+    });
+
+    handleFromMainWindow('image:reveal', filePath => {
+        if (!writtenFiles.has(filePath)) {
+            throw new Error('只能显示应用保存过的文件');
+        }
+        shell.showItemInFolder(filePath);
+    });
+
+    handleFromMainWindow('export-dir:get', () => readDesktopSettings().exportDir || '');
+
+    handleFromMainWindow('export-dir:choose', async () => {
+        const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+            title: '选择自动导出目录',
+            defaultPath: readDesktopSettings().exportDir || app.getPath('pictures'),
+            properties: ['openDirectory', 'createDirectory']
+        });
+        if (canceled || filePaths.length === 0) return null;
+        return updateDesktopSettings({ exportDir: filePaths[0] }).exportDir;
+    });
+
+    handleFromMainWindow('export-dir:clear', () => {
+        updateDesktopSettings({ exportDir: '' });
+    });
+
+    // 页面准备好接收打开的文件，返回此前排队的文件
+    handleFromMainWindow('files:ready', () => {
+        rendererReady = true;
+        const files = pendingOpenFiles;
+        pendingOpenFiles = [];
+        return files;
+    });
+}
+
+// ---------- 用本应用打开图片（双击文件、拖到程序图标、命令行参数） ----------
+
+const OPENABLE_IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp'
+};
+// 页面还没准备好接收时先排队，页面加载后通过 files:ready 取走
+let pendingOpenFiles = [];
+let rendererReady = false;
+
+/**
+ * 从命令行参数中找出要打开的图片；开发模式（electron .）多一个入口脚本参数
+ */
+function imagePathsFromArgv(argv, workingDirectory = process.cwd()) {
+    return argv.slice(process.defaultApp ? 2 : 1)
+        .filter(arg => !arg.startsWith('-'))
+        .map(arg => path.resolve(workingDirectory, arg))
+        .filter(filePath => OPENABLE_IMAGE_TYPES[path.extname(filePath).toLowerCase()]);
+}
+
+function focusMainWindow() {
+    if (!mainWindow) {
+        if (app.isReady()) createWindow();
+        return;
+    }
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.focus();
+}
+
+/**
+ * 读取图片并交给页面，页面按上传图片的流程加入待发送列表
+ */
+function openImageFiles(filePaths) {
+    const files = [];
+    for (const filePath of filePaths) {
+        try {
+            files.push({
+                name: path.basename(filePath),
+                mimeType: OPENABLE_IMAGE_TYPES[path.extname(filePath).toLowerCase()],
+                data: fs.readFileSync(filePath)
+            });
+        } catch (error) {
+            console.warn(`无法读取图片 ${filePath}:`, error.message);
+        }
+    }
+    if (files.length === 0) return;
+
+    if (mainWindow && rendererReady) {
+        mainWindow.webContents.send('files:open', files);
+    } else {
+        pendingOpenFiles.push(...files);
+    }
+    focusMainWindow();
+}
+
+// ---------- 密钥存储 ----------
+
+/**
+ * 桌面版的密钥保存在用户数据目录，整个文件用 safeStorage（Windows DPAPI / macOS 钥匙串 / Linux Secret Service）加密；
+ * 系统不支持加密时退回与 server.js 相同的数据目录密钥文件
+ */
+function getKeyVault() {
+    if (keyVault) return keyVault;
+    if (!safeStorage.isEncryptionAvailable()) {
+        console.warn('系统不支持 safeStorage 加密，密钥将保存在', config.keyVaultFile);
+        keyVault = createKeyVault({ filePath: config.keyVaultFile });
+        return keyVault;
+    }
+    keyVault = createKeyVault({
+        filePath: path.join(app.getPath('userData'), path.basename(config.keyVaultFile)),
+        cipher: {
+            encrypt: text => safeStorage.encryptString(text).toString('base64'),
+            decrypt: data => safeStorage.decryptString(Buffer.from(data, 'base64'))
+        }
+    });
+    return keyVault;
+}
+
+// 页面只按 profile ID 请求操作，拿到的都是脱敏后的状态
+function registerKeyHandlers() {
+    handleFromMainWindow('keys:get', profileId => getKeyVault().get(profileId));
+    handleFromMainWindow('keys:set', (profileId, apiKey) => getKeyVault().set(profileId, { apiKey }));
+    handleFromMainWindow('keys:remove', profileId => ({ deleted: getKeyVault().remove(profileId) }));
 }
 
 // 创建主窗口
-function createWindow() {
+async function createWindow() {
     mainWindow = new BrowserWindow({
         width: 1200,
         height: 800,
@@ -37,7 +332,8 @@ function createWindow() {
             nodeIntegration: false,
             contextIsolation: true,
             enableRemoteModule: false,
-            webSecurity: true
+            webSecurity: true,
+            preload: path.join(__dirname, 'preload.js')
         },
         show: false, // 先不显示，等页面加载完再显示
         titleBarStyle: 'default',
@@ -89,14 +385,6 @@ function createWindow() {
     const menu = Menu.buildFromTemplate(template);
     Menu.setApplicationMenu(menu);
 
-    // 启动服务器并加载页面
-    const serverUrl = createServer();
-    
-    // 等待服务器启动
-    setTimeout(() => {
-        mainWindow.loadURL(serverUrl);
-    }, 1000);
-
     // 页面加载完成后显示窗口
     mainWindow.once('ready-to-show', () => {
         mainWindow.show();
@@ -106,9 +394,15 @@ function createWindow() {
         }
     });
 
+    // 重新加载期间页面无法接收文件，先排队
+    mainWindow.webContents.on('did-start-loading', () => {
+        rendererReady = false;
+    });
+
     // 窗口关闭事件
     mainWindow.on('closed', () => {
         mainWindow = null;
+        rendererReady = false;
         if (server) {
             server.close();
         }
@@ -119,10 +413,60 @@ function createWindow() {
         require('electron').shell.openExternal(url);
         return { action: 'deny' };
     });
+
+    // 服务器开始监听后再加载页面
+    let serverUrl;
+    try {
+        serverUrl = await startServer();
+    } catch (error) {
+        if (mainWindow) showStartupError('本地服务器启动失败', error);
+        return;
+    }
+    // 启动期间窗口已被关闭
+    if (!mainWindow) return;
+
+    // 页面加载失败（例如服务器意外退出）时显示错误页面，而不是留下空白窗口
+    mainWindow.webContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+        // -3 为主动中止（如重新加载），不是错误
+        if (!isMainFrame || errorCode === -3 || validatedURL.startsWith('data:')) return;
+        showStartupError('页面加载失败', new Error(`${errorDescription} (${errorCode}): ${validatedURL}`));
+    });
+
+    mainWindow.loadURL(serverUrl);
 }
 
+// Windows 上页面发出的系统通知需要与安装包 appId 一致的 AppUserModelID 才会显示
+if (process.platform === 'win32') {
+    app.setAppUserModelId(require('./package.json').build.appId);
+}
+
+// 单实例：已有实例在运行时把要打开的文件交给它，不再启动第二个服务器
+const isPrimaryInstance = app.requestSingleInstanceLock();
+if (!isPrimaryInstance) {
+    app.quit();
+} else {
+    app.on('second-instance', (event, argv, workingDirectory) => {
+        const filePaths = imagePathsFromArgv(argv, workingDirectory);
+        if (filePaths.length > 0) {
+            openImageFiles(filePaths);
+        } else {
+            focusMainWindow();
+        }
+    });
+    openImageFiles(imagePathsFromArgv(process.argv));
+}
+
+// macOS 通过 open-file 传入文件（双击、拖到程序坞图标），可能早于 ready 触发
+app.on('open-file', (event, filePath) => {
+    event.preventDefault();
+    openImageFiles([filePath]);
+});
+
 // 应用准备就绪
 app.whenReady().then(() => {
+    if (!isPrimaryInstance) return;
+    registerFileHandlers();
+    registerKeyHandlers();
     createWindow();
 
     app.on('activate', () => {
@@ -0,0 +1,74 @@
+/**
+ * Electron 预加载脚本
+ * 页面运行在 contextIsolation 下，无法直接使用 Node / Electron 接口；这里只暴露一组很窄的 window.nanoBanana 接口，
+ * 文件和密钥操作都在主进程中完成（见 electron-main.js 中的 ipcMain.handle）
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+/**
+ * 调用主进程，失败时去掉 Electron 附加的 "Error invoking remote method ..." 前缀，页面只看到原始错误信息
+ */
+function invoke(channel, ...args) {
+    return ipcRenderer.invoke(channel, ...args).catch(error => {
+        throw new Error(error.message.replace(/^Error invoking remote method '[^']+': (\w*Error: )?/, ''));
+    });
+}
+
+contextBridge.exposeInMainWorld('nanoBanana', {
+    isDesktop: true,
+
+    /**
+     * 弹出「另存为」对话框保存图片
+     * @param {{ data: string, mimeType: string, filename: string }} image - data 为 Base64
+     * @returns {Promise<{ filePath: string }|null>} 用户取消时为 null
+     */
+    saveImageAs: image => invoke('image:save-as', image),
+
+    /**
+     * 写入自动导出目录（未设置目录时返回 null）
+     * @param {{ data: string, mimeType: string, filename: string }} image
+     * @returns {Promise<{ filePath: string }|null>}
+     */
+    exportImage: image => invoke('image:export', image),
+
+    /**
+     * 在系统文件管理器中显示本次运行保存过的文件
+     * @param {string} filePath
+     */
+    revealInFolder: filePath => invoke('image:reveal', filePath),
+
+    /** @returns {Promise<string>} 当前自动导出目录，未设置时为空字符串 */
+    getExportDirectory: () => invoke('export-dir:get'),
+
+    /** @returns {Promise<string|null>} 选择的目录，用户取消时为 null */
+    chooseExportDirectory: () => invoke('export-dir:choose'),
+
+    clearExportDirectory: () => invoke('export-dir:clear'),
+
+    /**
+     * 接收用本应用打开的图片（双击文件、拖到程序图标、命令行参数）；注册时先取回页面加载前排队的文件
+     * @param {(files: Array<{ name: string, mimeType: string, data: Uint8Array }>) => void} callback
+     * @param {(error: Error) => void} [onError] - 取回排队文件失败时调用
+     */
+    onOpenFiles: (callback, onError) => {
+        ipcRenderer.on('files:open', (event, files) => callback(files));
+        invoke('files:ready')
+            .then(files => {
+                if (files.length > 0) callback(files);
+            })
+            .catch(error => {
+                if (onError) onError(error);
+                else console.error('读取待打开的文件失败:', error);
+            });
+    },
+
+    /**
+     * 密钥保存在主进程中用系统加密存储，页面按 profile ID 操作，只能拿到脱敏后的状态
+     */
+    keys: {
+        get: profileId => invoke('keys:get', profileId),
+        set: (profileId, apiKey) => invoke('keys:set', profileId, apiKey),
+        remove: profileId => invoke('keys:remove', profileId)
+    }
+});
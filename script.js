@@ -6,17 +6,37 @@
 // 全局应用状态
 const AppState = {
     baseUrl: 'https://api.linkapi.org',
-    apiKey: '',
+    keyProfile: 'default',      // 服务端密钥配置 ID，浏览器不持有明文密钥
+    keyStatus: { configured: false, maskedKey: '', keyCount: 0 },
+    fallbackEndpoints: [],      // 备用线路 { id, baseUrl, protocol, keyProfile, configured }，主线路失败时按顺序切换
+    modelAdapters: [],          // 自定义模型适配 { id, match, protocol, path, auth, features }，优先于内置规则
+    conversationId: null,       // 本次会话 ID，随生成结果写入本地作品库
     selectedModel: 'nano-banana-2-4k',
     imageSize: '',
+    protocol: 'auto',           // 主线路接口协议：auto / gemini / openai-chat / openai-images
+    generateCount: 1,           // OpenAI Images 协议一次生成的图片数
     isGenerating: false,
     isSidebarOpen: false,
     generationHistory: [],      // 仅存文本和 imageId
     conversationHistory: [],    // 发给 API 的上下文
     currentImages: [],          // 当前待发送图片 { id, base64, mimeType, file }
-    activeHistoryId: null
+    activeHistoryId: null,
+    usagePeriod: 'day',         // 用量统计显示今日 / 本月
+    usageSummary: null,
+    notifiedUsageWarnings: [],  // 已弹出过的预算提醒，避免每次刷新重复提示
+    batchFile: null,            // 待导入的批量文件 { name, content, format }
+    batchAttachments: {},       // 批量参考图，文件名 -> { mimeType, data }
+    currentBatch: null,         // 当前显示的批量任务快照
+    batchWasRunning: false      // 本页面看到过进行中的批量任务，结束时才提醒
 };
 
+// 尚未取回结果的服务端任务 ID，刷新页面后据此恢复
+const PENDING_JOBS_STORAGE_KEY = 'nano-banana-pending-jobs';
+const FALLBACK_ENDPOINTS_STORAGE_KEY = 'nano-banana-fallback-endpoints';
+const MODEL_ADAPTERS_STORAGE_KEY = 'nano-banana-model-adapters';
+// 当前批量任务 ID，刷新页面后继续显示进度
+const CURRENT_BATCH_STORAGE_KEY = 'nano-banana-current-batch';
+
 // DOM 引用
 const DOMElements = {
     baseUrlInput: null,
@@ -25,20 +45,46 @@ const DOMElements = {
     imageCount: null,
     clearAllImagesBtn: null,
     apiKeyInput: null,
+    apiKeyStatus: null,
+    fallbackList: null,
+    modelAdapterList: null,
     modelInput: null,
     modelList: null,
     imageSizeSelect: null,
+    protocolSelect: null,
+    generateCountSelect: null,
+    webhookRow: null,
+    webhookUrlInput: null,
+    exportDirRow: null,
+    exportDirInput: null,
     promptInput: null,
     generateBtn: null,
     progressSection: null,
     progressFill: null,
     progressText: null,
+    progressQueue: null,
     resultSection: null,
     chatStream: null,
     historySidebar: null,
     historyList: null,
     historyCount: null,
-    clearHistoryBtn: null
+    clearHistoryBtn: null,
+    usageSection: null,
+    usageWarning: null,
+    usageTotals: null,
+    usageTableBody: null,
+    usageDailyBudget: null,
+    usageMonthlyBudget: null,
+    usagePricing: null,
+    batchSection: null,
+    batchFileInput: null,
+    batchImagesInput: null,
+    batchConcurrency: null,
+    startBatchBtn: null,
+    cancelBatchBtn: null,
+    exportBatchBtn: null,
+    batchSummary: null,
+    batchTableBody: null
 };
 
 /**
@@ -53,15 +99,25 @@ function initializeApp() {
     DOMElements.clearAllImagesBtn = document.getElementById('clearAllImagesBtn');
 
     DOMElements.apiKeyInput = document.getElementById('apiKey');
+    DOMElements.apiKeyStatus = document.getElementById('apiKeyStatus');
+    DOMElements.fallbackList = document.getElementById('fallbackList');
+    DOMElements.modelAdapterList = document.getElementById('modelAdapterList');
     DOMElements.modelInput = document.getElementById('modelInput');
     DOMElements.modelList = document.getElementById('modelList');
     DOMElements.imageSizeSelect = document.getElementById('imageSize');
+    DOMElements.protocolSelect = document.getElementById('apiProtocol');
+    DOMElements.generateCountSelect = document.getElementById('generateCount');
+    DOMElements.webhookRow = document.getElementById('webhookRow');
+    DOMElements.webhookUrlInput = document.getElementById('webhookUrl');
+    DOMElements.exportDirRow = document.getElementById('exportDirRow');
+    DOMElements.exportDirInput = document.getElementById('exportDir');
     DOMElements.promptInput = document.getElementById('promptInput');
     DOMElements.generateBtn = document.getElementById('generateBtn');
 
     DOMElements.progressSection = document.getElementById('progressSection');
     DOMElements.progressFill = document.getElementById('progressFill');
     DOMElements.progressText = document.getElementById('progressText');
+    DOMElements.progressQueue = document.getElementById('progressQueue');
 
     DOMElements.resultSection = document.getElementById('resultSection');
     DOMElements.chatStream = document.getElementById('chatStream');
@@ -71,11 +127,41 @@ function initializeApp() {
     DOMElements.historyCount = document.getElementById('historyCount');
     DOMElements.clearHistoryBtn = document.getElementById('clearHistoryBtn');
 
+    DOMElements.usageSection = document.getElementById('usageSection');
+    DOMElements.usageWarning = document.getElementById('usageWarning');
+    DOMElements.usageTotals = document.getElementById('usageTotals');
+    DOMElements.usageTableBody = document.getElementById('usageTableBody');
+    DOMElements.usageDailyBudget = document.getElementById('usageDailyBudget');
+    DOMElements.usageMonthlyBudget = document.getElementById('usageMonthlyBudget');
+    DOMElements.usagePricing = document.getElementById('usagePricing');
+
+    DOMElements.batchSection = document.getElementById('batchSection');
+    DOMElements.batchFileInput = document.getElementById('batchFileInput');
+    DOMElements.batchImagesInput = document.getElementById('batchImagesInput');
+    DOMElements.batchConcurrency = document.getElementById('batchConcurrency');
+    DOMElements.startBatchBtn = document.getElementById('startBatchBtn');
+    DOMElements.cancelBatchBtn = document.getElementById('cancelBatchBtn');
+    DOMElements.exportBatchBtn = document.getElementById('exportBatchBtn');
+    DOMElements.batchSummary = document.getElementById('batchSummary');
+    DOMElements.batchTableBody = document.getElementById('batchTableBody');
+
+    AppState.conversationId = `conv_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`;
+
     bindEventListeners();
     restoreConfigFromStorage();
+    restoreKeyStatus();
+    restoreFallbackEndpoints();
+    restoreModelAdapters();
     updateGenerateButtonState();
     loadHistoryFromStorage();
     updateHistoryDisplay();
+    resumePendingJobs();
+    refreshUsage();
+    loadUsageSettingsForm();
+    loadWebhookSettingsForm();
+    loadExportDirectoryForm();
+    initDesktopFileOpening();
+    initBatchSection();
 
     showNotification('应用初始化完成', 'success');
 }
@@ -89,7 +175,7 @@ function bindEventListeners() {
     }
 
     if (DOMElements.apiKeyInput) {
-        DOMElements.apiKeyInput.addEventListener('input', debounce(handleApiKeyChange, 300));
+        DOMElements.apiKeyInput.addEventListener('change', handleApiKeyChange);
     }
 
     if (DOMElements.modelInput) {
@@ -101,6 +187,19 @@ function bindEventListeners() {
         DOMElements.imageSizeSelect.addEventListener('change', handleImageSizeChange);
     }
 
+    if (DOMElements.protocolSelect) {
+        DOMElements.protocolSelect.addEventListener('change', handleProtocolChange);
+    }
+
+    if (DOMElements.batchFileInput) {
+        DOMElements.batchFileInput.addEventListener('change', handleBatchFileSelect);
+        DOMElements.batchImagesInput.addEventListener('change', handleBatchImagesSelect);
+    }
+
+    if (DOMElements.generateCountSelect) {
+        DOMElements.generateCountSelect.addEventListener('change', handleGenerateCountChange);
+    }
+
     if (DOMElements.promptInput) {
         DOMElements.promptInput.addEventListener('input', debounce(updateGenerateButtonState, 300));
     }
@@ -135,17 +234,407 @@ function handleBaseUrlChange() {
     }
 }
 
-function handleApiKeyChange() {
-    AppState.apiKey = DOMElements.apiKeyInput.value.trim();
-    if (AppState.apiKey) {
-        localStorage.setItem('gemini-api-key', AppState.apiKey);
+/**
+ * 输入新密钥后提交给本地服务端保存，输入框随即清空
+ */
+async function handleApiKeyChange() {
+    const apiKey = DOMElements.apiKeyInput.value.trim();
+    if (!apiKey) return;
+
+    try {
+        const status = await saveApiKey(AppState.keyProfile, apiKey);
+        DOMElements.apiKeyInput.value = '';
+        applyKeyStatus(status);
+        showNotification('API 密钥已保存到本地服务端', 'success');
+    } catch (error) {
+        console.error('保存 API 密钥失败:', error);
+        showNotification(`保存 API 密钥失败: ${error.message}`, 'error');
+    }
+}
+
+async function clearApiKey() {
+    if (!AppState.keyStatus.configured) return;
+    if (!confirm('确定删除本地保存的 API 密钥吗？')) return;
+
+    try {
+        await deleteApiKey(AppState.keyProfile);
+        applyKeyStatus({ configured: false, maskedKey: '' });
+        showNotification('API 密钥已删除', 'info');
+    } catch (error) {
+        console.error('删除 API 密钥失败:', error);
+        showNotification(`删除 API 密钥失败: ${error.message}`, 'error');
+    }
+}
+
+function applyKeyStatus(status) {
+    AppState.keyStatus = {
+        configured: !!(status && status.configured),
+        maskedKey: (status && status.maskedKey) || '',
+        keyCount: (status && status.keyCount) || 0
+    };
+
+    // 服务端密钥池里有多把密钥时，输入新密钥会替换整个池
+    const isPool = AppState.keyStatus.keyCount > 1;
+    if (DOMElements.apiKeyInput) {
+        DOMElements.apiKeyInput.placeholder = AppState.keyStatus.configured
+            ? (isPool
+                ? `已配置 ${AppState.keyStatus.keyCount} 把密钥的密钥池，输入新密钥将替换整个池`
+                : `已配置 ${AppState.keyStatus.maskedKey}，输入新密钥可替换`)
+            : '输入 nanobanana-pro API Key';
+    }
+    if (DOMElements.apiKeyStatus) {
+        DOMElements.apiKeyStatus.textContent = AppState.keyStatus.configured
+            ? (isPool ? `✅ 密钥池 ×${AppState.keyStatus.keyCount}` : '✅ 已配置')
+            : '⚠️ 未配置';
+        DOMElements.apiKeyStatus.classList.toggle('configured', AppState.keyStatus.configured);
     }
     updateGenerateButtonState();
 }
 
+/**
+ * 读取服务端密钥状态；旧版本存在 localStorage 里的密钥会被迁移到服务端（桌面版为主进程加密存储）并删除
+ */
+async function restoreKeyStatus() {
+    const legacyKey = localStorage.getItem('gemini-api-key');
+
+    try {
+        if (legacyKey) {
+            // 密钥库中已有密钥时以密钥库为准，只清除浏览器中残留的旧版明文密钥
+            const current = await fetchKeyStatus(AppState.keyProfile);
+            if (current.configured) {
+                localStorage.removeItem('gemini-api-key');
+                applyKeyStatus(current);
+                return;
+            }
+
+            const status = await saveApiKey(AppState.keyProfile, legacyKey);
+            localStorage.removeItem('gemini-api-key');
+            applyKeyStatus(status);
+            showNotification(`已将浏览器中保存的 API 密钥迁移到${window.nanoBanana ? '系统加密存储' : '本地服务端'}`, 'info');
+            return;
+        }
+
+        applyKeyStatus(await fetchKeyStatus(AppState.keyProfile));
+    } catch (error) {
+        console.error('读取密钥状态失败:', error);
+        applyKeyStatus({ configured: false, maskedKey: '' });
+    }
+}
+
+/**
+ * 备用线路：每条线路有独立的域名、协议和密钥（密钥同样保存在本地服务端，按 profile ID 引用）
+ */
+function restoreFallbackEndpoints() {
+    try {
+        AppState.fallbackEndpoints = JSON.parse(localStorage.getItem(FALLBACK_ENDPOINTS_STORAGE_KEY)) || [];
+    } catch (_) {
+        AppState.fallbackEndpoints = [];
+    }
+    renderFallbackEndpoints();
+
+    AppState.fallbackEndpoints.forEach(async endpoint => {
+        try {
+            const status = await fetchKeyStatus(endpoint.keyProfile);
+            updateFallbackEndpoint(endpoint.id, { configured: status.configured });
+        } catch (error) {
+            console.warn(`读取备用线路密钥状态失败: ${error.message}`);
+        }
+    });
+}
+
+function saveFallbackEndpoints() {
+    if (AppState.fallbackEndpoints.length) {
+        localStorage.setItem(FALLBACK_ENDPOINTS_STORAGE_KEY, JSON.stringify(AppState.fallbackEndpoints));
+    } else {
+        localStorage.removeItem(FALLBACK_ENDPOINTS_STORAGE_KEY);
+    }
+}
+
+function addFallbackEndpoint() {
+    const id = `fallback-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`;
+    AppState.fallbackEndpoints.push({ id, baseUrl: '', protocol: 'auto', keyProfile: id, configured: false });
+    saveFallbackEndpoints();
+    renderFallbackEndpoints();
+}
+
+async function removeFallbackEndpoint(id) {
+    const endpoint = AppState.fallbackEndpoints.find(item => item.id === id);
+    if (!endpoint) return;
+
+    AppState.fallbackEndpoints = AppState.fallbackEndpoints.filter(item => item.id !== id);
+    saveFallbackEndpoints();
+    renderFallbackEndpoints();
+
+    if (endpoint.configured) {
+        try {
+            await deleteApiKey(endpoint.keyProfile);
+        } catch (error) {
+            console.error('删除备用线路密钥失败:', error);
+        }
+    }
+}
+
+function updateFallbackEndpoint(id, changes) {
+    const endpoint = AppState.fallbackEndpoints.find(item => item.id === id);
+    if (!endpoint) return;
+    Object.assign(endpoint, changes);
+    saveFallbackEndpoints();
+    if ('configured' in changes) renderFallbackEndpoints();
+}
+
+async function saveFallbackKey(id, input) {
+    const apiKey = input.value.trim();
+    if (!apiKey) return;
+
+    try {
+        await saveApiKey(id, apiKey);
+        updateFallbackEndpoint(id, { configured: true });
+        showNotification('备用线路密钥已保存到本地服务端', 'success');
+    } catch (error) {
+        console.error('保存备用线路密钥失败:', error);
+        showNotification(`保存备用线路密钥失败: ${error.message}`, 'error');
+    }
+}
+
+function renderFallbackEndpoints() {
+    const list = DOMElements.fallbackList;
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (AppState.fallbackEndpoints.length === 0) {
+        list.innerHTML = '<span class="fallback-empty">未配置（主线路失败时直接报错）</span>';
+        return;
+    }
+
+    AppState.fallbackEndpoints.forEach((endpoint, index) => {
+        const row = document.createElement('div');
+        row.className = 'fallback-item';
+        row.innerHTML = `
+            <span class="fallback-order">${index + 1}</span>
+            <input type="text" class="config-input" placeholder="https://备用域名">
+            <select class="config-input">
+                <option value="auto">自动</option>
+                <option value="gemini">Gemini</option>
+                <option value="openai-chat">OpenAI Chat</option>
+                <option value="openai-images">OpenAI Images</option>
+            </select>
+            <input type="password" class="config-input" autocomplete="off">
+            <button class="refresh-btn" title="删除备用线路">🗑️</button>
+        `;
+
+        const [baseUrlInput, keyInput] = row.querySelectorAll('input');
+        const protocolSelect = row.querySelector('select');
+        baseUrlInput.value = endpoint.baseUrl;
+        protocolSelect.value = endpoint.protocol;
+        keyInput.placeholder = endpoint.configured ? '✅ 密钥已配置，输入可替换' : '⚠️ 输入该线路的 API Key';
+
+        baseUrlInput.addEventListener('input', debounce(() => {
+            updateFallbackEndpoint(endpoint.id, { baseUrl: baseUrlInput.value.trim().replace(/\/+$/, '') });
+        }, 300));
+        baseUrlInput.addEventListener('change', () => checkFallbackOrigin(baseUrlInput.value.trim(), baseUrlInput));
+        checkFallbackOrigin(endpoint.baseUrl, baseUrlInput, { notify: false });
+        protocolSelect.addEventListener('change', () => updateFallbackEndpoint(endpoint.id, { protocol: protocolSelect.value }));
+        keyInput.addEventListener('change', () => saveFallbackKey(endpoint.id, keyInput));
+        row.querySelector('button').addEventListener('click', () => removeFallbackEndpoint(endpoint.id));
+
+        list.appendChild(row);
+    });
+}
+
+/**
+ * 备用线路的域名不在代理白名单中时标记输入框并提示，而不是等到切换线路时才被代理拒绝
+ * @param {string} baseUrl
+ * @param {HTMLInputElement} input
+ * @param {{ notify?: boolean }} [options] - notify 为 false 时只标记输入框（页面加载时）
+ */
+async function checkFallbackOrigin(baseUrl, input, { notify = true } = {}) {
+    input.classList.remove('rejected');
+    input.title = '';
+    if (!baseUrl) return;
+
+    try {
+        const result = await checkProxyTarget(baseUrl);
+        if (!result || result.allowed || input.value.trim() !== baseUrl) return;
+        input.classList.add('rejected');
+        input.title = result.message;
+        if (notify) showNotification(`备用线路无法使用：${result.message}`, 'error');
+    } catch (error) {
+        console.warn('检查备用线路失败:', error.message);
+    }
+}
+
+/**
+ * 本次生成依次尝试的端点：主线路在前，未填写域名或密钥的备用线路跳过
+ */
+function buildGenerationEndpoints() {
+    return [
+        { id: 'primary', baseUrl: AppState.baseUrl, keyProfile: AppState.keyProfile, protocol: AppState.protocol },
+        ...AppState.fallbackEndpoints
+            .filter(endpoint => endpoint.baseUrl && endpoint.configured)
+            .map(({ id, baseUrl, keyProfile, protocol }) => ({ id, baseUrl, keyProfile, protocol }))
+    ];
+}
+
+/**
+ * 自定义模型：按模型名（* 为通配符）指定协议、接口路径、鉴权方式和支持的功能，无需改代码即可接入新的模型
+ */
+function restoreModelAdapters() {
+    try {
+        AppState.modelAdapters = JSON.parse(localStorage.getItem(MODEL_ADAPTERS_STORAGE_KEY)) || [];
+    } catch (_) {
+        AppState.modelAdapters = [];
+    }
+    renderModelAdapters();
+    appendCustomModelOptions();
+    updateModelCapabilityHints();
+}
+
+function saveModelAdapters() {
+    if (AppState.modelAdapters.length) {
+        localStorage.setItem(MODEL_ADAPTERS_STORAGE_KEY, JSON.stringify(AppState.modelAdapters));
+    } else {
+        localStorage.removeItem(MODEL_ADAPTERS_STORAGE_KEY);
+    }
+    appendCustomModelOptions();
+    updateModelCapabilityHints();
+}
+
+function addModelAdapter() {
+    const defaults = API_CONFIG.PROTOCOL_DEFAULTS['openai-chat'];
+    AppState.modelAdapters.push({
+        id: `model-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`,
+        match: '',
+        protocol: 'openai-chat',
+        path: '',
+        auth: '',
+        features: { ...defaults.features }
+    });
+    saveModelAdapters();
+    renderModelAdapters();
+}
+
+function removeModelAdapter(id) {
+    AppState.modelAdapters = AppState.modelAdapters.filter(item => item.id !== id);
+    saveModelAdapters();
+    renderModelAdapters();
+}
+
+function updateModelAdapter(id, changes) {
+    const adapter = AppState.modelAdapters.find(item => item.id === id);
+    if (!adapter) return;
+    Object.assign(adapter, changes);
+    saveModelAdapters();
+}
+
+const MODEL_FEATURE_LABELS = {
+    imageSize: '分辨率',
+    history: '上下文',
+    multiImage: '多图'
+};
+
+function renderModelAdapters() {
+    const list = DOMElements.modelAdapterList;
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (AppState.modelAdapters.length === 0) {
+        list.innerHTML = '<span class="fallback-empty">未配置（按内置规则：nano-banana* 走 OpenAI Chat，gpt-image* / dall-e* 走 OpenAI Images，其余走 Gemini）</span>';
+        return;
+    }
+
+    AppState.modelAdapters.forEach(adapter => {
+        const row = document.createElement('div');
+        row.className = 'fallback-item model-adapter-item';
+        row.innerHTML = `
+            <input type="text" class="config-input" placeholder="模型名，如 nano-banana-pro 或 my-model-*">
+            <select class="config-input">
+                <option value="gemini">Gemini</option>
+                <option value="openai-chat">OpenAI Chat</option>
+                <option value="openai-images">OpenAI Images</option>
+            </select>
+            <input type="text" class="config-input">
+            <select class="config-input">
+                <option value="">默认鉴权</option>
+                <option value="bearer">Bearer</option>
+                <option value="x-goog-api-key">x-goog-api-key</option>
+            </select>
+            <span class="model-adapter-features">
+                ${Object.entries(MODEL_FEATURE_LABELS).map(([name, label]) => `<label><input type="checkbox" data-feature="${name}">${label}</label>`).join('')}
+            </span>
+            <button class="refresh-btn" title="删除自定义模型">🗑️</button>
+        `;
+
+        const [matchInput, pathInput] = row.querySelectorAll('input[type="text"]');
+        const [protocolSelect, authSelect] = row.querySelectorAll('select');
+        matchInput.value = adapter.match;
+        protocolSelect.value = adapter.protocol;
+        pathInput.value = adapter.path || '';
+        pathInput.placeholder = `接口路径，默认 ${API_CONFIG.PROTOCOL_DEFAULTS[adapter.protocol].path}`;
+        authSelect.value = adapter.auth || '';
+        row.querySelectorAll('input[data-feature]').forEach(checkbox => {
+            checkbox.checked = !!adapter.features[checkbox.dataset.feature];
+            checkbox.addEventListener('change', () => {
+                updateModelAdapter(adapter.id, { features: { ...adapter.features, [checkbox.dataset.feature]: checkbox.checked } });
+            });
+        });
+
+        matchInput.addEventListener('input', debounce(() => updateModelAdapter(adapter.id, { match: matchInput.value.trim() }), 300));
+        pathInput.addEventListener('input', debounce(() => updateModelAdapter(adapter.id, { path: pathInput.value.trim() }), 300));
+        // 切换协议时功能开关重置为该协议的默认值
+        protocolSelect.addEventListener('change', () => {
+            updateModelAdapter(adapter.id, {
+                protocol: protocolSelect.value,
+                features: { ...API_CONFIG.PROTOCOL_DEFAULTS[protocolSelect.value].features }
+            });
+            renderModelAdapters();
+        });
+        authSelect.addEventListener('change', () => updateModelAdapter(adapter.id, { auth: authSelect.value }));
+        row.querySelector('button').addEventListener('click', () => removeModelAdapter(adapter.id));
+
+        list.appendChild(row);
+    });
+}
+
+/**
+ * 自定义模型中不含通配符的模型名加入模型下拉建议
+ */
+function appendCustomModelOptions() {
+    if (!DOMElements.modelList) return;
+    DOMElements.modelList.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+    const existing = new Set(Array.from(DOMElements.modelList.options).map(option => option.value));
+    AppState.modelAdapters
+        .map(adapter => adapter.match)
+        .filter(match => match && !match.includes('*') && !existing.has(match))
+        .forEach(match => {
+            const option = document.createElement('option');
+            option.value = match;
+            option.dataset.custom = 'true';
+            DOMElements.modelList.appendChild(option);
+        });
+}
+
+/**
+ * 当前模型不支持分辨率参数时禁用分辨率选择，避免误以为已生效
+ */
+function updateModelCapabilityHints() {
+    if (!DOMElements.imageSizeSelect) return;
+    const adapter = resolveModelAdapter(AppState.selectedModel, { protocol: AppState.protocol, adapters: AppState.modelAdapters });
+    DOMElements.imageSizeSelect.disabled = !adapter.features.imageSize;
+    DOMElements.imageSizeSelect.title = adapter.features.imageSize
+        ? ''
+        : `模型 ${AppState.selectedModel || '(未填写)'} 使用 ${adapter.protocol} 协议，不支持分辨率参数（可在「自定义模型」中开启）`;
+
+    // OpenAI Images 只开放有 size 映射的分辨率
+    Array.from(DOMElements.imageSizeSelect.options).forEach(option => {
+        option.disabled = Boolean(option.value && adapter.sizes && !adapter.sizes[option.value]);
+        option.title = option.disabled ? `${adapter.protocol} 协议的模型 ${AppState.selectedModel} 不支持该分辨率` : (adapter.sizes && adapter.sizes[option.value]) || '';
+    });
+}
+
 function handleModelChange() {
     AppState.selectedModel = DOMElements.modelInput.value.trim();
     updateGenerateButtonState();
+    updateModelCapabilityHints();
 }
 
 function handleImageSizeChange() {
@@ -154,6 +643,17 @@ function handleImageSizeChange() {
     localStorage.setItem('gemini-image-size', value || '');
 }
 
+function handleProtocolChange() {
+    AppState.protocol = DOMElements.protocolSelect.value || 'auto';
+    localStorage.setItem('nano-banana-protocol', AppState.protocol);
+    updateModelCapabilityHints();
+}
+
+function handleGenerateCountChange() {
+    AppState.generateCount = Number(DOMElements.generateCountSelect.value) || 1;
+    localStorage.setItem('nano-banana-generate-count', String(AppState.generateCount));
+}
+
 function restoreConfigFromStorage() {
     const savedBaseUrl = localStorage.getItem('gemini-api-base-url');
     if (savedBaseUrl && DOMElements.baseUrlInput) {
@@ -161,12 +661,7 @@ function restoreConfigFromStorage() {
         AppState.baseUrl = savedBaseUrl;
     } else if (DOMElements.baseUrlInput) {
         DOMElements.baseUrlInput.value = AppState.baseUrl;
-    }
-
-    const savedApiKey = localStorage.getItem('gemini-api-key');
-    if (savedApiKey && DOMElements.apiKeyInput) {
-        DOMElements.apiKeyInput.value = savedApiKey;
-        AppState.apiKey = savedApiKey;
+        applyServerDefaultBaseUrl();
     }
 
     const savedImageSize = localStorage.getItem('gemini-image-size');
@@ -174,13 +669,41 @@ function restoreConfigFromStorage() {
         DOMElements.imageSizeSelect.value = savedImageSize || '';
         AppState.imageSize = savedImageSize || '';
     }
+
+    const savedProtocol = localStorage.getItem('nano-banana-protocol');
+    if (DOMElements.protocolSelect) {
+        DOMElements.protocolSelect.value = savedProtocol || 'auto';
+        AppState.protocol = DOMElements.protocolSelect.value || 'auto';
+    }
+
+    const savedCount = localStorage.getItem('nano-banana-generate-count');
+    if (DOMElements.generateCountSelect) {
+        DOMElements.generateCountSelect.value = savedCount || '1';
+        AppState.generateCount = Number(DOMElements.generateCountSelect.value) || 1;
+    }
+}
+
+/**
+ * 未手动设置 Base URL 时，采用服务端配置中的默认地址
+ */
+async function applyServerDefaultBaseUrl() {
+    try {
+        const clientConfig = await fetchClientConfig();
+        if (!clientConfig || !clientConfig.defaultBaseUrl || localStorage.getItem('gemini-api-base-url')) return;
+        AppState.baseUrl = clientConfig.defaultBaseUrl;
+        if (DOMElements.baseUrlInput) {
+            DOMElements.baseUrlInput.value = clientConfig.defaultBaseUrl;
+        }
+    } catch (error) {
+        console.warn('读取服务端配置失败:', error.message);
+    }
 }
 
 /**
  * 刷新模型列表
  */
 async function refreshModels() {
-    if (!AppState.apiKey) {
+    if (!AppState.keyStatus.configured) {
         showNotification('请先输入 API 密钥', 'error');
         return;
     }
@@ -193,7 +716,7 @@ async function refreshModels() {
         refreshBtn.textContent = '🔄';
         refreshBtn.disabled = true;
 
-        const models = await getAvailableModels(AppState.apiKey, AppState.baseUrl);
+        const models = await getAvailableModels(AppState.keyProfile, AppState.baseUrl);
 
         if (DOMElements.modelList) {
             DOMElements.modelList.innerHTML = '';
@@ -202,6 +725,7 @@ async function refreshModels() {
                 option.value = model;
                 DOMElements.modelList.appendChild(option);
             });
+            appendCustomModelOptions();
         }
 
         if (models.length > 0) {
@@ -317,7 +841,7 @@ function updateImageCount() {
 function updateGenerateButtonState() {
     if (!DOMElements.generateBtn) return;
 
-    const hasApiKey = !!AppState.apiKey;
+    const hasApiKey = AppState.keyStatus.configured;
     const hasPrompt = DOMElements.promptInput && DOMElements.promptInput.value.trim().length > 0;
     const isNotGenerating = !AppState.isGenerating;
 
@@ -346,6 +870,10 @@ async function generateImage() {
     const prompt = DOMElements.promptInput.value.trim();
     if (!prompt) return;
 
+    let liveMessage = null;
+    // 在点击生成时请求通知权限，生成期间切换窗口也能收到完成提醒
+    requestDesktopNotificationPermission();
+
     try {
         AppState.isGenerating = true;
         updateGenerateButtonState();
@@ -368,16 +896,24 @@ async function generateImage() {
 
         DOMElements.progressSection.style.display = 'block';
         updateProgress(5, '准备发送请求...');
+        startQueueStatusPolling();
 
-        const result = await generateImageWithGemini({
+        // 流式结果先渲染到占位消息里，完成后再替换为最终内容
+        liveMessage = renderMessage('model', { text: '' });
+        liveMessage.classList.add('streaming');
+
+        const result = await runGeneration({
             baseUrl: AppState.baseUrl,
-            apiKey: AppState.apiKey,
+            keyProfile: AppState.keyProfile,
+            endpoints: buildGenerationEndpoints(),
             model: AppState.selectedModel,
             history: AppState.conversationHistory,
             newParts,
-            onProgress: updateProgress,
-            imageSize: AppState.imageSize
-        });
+            modelAdapters: AppState.modelAdapters,
+            imageSize: AppState.imageSize,
+            n: AppState.generateCount,
+            conversationId: AppState.conversationId
+        }, liveMessage);
 
         AppState.conversationHistory.push({ role: 'user', parts: newParts });
         AppState.conversationHistory.push({
@@ -385,7 +921,10 @@ async function generateImage() {
             parts: [{ text: result.text || '[Image Generated]' }]
         });
 
-        renderMessage('model', result);
+        liveMessage.classList.remove('streaming');
+        updateMessage(liveMessage, 'model', result);
+        notifyGenerationFinished(liveMessage, { prompt, result });
+        autoExportImages(liveMessage, result.images);
 
         await saveToHistory({
             prompt,
@@ -399,11 +938,19 @@ async function generateImage() {
     } catch (error) {
         console.error('生成失败:', error);
         showNotification(`生成失败: ${error.message}`, 'error');
-        renderMessage('model', { text: `❌ 错误: ${error.message}` });
+        if (liveMessage) {
+            liveMessage.classList.remove('streaming');
+            updateMessage(liveMessage, 'model', { text: `❌ 错误: ${error.message}` });
+            notifyGenerationFinished(liveMessage, { prompt, error });
+        } else {
+            renderMessage('model', { text: `❌ 错误: ${error.message}` });
+        }
     } finally {
         AppState.isGenerating = false;
+        stopQueueStatusPolling();
         DOMElements.progressSection.style.display = 'none';
         updateGenerateButtonState();
+        refreshUsage();
         setTimeout(() => {
             DOMElements.chatStream.scrollTop = DOMElements.chatStream.scrollHeight;
         }, 100);
@@ -411,12 +958,184 @@ async function generateImage() {
 }
 
 /**
- * 渲染聊天消息
+ * 提交服务端生成任务并等待结果；服务端不支持任务队列时退回页面内直接生成
+ */
+async function runGeneration(params, liveMessage) {
+    const callbacks = {
+        onProgress: updateProgress,
+        onStream: partial => updateMessage(liveMessage, 'model', partial)
+    };
+
+    const job = await submitGenerationJob(params);
+    if (!job) {
+        return generateImageWithGemini({ ...params, ...callbacks });
+    }
+
+    rememberPendingJob(job.id);
+    return followGenerationJob(job.id, callbacks);
+}
+
+/**
+ * 等待任务结束；拿到最终结果（成功或失败）后从服务端和本地记录中移除
+ */
+async function followGenerationJob(jobId, callbacks) {
+    try {
+        const result = await waitForJob(jobId, callbacks);
+        releaseGenerationJob(jobId);
+        return result;
+    } catch (error) {
+        // 与本地服务的连接中断（fetch 抛出 TypeError）时保留任务，下次打开页面再取回
+        if (!(error instanceof TypeError)) {
+            releaseGenerationJob(jobId);
+        }
+        throw error;
+    }
+}
+
+function releaseGenerationJob(jobId) {
+    forgetPendingJob(jobId);
+    deleteJob(jobId).catch(error => console.error('删除生成任务失败:', error));
+}
+
+function loadPendingJobs() {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_JOBS_STORAGE_KEY)) || [];
+    } catch (_) {
+        return [];
+    }
+}
+
+function rememberPendingJob(jobId) {
+    const jobIds = loadPendingJobs().filter(id => id !== jobId);
+    jobIds.push(jobId);
+    localStorage.setItem(PENDING_JOBS_STORAGE_KEY, JSON.stringify(jobIds));
+}
+
+function forgetPendingJob(jobId) {
+    const jobIds = loadPendingJobs().filter(id => id !== jobId);
+    if (jobIds.length) {
+        localStorage.setItem(PENDING_JOBS_STORAGE_KEY, JSON.stringify(jobIds));
+    } else {
+        localStorage.removeItem(PENDING_JOBS_STORAGE_KEY);
+    }
+}
+
+/**
+ * 页面重新打开时取回上次未完成或未展示的任务，渲染到对话流并写入历史
+ */
+async function resumePendingJobs() {
+    const jobIds = loadPendingJobs();
+    if (jobIds.length === 0) return;
+
+    AppState.isGenerating = true;
+    updateGenerateButtonState();
+
+    for (const jobId of jobIds) {
+        let job;
+        try {
+            job = await fetchJob(jobId);
+        } catch (error) {
+            console.warn(`无法恢复生成任务 ${jobId}:`, error.message);
+            if (!(error instanceof TypeError)) forgetPendingJob(jobId);
+            continue;
+        }
+
+        DOMElements.resultSection.style.display = 'block';
+        renderMessage('user', { text: job.prompt });
+        const liveMessage = renderMessage('model', { text: '' });
+        liveMessage.classList.add('streaming');
+
+        if (job.status === 'queued' || job.status === 'running') {
+            DOMElements.progressSection.style.display = 'block';
+            startQueueStatusPolling();
+            showNotification('正在恢复上次未完成的生成任务', 'info');
+        }
+
+        try {
+            const result = await followGenerationJob(jobId, {
+                onProgress: updateProgress,
+                onStream: partial => updateMessage(liveMessage, 'model', partial)
+            });
+
+            AppState.conversationHistory.push({ role: 'user', parts: [{ text: job.prompt }] });
+            AppState.conversationHistory.push({
+                role: 'model',
+                parts: [{ text: result.text || '[Image Generated]' }]
+            });
+
+            liveMessage.classList.remove('streaming');
+            updateMessage(liveMessage, 'model', result);
+            notifyGenerationFinished(liveMessage, { prompt: job.prompt, result });
+            autoExportImages(liveMessage, result.images);
+
+            await saveToHistory({
+                prompt: job.prompt,
+                result,
+                imageCount: job.imageCount,
+                model: job.model
+            });
+        } catch (error) {
+            console.error('恢复生成任务失败:', error);
+            liveMessage.classList.remove('streaming');
+            updateMessage(liveMessage, 'model', { text: `❌ 错误: ${error.message}` });
+            notifyGenerationFinished(liveMessage, { prompt: job.prompt, error });
+        } finally {
+            stopQueueStatusPolling();
+            DOMElements.progressSection.style.display = 'none';
+        }
+    }
+
+    AppState.isGenerating = false;
+    updateGenerateButtonState();
+    refreshUsage();
+}
+
+/**
+ * 窗口不在前台时用系统通知提醒生成结束，点击通知后滚动到对应的结果消息
+ * @param {HTMLElement} messageDiv - 结果消息节点
+ * @param {{ prompt: string, result?: object, error?: Error }} outcome
+ */
+function notifyGenerationFinished(messageDiv, { prompt, result, error }) {
+    if (!document.hidden && document.hasFocus()) return;
+
+    const summary = prompt.length > 40 ? `${prompt.slice(0, 40)}…` : prompt;
+    const title = error ? '❌ 生成失败' : '🍌 生成完成';
+    const body = error
+        ? `${summary}\n${error.message}`
+        : `${summary}\n${result.images && result.images.length ? `${result.images.length} 张图片` : '已返回文本结果'}`;
+
+    showDesktopNotification(title, {
+        body,
+        onClick: () => {
+            DOMElements.resultSection.style.display = 'block';
+            messageDiv.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            messageDiv.classList.remove('highlight');
+            void messageDiv.offsetWidth; // 重新触发高亮动画
+            messageDiv.classList.add('highlight');
+        }
+    });
+}
+
+/**
+ * 渲染聊天消息，返回消息节点以便流式更新
  */
 function renderMessage(role, content) {
     const div = document.createElement('div');
     div.className = `message ${role}`;
+    div.innerHTML = buildMessageHtml(role, content);
+    DOMElements.chatStream.appendChild(div);
+    return div;
+}
 
+/**
+ * 用新的内容重绘已有消息（流式增量 / 最终结果）
+ */
+function updateMessage(div, role, content) {
+    div.innerHTML = buildMessageHtml(role, content);
+    DOMElements.chatStream.scrollTop = DOMElements.chatStream.scrollHeight;
+}
+
+function buildMessageHtml(role, content) {
     let html = '';
 
     if (content.text) {
@@ -433,7 +1152,10 @@ function renderMessage(role, content) {
                 html += `
                 <div class="message-image-wrapper">
                     <img src="data:${mime};base64,${b64}" alt="message image">
-                    <button class="reuse-img-btn" onclick="reuseImage('${b64}', '${mime}')">➕ 引用</button>
+                    <div class="message-image-actions">
+                        <button class="reuse-img-btn" onclick="reuseImage('${b64}', '${mime}')">➕ 引用</button>
+                        <button class="reuse-img-btn" onclick="saveGeneratedImage('${b64}', '${mime}')">💾 保存</button>
+                    </div>
                 </div>`;
             } else {
                 html += `
@@ -445,8 +1167,531 @@ function renderMessage(role, content) {
         html += `</div>`;
     }
 
-    div.innerHTML = html;
-    DOMElements.chatStream.appendChild(div);
+    // 记录实际完成生成的线路，发生过切换时列出被跳过的线路
+    if (content.endpoint) {
+        const skipped = (content.failovers || [])
+            .map(item => `${item.endpoint}${item.status ? ` (${item.status})` : ''}`)
+            .join('、');
+        html += `<div class="message-meta">🛰️ 由 ${content.endpoint.label} 生成${skipped ? `，已跳过不可用线路：${skipped}` : ''}</div>`;
+    }
+
+    return html;
+}
+
+/**
+ * 生成期间定时查询本地代理排队情况，在进度区显示「N 个请求排队中」
+ */
+let queueStatusTimer = null;
+
+function startQueueStatusPolling() {
+    stopQueueStatusPolling();
+
+    const poll = async () => {
+        try {
+            const status = await fetchProxyStatus();
+            if (!status) {
+                // 服务端不提供排队信息，不再继续查询
+                stopQueueStatusPolling();
+                return;
+            }
+            renderQueueStatus(status.waiting);
+        } catch (error) {
+            console.warn('获取代理排队情况失败:', error.message);
+        }
+    };
+
+    queueStatusTimer = setInterval(poll, API_CONFIG.QUEUE_STATUS_INTERVAL);
+    poll();
+}
+
+function stopQueueStatusPolling() {
+    clearInterval(queueStatusTimer);
+    queueStatusTimer = null;
+    renderQueueStatus(0);
+}
+
+function renderQueueStatus(waiting) {
+    if (!DOMElements.progressQueue) return;
+    DOMElements.progressQueue.style.display = waiting > 0 ? 'inline-block' : 'none';
+    DOMElements.progressQueue.textContent = `⏳ ${waiting} 个请求排队等待中`;
+}
+
+/**
+ * 用量统计：按模型 + 密钥配置显示今日 / 本月的调用、图片、token 和费用
+ */
+async function refreshUsage() {
+    if (!DOMElements.usageSection) return;
+    try {
+        const summary = await fetchUsageSummary();
+        if (!summary) {
+            // 服务端不支持用量统计（如 Python 版本）
+            DOMElements.usageSection.style.display = 'none';
+            return;
+        }
+        AppState.usageSummary = summary;
+        DOMElements.usageSection.style.display = 'block';
+        renderUsage();
+        notifyUsageWarnings(summary.warnings);
+    } catch (error) {
+        console.warn('获取用量统计失败:', error.message);
+    }
+}
+
+function switchUsagePeriod(period) {
+    AppState.usagePeriod = period;
+    document.querySelectorAll('.usage-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.period === period);
+    });
+    renderUsage();
+}
+
+function formatUsageCost(cost, currency) {
+    return `${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)} ${currency}`;
+}
+
+function renderUsage() {
+    const summary = AppState.usageSummary;
+    if (!summary) return;
+
+    const period = summary[AppState.usagePeriod];
+    const totals = period.totals;
+    const budget = AppState.usagePeriod === 'day' ? summary.budget.daily : summary.budget.monthly;
+    DOMElements.usageTotals.textContent = `${period.key}：${totals.calls} 次调用 · ${totals.images} 张图片 · ${totals.totalTokens.toLocaleString()} tokens · `
+        + `${formatUsageCost(totals.cost, summary.currency)}${budget ? ` / 预算 ${budget} ${summary.currency}` : ''}`;
+
+    DOMElements.usageTableBody.innerHTML = '';
+    if (period.breakdown.length === 0) {
+        const row = DOMElements.usageTableBody.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 6;
+        cell.className = 'usage-empty';
+        cell.textContent = '暂无用量记录';
+    }
+    period.breakdown.forEach(item => {
+        const row = DOMElements.usageTableBody.insertRow();
+        [
+            item.model,
+            item.keyProfile || '-',
+            item.calls,
+            item.images,
+            `${item.inputTokens.toLocaleString()} / ${item.outputTokens.toLocaleString()}`,
+            item.unpricedCalls === item.calls ? '未定价' : formatUsageCost(item.cost, summary.currency)
+        ].forEach(value => {
+            row.insertCell().textContent = value;
+        });
+    });
+
+    const warnings = summary.warnings || [];
+    DOMElements.usageWarning.style.display = warnings.length ? 'block' : 'none';
+    DOMElements.usageWarning.textContent = warnings.map(warning => `⚠️ ${warning.message}`).join('\n');
+}
+
+function notifyUsageWarnings(warnings) {
+    (warnings || []).forEach(warning => {
+        const key = `${warning.period}:${warning.ratio >= 1 ? 'over' : 'near'}`;
+        if (AppState.notifiedUsageWarnings.includes(key)) return;
+        AppState.notifiedUsageWarnings.push(key);
+        showNotification(warning.message, warning.ratio >= 1 ? 'error' : 'warning');
+    });
+}
+
+async function loadUsageSettingsForm() {
+    try {
+        const settings = await fetchUsageSettings();
+        if (!settings) return;
+        DOMElements.usageDailyBudget.value = settings.budget.daily || '';
+        DOMElements.usageMonthlyBudget.value = settings.budget.monthly || '';
+        DOMElements.usagePricing.value = JSON.stringify(settings.pricing, null, 2);
+    } catch (error) {
+        console.warn('获取用量设置失败:', error.message);
+    }
+}
+
+async function saveUsageSettingsFromForm() {
+    let pricing;
+    try {
+        pricing = JSON.parse(DOMElements.usagePricing.value || '{}');
+    } catch (_) {
+        showNotification('价格表不是有效的 JSON', 'error');
+        return;
+    }
+
+    try {
+        await saveUsageSettings({
+            pricing,
+            budget: {
+                daily: Number(DOMElements.usageDailyBudget.value) || 0,
+                monthly: Number(DOMElements.usageMonthlyBudget.value) || 0
+            }
+        });
+        AppState.notifiedUsageWarnings = [];
+        showNotification('用量设置已保存', 'success');
+        refreshUsage();
+    } catch (error) {
+        showNotification(`保存用量设置失败: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * 读取 Webhook 设置；服务端不支持时（如 Python 版本）隐藏该配置行
+ */
+async function loadWebhookSettingsForm() {
+    if (!DOMElements.webhookRow) return;
+    try {
+        const settings = await fetchWebhookSettings();
+        if (!settings) return;
+        DOMElements.webhookUrlInput.value = settings.url || '';
+        DOMElements.webhookRow.style.display = '';
+    } catch (error) {
+        console.warn('读取 Webhook 设置失败:', error.message);
+    }
+}
+
+async function saveWebhookUrl() {
+    try {
+        const settings = await saveWebhookSettings({ url: DOMElements.webhookUrlInput.value.trim() });
+        DOMElements.webhookUrlInput.value = settings.url;
+        showNotification(settings.url ? 'Webhook 地址已保存' : '已关闭完成通知 Webhook', 'success');
+    } catch (error) {
+        showNotification(`保存 Webhook 失败: ${error.message}`, 'error');
+    }
+}
+
+async function sendTestWebhook() {
+    try {
+        const outcome = await testWebhook();
+        if (outcome.ok) {
+            showNotification(`测试通知已送达（${outcome.status}）`, 'success');
+        } else {
+            showNotification(`测试通知失败: ${outcome.message || `HTTP ${outcome.status}`}`, 'error');
+        }
+    } catch (error) {
+        showNotification(`测试通知失败: ${error.message}`, 'error');
+    }
+}
+
+// ---------- 保存与自动导出 ----------
+// 桌面版通过 preload.js 提供 window.nanoBanana（原生对话框、写入文件），网页版退回浏览器下载
+
+const IMAGE_FILE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+function buildImageFilename(mimeType) {
+    return generateTimestampFilename('nano-banana', IMAGE_FILE_EXTENSIONS[mimeType] || 'png');
+}
+
+/**
+ * 保存单张生成结果：桌面版弹出「另存为」对话框，网页版直接下载
+ */
+async function saveGeneratedImage(base64, mimeType) {
+    const filename = buildImageFilename(mimeType);
+
+    if (!window.nanoBanana) {
+        const url = createDownloadUrl(base64, mimeType);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return;
+    }
+
+    try {
+        const saved = await window.nanoBanana.saveImageAs({ data: base64, mimeType, filename });
+        if (saved) showNotification(`已保存: ${saved.filePath}`, 'success');
+    } catch (error) {
+        showNotification(`保存失败: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * 桌面版设置了自动导出目录时，把生成结果写入该目录，并在消息下方提供「在文件夹中显示」
+ * @param {HTMLElement} messageDiv - 结果消息节点
+ * @param {Array<{ data: string, mimeType: string }>} images
+ */
+async function autoExportImages(messageDiv, images) {
+    if (!window.nanoBanana || !images || images.length === 0) return;
+
+    const exported = [];
+    for (const image of images) {
+        const mimeType = image.mimeType || 'image/png';
+        try {
+            const saved = await window.nanoBanana.exportImage({ data: image.data, mimeType, filename: buildImageFilename(mimeType) });
+            // 未设置导出目录
+            if (!saved) return;
+            exported.push(saved.filePath);
+        } catch (error) {
+            showNotification(`自动导出失败: ${error.message}`, 'error');
+            break;
+        }
+    }
+    if (exported.length === 0) return;
+
+    const meta = document.createElement('div');
+    meta.className = 'message-meta';
+    meta.textContent = `💾 已自动导出 ${exported.length} 张图片 `;
+    const revealBtn = document.createElement('button');
+    revealBtn.className = 'reveal-file-btn';
+    revealBtn.textContent = '在文件夹中显示';
+    revealBtn.addEventListener('click', () => {
+        window.nanoBanana.revealInFolder(exported[0])
+            .catch(error => showNotification(`无法打开文件夹: ${error.message}`, 'error'));
+    });
+    meta.appendChild(revealBtn);
+    messageDiv.appendChild(meta);
+}
+
+/**
+ * 读取自动导出目录；仅桌面版显示该配置行
+ */
+async function loadExportDirectoryForm() {
+    if (!DOMElements.exportDirRow || !window.nanoBanana) return;
+    try {
+        DOMElements.exportDirInput.value = await window.nanoBanana.getExportDirectory();
+        DOMElements.exportDirRow.style.display = '';
+    } catch (error) {
+        console.warn('读取自动导出目录失败:', error.message);
+    }
+}
+
+async function pickExportDirectory() {
+    try {
+        const dir = await window.nanoBanana.chooseExportDirectory();
+        if (!dir) return;
+        DOMElements.exportDirInput.value = dir;
+        showNotification('生成结果将自动导出到该目录', 'success');
+    } catch (error) {
+        showNotification(`设置导出目录失败: ${error.message}`, 'error');
+    }
+}
+
+async function clearExportDirectory() {
+    try {
+        await window.nanoBanana.clearExportDirectory();
+        DOMElements.exportDirInput.value = '';
+        showNotification('已关闭自动导出', 'success');
+    } catch (error) {
+        showNotification(`关闭自动导出失败: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * 桌面版用本应用打开的图片（双击文件、拖到程序图标、命令行参数）加入待发送图片，流程与上传控件相同
+ */
+function initDesktopFileOpening() {
+    if (!window.nanoBanana || !window.nanoBanana.onOpenFiles) return;
+    window.nanoBanana.onOpenFiles(files => {
+        const imageFiles = files.map(file => new File([file.data], file.name, { type: file.mimeType }));
+        handleMultiImageUpload({ target: { files: imageFiles } });
+    }, error => {
+        showNotification(`打开图片失败: ${error.message}`, 'error');
+    });
+}
+
+// ---------- 批量生成 ----------
+
+let batchPollTimer = null;
+
+/**
+ * 服务端支持批量任务时显示批量区域，并恢复上次正在查看的批量任务
+ */
+async function initBatchSection() {
+    if (!DOMElements.batchSection) return;
+    try {
+        const batches = await fetchBatches();
+        if (!batches) return;
+        DOMElements.batchSection.style.display = 'block';
+
+        const batchId = localStorage.getItem(CURRENT_BATCH_STORAGE_KEY);
+        if (batchId && batches.batches.some(batch => batch.id === batchId)) {
+            await refreshCurrentBatch(batchId);
+        } else {
+            localStorage.removeItem(CURRENT_BATCH_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.warn('读取批量任务失败:', error.message);
+    }
+}
+
+async function handleBatchFileSelect(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+    try {
+        const content = await file.text();
+        const format = /\.(jsonl|ndjson)$/i.test(file.name) ? 'jsonl' : (/\.csv$/i.test(file.name) ? 'csv' : undefined);
+        AppState.batchFile = { name: file.name.replace(/\.[^.]+$/, ''), content, format };
+        DOMElements.startBatchBtn.disabled = false;
+        showNotification(`已读取批量文件 ${file.name}`, 'success');
+    } catch (error) {
+        showNotification(`读取批量文件失败: ${error.message}`, 'error');
+    }
+    event.target.value = '';
+}
+
+async function handleBatchImagesSelect(event) {
+    const files = Array.from(event.target.files || []);
+    for (const file of files) {
+        if (!validateImageFile(file)) continue;
+        AppState.batchAttachments[file.name] = {
+            mimeType: getFileMimeType(file),
+            data: await fileToBase64(file)
+        };
+    }
+    const count = Object.keys(AppState.batchAttachments).length;
+    if (count > 0) showNotification(`已附加 ${count} 张参考图`, 'success');
+    event.target.value = '';
+}
+
+async function startBatch() {
+    if (!AppState.batchFile) return;
+    DOMElements.startBatchBtn.disabled = true;
+    try {
+        const batch = await submitBatch({
+            name: AppState.batchFile.name,
+            format: AppState.batchFile.format,
+            content: AppState.batchFile.content,
+            attachments: AppState.batchAttachments,
+            concurrency: Number(DOMElements.batchConcurrency.value) || 2,
+            defaults: {
+                model: AppState.selectedModel,
+                imageSize: AppState.imageSize,
+                keyProfile: AppState.keyProfile,
+                baseUrl: AppState.baseUrl,
+                endpoints: buildGenerationEndpoints(),
+                modelAdapters: AppState.modelAdapters
+            }
+        });
+        AppState.batchFile = null;
+        AppState.batchAttachments = {};
+        localStorage.setItem(CURRENT_BATCH_STORAGE_KEY, batch.id);
+        showNotification(`批量任务已开始：${batch.totals.rows} 行，共 ${batch.totals.runs} 次生成`, 'success');
+        renderBatch(batch);
+        scheduleBatchPoll(batch);
+    } catch (error) {
+        DOMElements.startBatchBtn.disabled = false;
+        showNotification(`批量任务导入失败: ${error.message}`, 'error');
+    }
+}
+
+async function refreshCurrentBatch(batchId) {
+    try {
+        const batch = await fetchBatch(batchId);
+        renderBatch(batch);
+        scheduleBatchPoll(batch);
+    } catch (error) {
+        if (error.status === 404) localStorage.removeItem(CURRENT_BATCH_STORAGE_KEY);
+        console.warn('刷新批量任务失败:', error.message);
+    }
+}
+
+function scheduleBatchPoll(batch) {
+    clearTimeout(batchPollTimer);
+    if (batch.status !== 'running') {
+        notifyBatchFinished(batch);
+        return;
+    }
+    batchPollTimer = setTimeout(() => refreshCurrentBatch(batch.id), API_CONFIG.BATCH_POLL_INTERVAL);
+}
+
+/**
+ * 本页面看着跑完的批量任务才提醒一次，刷新后恢复已结束的任务不重复提醒
+ */
+function notifyBatchFinished(batch) {
+    if (!AppState.batchWasRunning) return;
+    AppState.batchWasRunning = false;
+    const { succeeded, failed } = batch.totals;
+    showNotification(`批量任务「${batch.name}」结束：成功 ${succeeded}，失败 ${failed}`, failed ? 'warning' : 'success');
+    if (document.hidden || !document.hasFocus()) {
+        showDesktopNotification('📦 批量生成结束', {
+            body: `${batch.name}\n成功 ${succeeded}，失败 ${failed}`,
+            onClick: () => DOMElements.batchSection.scrollIntoView({ behavior: 'smooth' })
+        });
+    }
+}
+
+async function cancelCurrentBatch() {
+    if (!AppState.currentBatch) return;
+    try {
+        renderBatch(await cancelBatch(AppState.currentBatch.id));
+        showNotification('已取消未完成的批量行', 'info');
+    } catch (error) {
+        showNotification(`取消失败: ${error.message}`, 'error');
+    }
+}
+
+function exportCurrentBatch() {
+    if (!AppState.currentBatch) return;
+    const link = document.createElement('a');
+    link.href = getBatchExportUrl(AppState.currentBatch.id);
+    link.download = `${AppState.currentBatch.name}.zip`;
+    link.click();
+}
+
+const BATCH_STATUS_LABELS = {
+    pending: '⏳ 等待中',
+    running: '🔄 生成中',
+    succeeded: '✅ 完成',
+    partial: '⚠️ 部分完成',
+    failed: '❌ 失败',
+    cancelled: '⏹️ 已取消'
+};
+
+function renderBatch(batch) {
+    if (batch.status === 'running') AppState.batchWasRunning = true;
+    AppState.currentBatch = batch;
+    const { totals } = batch;
+    const running = batch.status === 'running';
+
+    DOMElements.batchSummary.textContent = `「${batch.name}」${running ? '进行中' : batch.status === 'cancelled' ? '已取消' : '已结束'}：`
+        + `${totals.succeeded + totals.failed + totals.cancelled}/${totals.runs} 次，成功 ${totals.succeeded}，失败 ${totals.failed}，共 ${totals.images} 张图片`;
+    DOMElements.cancelBatchBtn.style.display = running ? '' : 'none';
+    DOMElements.exportBatchBtn.style.display = totals.images > 0 ? '' : 'none';
+
+    DOMElements.batchTableBody.innerHTML = '';
+    batch.rows.forEach(row => {
+        const tr = document.createElement('tr');
+        const done = row.runs.filter(run => run.status !== 'pending' && run.status !== 'running').length;
+        const errors = row.runs.map(run => run.error).filter(Boolean);
+        const statusText = row.status === 'running' && row.progress
+            ? `${BATCH_STATUS_LABELS.running} ${row.progress.percent}%`
+            : BATCH_STATUS_LABELS[row.status] || row.status;
+
+        [
+            String(row.index),
+            row.prompt,
+            row.images.join(' | ') || '-',
+            `${row.model}${row.imageSize ? ` / ${row.imageSize}` : ''}`,
+            `${done}/${row.repeat}`
+        ].forEach((text, index) => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            if (index === 1) td.className = 'batch-prompt';
+            tr.appendChild(td);
+        });
+
+        const statusCell = document.createElement('td');
+        statusCell.className = `batch-status-${row.status}`;
+        statusCell.textContent = statusText;
+        if (errors.length) statusCell.title = errors.join('\n');
+        tr.appendChild(statusCell);
+
+        const resultCell = document.createElement('td');
+        resultCell.className = 'batch-thumbs';
+        row.runs.filter(run => run.galleryId).forEach(run => {
+            const img = document.createElement('img');
+            img.src = `/api/gallery/${encodeURIComponent(run.galleryId)}/images/0`;
+            img.alt = row.prompt;
+            img.loading = 'lazy';
+            resultCell.appendChild(img);
+        });
+        tr.appendChild(resultCell);
+
+        DOMElements.batchTableBody.appendChild(tr);
+    });
 }
 
 function updateProgress(percentage, message) {
@@ -529,7 +1774,8 @@ async function saveToHistory(record) {
         prompt: record.prompt,
         resultText: record.result.text,
         imageId,
-        mode: `${record.imageCount} 图模式`
+        mode: `${record.imageCount} 图模式`,
+        endpoint: record.result.endpoint ? record.result.endpoint.label : null
     };
 
     AppState.generationHistory.unshift(historyItem);
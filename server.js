@@ -1,61 +1,28 @@
-const express = require('express');
-const path = require('path');
+const os = require('os');
 const { exec } = require('child_process');
+const { config } = require('./server/config');
+const { logger } = require('./server/logger');
+const { createApp } = require('./server/app');
 
-const app = express();
-const DEFAULT_PORT = 3000;
-const MAX_PORT = DEFAULT_PORT + 50;
-
-// 解析 JSON 请求体（用于代理转发大图片数据）
-app.use(express.json({ limit: '50mb' }));
-
-// 静态文件服务
-app.use(express.static(path.join(__dirname)));
-
-// 默认路由
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-// 简单的 API 代理中间件
-app.post('/api/proxy', async (req, res) => {
-    const { targetUrl, method, headers, body } = req.body || {};
-
-    if (!targetUrl) {
-        return res.status(400).json({ error: 'targetUrl is required' });
-    }
-
-    try {
-        const cleanHeaders = { ...(headers || {}) };
-        delete cleanHeaders.host;
-        delete cleanHeaders.Host;
-        delete cleanHeaders['content-length'];
-        delete cleanHeaders['Content-Length'];
-
-        const fetchOptions = {
-            method: method || 'POST',
-            headers: cleanHeaders
-        };
-
-        if (body !== undefined && body !== null && fetchOptions.method !== 'GET') {
-            fetchOptions.body = JSON.stringify(body);
-        }
-
-        const response = await fetch(targetUrl, fetchOptions);
-
-        res.status(response.status);
-        const text = await response.text();
-        res.send(text);
-    } catch (error) {
-        console.error('Proxy Error:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+const { app, lanAccessToken, mockFetch, cassettes } = createApp();
+// 端口被占用时依次尝试后面的 50 个端口
+const MAX_PORT = config.port + 50;
 
 let server;
 
+/**
+ * 局域网内其他设备可访问的地址
+ */
+function getLanUrls(port) {
+    return Object.values(os.networkInterfaces())
+        .flat()
+        .filter(address => address && address.family === 'IPv4' && !address.internal)
+        .map(address => `http://${address.address}:${port}`);
+}
+
 function openBrowser(port) {
-    const url = `http://localhost:${port}`;
+    // 局域网模式下本机浏览器直接带上配对码完成配对
+    const url = `http://localhost:${port}${lanAccessToken ? `/?pair=${encodeURIComponent(lanAccessToken)}` : ''}`;
 
     let command;
     switch (process.platform) {
@@ -71,7 +38,7 @@ function openBrowser(port) {
 
     exec(command, (error) => {
         if (error) {
-            console.log('请手动打开浏览器访问:', url);
+            logger.info('请手动打开浏览器访问:', url);
         }
     });
 }
@@ -79,8 +46,21 @@ function openBrowser(port) {
 function startServer(startPort) {
     const port = startPort;
 
-    server = app.listen(port, 'localhost', () => {
-        console.log(`🍌 Nano Banana 服务器已启动: http://localhost:${port}`);
+    server = app.listen(port, config.host, () => {
+        logger.info(`🍌 Nano Banana 服务器已启动: http://localhost:${port}`);
+        if (lanAccessToken) {
+            logger.info(`🌐 局域网共享模式已开启（监听 ${config.host}），其他设备可访问:`);
+            getLanUrls(port).forEach(url => logger.info(`   ${url}`));
+            logger.info(config.lan.token
+                ? '🔐 访问需要配置中的令牌（Authorization: Bearer <令牌>，或在配对页输入）'
+                : `🔐 配对码: ${lanAccessToken}（10 分钟内有效，过期或输错次数过多时会在这里显示新的配对码；脚本调用请配置 lan.token）`);
+        }
+        if (mockFetch) {
+            logger.info(`🧪 模拟上游模式已开启（场景: ${config.mock.scenario}，延迟: ${config.mock.latencyMs}ms），不会消耗真实配额`);
+        }
+        if (cassettes) {
+            logger.info(`📼 Cassette ${cassettes.mode === 'record' ? '录制' : '回放'}模式: ${config.cassettes.dir}`);
+        }
         openBrowser(port);
     });
 
@@ -88,27 +68,26 @@ function startServer(startPort) {
         if (err.code === 'EADDRINUSE') {
             const nextPort = port + 1;
             if (nextPort > MAX_PORT) {
-                console.error(`端口 ${DEFAULT_PORT}-${MAX_PORT} 都已被占用，请在环境变量 PORT 中手动指定可用端口。`);
+                logger.error(`端口 ${config.port}-${MAX_PORT} 都已被占用，请通过环境变量 PORT 或配置文件手动指定可用端口。`);
                 process.exit(1);
             }
-            console.warn(`端口 ${port} 已被占用，尝试使用端口 ${nextPort}...`);
+            logger.warn(`端口 ${port} 已被占用，尝试使用端口 ${nextPort}...`);
             startServer(nextPort);
         } else {
-            console.error('服务器启动失败:', err);
+            logger.error('服务器启动失败:', err);
             process.exit(1);
         }
     });
 }
 
-const initialPort = parseInt(process.env.PORT, 10) || DEFAULT_PORT;
-startServer(initialPort);
+startServer(config.port);
 
 // 优雅关闭
 function gracefulShutdown(signal) {
-    console.log(`\n收到信号 ${signal}，正在关闭服务器...`);
+    logger.info(`\n收到信号 ${signal}，正在关闭服务器...`);
     if (server) {
         server.close(() => {
-            console.log('服务器已关闭');
+            logger.info('服务器已关闭');
             process.exit(0);
         });
     } else {
@@ -0,0 +1,539 @@
+/**
+ * 共享的 Express 应用
+ * 本地服务（server.js）、Electron 桌面版和便携版都挂载同一个应用，
+ * 新增的接口无需在各个发行版中重复注册
+ */
+
+const express = require('express');
+const path = require('path');
+const { pipeline } = require('stream');
+const { config } = require('./config');
+const { logger } = require('./logger');
+const { toNodeReadable } = require('./http-client');
+const { ProxyGuardError } = require('./proxy-guard');
+const { createKeyVault, KeyVaultError } = require('./key-vault');
+const { createKeyPool } = require('./key-pool');
+const { createMockFetch } = require('./mock-upstream');
+const { createCassettes } = require('./cassettes');
+const { createUpstreamProxy } = require('./proxy');
+const { createUpstreamLimiter } = require('./rate-limiter');
+const { createJobQueue, JobError } = require('./jobs');
+const { createGallery, GalleryError } = require('./gallery');
+const { createUsageLedger, UsageError } = require('./usage-ledger');
+const { createLanAuth, generatePairingCode } = require('./lan-auth');
+const { createOpenAIFacade, OpenAIFacadeError } = require('./openai-facade');
+const { createWebhookNotifier, buildJobPayload, WebhookError } = require('./webhooks');
+const { createBatchRunner, BatchError } = require('./batches');
+
+const DEFAULT_KEY_PROFILE = 'default';
+
+function sendKeyVaultError(res, error) {
+    if (error instanceof KeyVaultError) {
+        return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('密钥配置操作失败:', error);
+    res.status(500).json({ error: error.message });
+}
+
+function sendJobError(res, error) {
+    if (error instanceof JobError) {
+        return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('生成任务操作失败:', error);
+    res.status(500).json({ error: error.message });
+}
+
+function sendBatchError(res, error) {
+    if (error instanceof BatchError) {
+        return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('批量任务操作失败:', error);
+    res.status(500).json({ error: error.message });
+}
+
+function sendWebhookError(res, error) {
+    if (error instanceof WebhookError) {
+        return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('Webhook 设置操作失败:', error);
+    res.status(500).json({ error: error.message });
+}
+
+function sendGalleryError(res, error) {
+    if (error instanceof GalleryError) {
+        return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('作品库操作失败:', error);
+    res.status(500).json({ error: error.message });
+}
+
+function sendUsageError(res, error) {
+    if (error instanceof UsageError) {
+        return res.status(error.status).json(error.toJSON());
+    }
+    logger.error('用量统计操作失败:', error);
+    res.status(500).json({ error: error.message });
+}
+
+/**
+ * 客户端断开时中止进行中的上游请求
+ */
+function abortOnClose(res) {
+    const abort = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) abort.abort();
+    });
+    return abort;
+}
+
+function sendOpenAIFacadeError(res, error, abort, writeEvent) {
+    if (abort.signal.aborted) return;
+    const facadeError = error instanceof OpenAIFacadeError
+        ? error
+        : new OpenAIFacadeError(500, 'internal_error', error.message);
+    if (facadeError.status >= 500) {
+        logger.error('OpenAI 兼容接口调用失败:', error.message);
+    }
+    // 流式响应已经开始时只能在事件流中返回错误
+    if (res.headersSent) {
+        if (writeEvent) writeEvent(facadeError.toJSON());
+        return res.end();
+    }
+    res.status(facadeError.status).json(facadeError.toJSON());
+}
+
+// 允许透传给浏览器的上游响应头
+const FORWARDED_RESPONSE_HEADERS = [
+    'content-type',
+    'content-disposition',
+    'cache-control',
+    'etag',
+    'last-modified',
+    'retry-after',
+    'x-request-id'
+];
+
+/**
+ * 是否为需要边收边转的流式响应（SSE 或分块传输）
+ */
+function isStreamingResponse(response) {
+    const contentType = response.headers.get('content-type') || '';
+    const transferEncoding = response.headers.get('transfer-encoding') || '';
+    return contentType.includes('text/event-stream') || transferEncoding.includes('chunked');
+}
+
+/**
+ * 复制状态码和安全的响应头
+ * content-length / content-encoding 不转发：fetch 已经自动解压，长度会对不上
+ */
+function copyResponseHead(response, res) {
+    res.status(response.status);
+    response.headers.forEach((value, name) => {
+        if (FORWARDED_RESPONSE_HEADERS.includes(name) || name.startsWith('x-ratelimit-')) {
+            res.setHeader(name, value);
+        }
+    });
+}
+
+/**
+ * 创建应用：初始化密钥库、代理核心、任务队列等服务端组件并注册全部路由
+ * 每个进程只应调用一次（组件会读写数据目录中的文件）
+ * @param {{ rootDir?: string, keyVault?: object }} [options] - rootDir 为静态页面所在目录，默认项目根目录；
+ *   keyVault 为启动方创建的密钥保管库（桌面版使用加密存储），默认使用数据目录中的密钥文件
+ * @returns {{ app: import('express').Express, lanAccessToken: string|null, mockFetch: Function|null, cassettes: object|null }}
+ *   lanAccessToken 为局域网共享模式下的访问令牌（未开启时为 null），供启动方打印或自动配对
+ */
+function createApp({ rootDir = path.join(__dirname, '..'), keyVault = createKeyVault({ filePath: config.keyVaultFile }) } = {}) {
+    const app = express();
+
+    // 模拟模式下所有上游请求都在进程内处理，不会访问网络
+    const mockFetch = config.mock.enabled ? createMockFetch(config.mock) : null;
+    const cassettes = config.cassettes.mode ? createCassettes(config.cassettes) : null;
+    if (mockFetch && !keyVault.get(DEFAULT_KEY_PROFILE).configured) {
+        keyVault.set(DEFAULT_KEY_PROFILE, { apiKey: 'mock-api-key-000000', label: 'Mock' });
+    }
+    const keyPool = createKeyPool({ keyVault, ...config.keyPool });
+    const limiter = createUpstreamLimiter(config.proxy.limits);
+    const usageLedger = createUsageLedger({ filePath: config.usage.ledgerFile, settingsFile: config.usage.settingsFile });
+    const upstreamProxy = createUpstreamProxy({ proxyConfig: config.proxy, keyPool, limiter, mockFetch, cassettes, usageLedger });
+    const gallery = createGallery({ dir: config.outputDir });
+    const webhooks = createWebhookNotifier({ settingsFile: config.webhook.settingsFile, defaultUrl: config.webhook.url, timeoutMs: config.webhook.timeoutMs });
+    const jobQueue = createJobQueue({
+        transport: upstreamProxy.transport,
+        gallery,
+        onFinished: (job, galleryEntry) => webhooks.notify(buildJobPayload(job, galleryEntry, gallery.dir)),
+        modelAdapters: config.modelAdapters
+    });
+    // 局域网共享模式下其他设备不能按服务器本地路径读取参考图
+    const batchRunner = createBatchRunner({ jobQueue, gallery, allowLocalFiles: !config.lan.enabled });
+    const openaiFacade = createOpenAIFacade({ transport: upstreamProxy.transport, gallery, modelAdapters: config.modelAdapters, ...config.openaiFacade });
+
+    // 局域网共享模式：所有路由（包括静态页面）都需要访问令牌，未配置令牌时使用本次启动生成的配对码
+    const lanAccessToken = config.lan.enabled ? (config.lan.token || generatePairingCode()) : null;
+    if (lanAccessToken) {
+        app.use(createLanAuth(config.lan.token ? { token: config.lan.token } : { pairingCode: lanAccessToken }));
+    }
+
+    // 解析 JSON 请求体（用于代理转发大图片数据）
+    app.use(express.json({ limit: config.bodyLimit }));
+
+    // 静态文件服务
+    app.use(express.static(rootDir));
+
+    // 默认路由
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(rootDir, 'index.html'));
+    });
+
+    // 前端需要的服务端配置（不含任何敏感信息）
+    app.get('/api/client-config', (req, res) => {
+        res.json({
+            defaultBaseUrl: config.defaultBaseUrl,
+            lanMode: config.lan.enabled
+        });
+    });
+
+    // 密钥管理：浏览器只能看到脱敏后的密钥和配置状态
+    app.get('/api/keys', (req, res) => {
+        res.json({ profiles: keyVault.list() });
+    });
+
+    // 密钥池健康状况：每把密钥的使用次数、并发数和暂停状态（只返回脱敏密钥）
+    app.get('/api/key-pools', (req, res) => {
+        res.json(keyPool.status());
+    });
+
+    app.get('/api/keys/:id', (req, res) => {
+        try {
+            res.json(keyVault.get(req.params.id));
+        } catch (error) {
+            sendKeyVaultError(res, error);
+        }
+    });
+
+    app.put('/api/keys/:id', (req, res) => {
+        try {
+            const { apiKey, apiKeys, label } = req.body || {};
+            res.json(keyVault.set(req.params.id, { apiKey, apiKeys, label }));
+        } catch (error) {
+            sendKeyVaultError(res, error);
+        }
+    });
+
+    // 向密钥池追加 / 移除单把密钥
+    app.post('/api/keys/:id/keys', (req, res) => {
+        try {
+            const { apiKey, label } = req.body || {};
+            res.status(201).json(keyVault.addKey(req.params.id, { apiKey, label }));
+        } catch (error) {
+            sendKeyVaultError(res, error);
+        }
+    });
+
+    app.delete('/api/keys/:id/keys/:keyId', (req, res) => {
+        try {
+            res.json(keyVault.removeKey(req.params.id, req.params.keyId));
+        } catch (error) {
+            sendKeyVaultError(res, error);
+        }
+    });
+
+    app.delete('/api/keys/:id', (req, res) => {
+        try {
+            res.json({ deleted: keyVault.remove(req.params.id) });
+        } catch (error) {
+            sendKeyVaultError(res, error);
+        }
+    });
+
+    // 生成任务：上游调用在服务端执行，页面刷新后可按任务 ID 取回结果
+    app.post('/api/jobs', (req, res) => {
+        try {
+            res.status(202).json(jobQueue.submit(req.body));
+        } catch (error) {
+            sendJobError(res, error);
+        }
+    });
+
+    app.get('/api/jobs/:id', (req, res) => {
+        try {
+            res.json(jobQueue.get(req.params.id));
+        } catch (error) {
+            sendJobError(res, error);
+        }
+    });
+
+    app.delete('/api/jobs/:id', (req, res) => {
+        try {
+            res.json(jobQueue.remove(req.params.id));
+        } catch (error) {
+            sendJobError(res, error);
+        }
+    });
+
+    // 批量生成：导入 CSV / JSONL，按并发上限逐行提交生成任务，完成后可打包导出
+    app.post('/api/batches', async (req, res) => {
+        try {
+            res.status(202).json(await batchRunner.submit(req.body));
+        } catch (error) {
+            sendBatchError(res, error);
+        }
+    });
+
+    app.get('/api/batches', (req, res) => {
+        res.json(batchRunner.list());
+    });
+
+    app.get('/api/batches/:id', (req, res) => {
+        try {
+            res.json(batchRunner.get(req.params.id));
+        } catch (error) {
+            sendBatchError(res, error);
+        }
+    });
+
+    app.post('/api/batches/:id/cancel', (req, res) => {
+        try {
+            res.json(batchRunner.cancel(req.params.id));
+        } catch (error) {
+            sendBatchError(res, error);
+        }
+    });
+
+    app.get('/api/batches/:id/export', async (req, res) => {
+        try {
+            const { filename, buffer } = await batchRunner.exportZip(req.params.id);
+            res.attachment(filename).type('application/zip').send(buffer);
+        } catch (error) {
+            sendBatchError(res, error);
+        }
+    });
+
+    app.delete('/api/batches/:id', (req, res) => {
+        try {
+            res.json(batchRunner.remove(req.params.id));
+        } catch (error) {
+            sendBatchError(res, error);
+        }
+    });
+
+    // 生成完成通知：任务成功或失败时 POST 到配置的 Webhook 地址
+    app.get('/api/webhook', (req, res) => {
+        res.json(webhooks.getSettings());
+    });
+
+    app.put('/api/webhook', (req, res) => {
+        try {
+            res.json(webhooks.updateSettings(req.body || {}));
+        } catch (error) {
+            sendWebhookError(res, error);
+        }
+    });
+
+    app.post('/api/webhook/test', async (req, res) => {
+        try {
+            res.json(await webhooks.test());
+        } catch (error) {
+            sendWebhookError(res, error);
+        }
+    });
+
+    // 本地作品库：所有生成结果及元数据都保存在输出目录中
+    app.get('/api/gallery', async (req, res) => {
+        try {
+            res.json(await gallery.list({
+                limit: parseInt(req.query.limit, 10) || 0,
+                offset: parseInt(req.query.offset, 10) || 0,
+                conversationId: req.query.conversationId
+            }));
+        } catch (error) {
+            sendGalleryError(res, error);
+        }
+    });
+
+    app.get('/api/gallery/:id', async (req, res) => {
+        try {
+            res.json(await gallery.get(req.params.id));
+        } catch (error) {
+            sendGalleryError(res, error);
+        }
+    });
+
+    app.get('/api/gallery/:id/images/:index', async (req, res) => {
+        try {
+            const { filePath, mimeType } = await gallery.resolveImage(req.params.id, req.params.index);
+            res.type(mimeType).sendFile(filePath);
+        } catch (error) {
+            sendGalleryError(res, error);
+        }
+    });
+
+    app.delete('/api/gallery/:id', async (req, res) => {
+        try {
+            res.json(await gallery.remove(req.params.id));
+        } catch (error) {
+            sendGalleryError(res, error);
+        }
+    });
+
+    // 用量统计：按模型 + 密钥配置汇总当天 / 当月的 token、图片数和费用
+    app.get('/api/usage/summary', (req, res) => {
+        try {
+            res.json(usageLedger.summarize());
+        } catch (error) {
+            sendUsageError(res, error);
+        }
+    });
+
+    app.get('/api/usage/settings', (req, res) => {
+        try {
+            res.json(usageLedger.getSettings());
+        } catch (error) {
+            sendUsageError(res, error);
+        }
+    });
+
+    app.put('/api/usage/settings', (req, res) => {
+        try {
+            res.json(usageLedger.updateSettings(req.body || {}));
+        } catch (error) {
+            sendUsageError(res, error);
+        }
+    });
+
+    // 本地 OpenAI 兼容接口：请求翻译为 Gemini 调用，局域网模式下 OpenAI 客户端的 API Key 填访问令牌即可
+    app.get('/v1/models', (req, res) => {
+        res.json(openaiFacade.listModels());
+    });
+
+    app.post('/v1/images/generations', async (req, res) => {
+        const abort = abortOnClose(res);
+        try {
+            res.json(await openaiFacade.imagesGenerations(req.body, {
+                signal: abort.signal,
+                origin: `${req.protocol}://${req.get('host')}`
+            }));
+        } catch (error) {
+            sendOpenAIFacadeError(res, error, abort);
+        }
+    });
+
+    app.post('/v1/chat/completions', async (req, res) => {
+        const abort = abortOnClose(res);
+        const writeEvent = data => res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+        try {
+            const completion = await openaiFacade.chatCompletions(req.body, {
+                signal: abort.signal,
+                onChunk: chunk => {
+                    if (!res.headersSent) {
+                        res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+                        res.setHeader('Cache-Control', 'no-cache');
+                        res.setHeader('X-Accel-Buffering', 'no');
+                        res.flushHeaders();
+                    }
+                    writeEvent(chunk);
+                }
+            });
+            if (completion) return res.json(completion);
+            writeEvent('[DONE]');
+            res.end();
+        } catch (error) {
+            sendOpenAIFacadeError(res, error, abort, writeEvent);
+        }
+    });
+
+    // 代理排队情况：当前执行中 / 等待中的上游请求数
+    app.get('/api/proxy/status', (req, res) => {
+        res.json(limiter.status());
+    });
+
+    // 上游地址是否在代理白名单内（页面保存备用线路时检查）
+    app.post('/api/proxy/check', async (req, res) => {
+        const { targetUrl } = req.body || {};
+        if (typeof targetUrl !== 'string' || !targetUrl.trim()) {
+            return res.status(400).json({ error: '缺少 targetUrl' });
+        }
+        try {
+            res.json(await upstreamProxy.checkTarget(targetUrl.trim()));
+        } catch (error) {
+            logger.error('检查上游地址失败:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // 简单的 API 代理中间件
+    app.post('/api/proxy', async (req, res) => {
+        const { targetUrl } = req.body || {};
+
+        if (!targetUrl) {
+            return res.status(400).json({ error: 'targetUrl is required' });
+        }
+
+        // 浏览器断开时同时中止上游请求
+        const upstreamAbort = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) upstreamAbort.abort();
+        });
+
+        try {
+            const response = await upstreamProxy.forward(req.body, { signal: upstreamAbort.signal });
+
+            copyResponseHead(response, res);
+
+            if (!response.body) {
+                return res.end();
+            }
+
+            if (isStreamingResponse(response)) {
+                // 流式响应立即下发响应头，后续分片边收边转
+                res.setHeader('Cache-Control', 'no-cache');
+                res.setHeader('X-Accel-Buffering', 'no');
+                res.flushHeaders();
+            }
+
+            // 统一按原始字节转发，图片等二进制内容不会被破坏
+            pipeline(toNodeReadable(response.body), res, (error) => {
+                if (error && !upstreamAbort.signal.aborted) {
+                    logger.error('Proxy 响应转发中断:', error.message);
+                }
+            });
+        } catch (error) {
+            if (error instanceof ProxyGuardError) {
+                logger.warn(`Proxy 拒绝: ${error.message}`);
+                return res.status(error.status).json(error.toJSON());
+            }
+            if (error instanceof KeyVaultError) {
+                return res.status(error.status).json(error.toJSON());
+            }
+            if (upstreamAbort.signal.aborted) {
+                return;
+            }
+            logger.error('Proxy Error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    });
+
+    // 模拟模式下也可以直接访问 /mock/v1beta/... 等模拟接口，便于调试
+    if (mockFetch) {
+        app.all('/mock/*', async (req, res, next) => {
+            try {
+                const mockUrl = `http://mock.local${req.originalUrl.replace(/^\/mock/, '')}`;
+                const response = await mockFetch(mockUrl, {
+                    method: req.method,
+                    headers: req.headers,
+                    body: req.method === 'GET' ? undefined : JSON.stringify(req.body)
+                });
+                copyResponseHead(response, res);
+                pipeline(toNodeReadable(response.body), res, () => {});
+            } catch (error) {
+                next(error);
+            }
+        });
+    }
+
+    return { app, lanAccessToken, mockFetch, cassettes };
+}
+
+module.exports = {
+    createApp
+};
@@ -0,0 +1,533 @@
+/**
+ * 批量生成
+ * 从 CSV / JSONL 文件导入多行提示词（每行可带参考图、模型、分辨率和重复次数），
+ * 按并发上限逐个提交为服务端生成任务，结果写入作品库，完成后可连同清单一起打包为 zip 导出
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createZip } = require('./zip');
+const { logger } = require('./logger');
+
+const MAX_ROWS = 500;
+const MAX_REPEAT = 20;
+const DEFAULT_CONCURRENCY = 2;
+const IMAGE_SIZES = ['1K', '2K', '4K'];
+const EXTENSION_MIMES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
+// 表头别名 -> 字段名
+const COLUMN_ALIASES = {
+    prompt: 'prompt',
+    images: 'images',
+    image: 'images',
+    references: 'images',
+    model: 'model',
+    imagesize: 'imageSize',
+    image_size: 'imageSize',
+    size: 'imageSize',
+    repeat: 'repeat',
+    count: 'repeat'
+};
+const GALLERY_REF_PATTERN = /^gallery:([\w-]{1,80})(?:[#/](\d+))?$/;
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * 批量任务相关错误，status 对应返回给前端的 HTTP 状态码
+ */
+class BatchError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'BatchError';
+        this.status = status;
+        this.code = code;
+    }
+
+    toJSON() {
+        return {
+            error: {
+                code: this.status,
+                status: this.code,
+                message: this.message
+            }
+        };
+    }
+}
+
+/**
+ * 解析 CSV（支持双引号包裹、"" 转义和字段内换行），返回 { line, cells } 列表
+ */
+function parseCsv(text) {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            cells.push(cell);
+            records.push({ line: recordLine, cells });
+            cells = [];
+            cell = '';
+            line++;
+            recordLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || cells.length) {
+        cells.push(cell);
+        records.push({ line: recordLine, cells });
+    }
+    return records.filter(record => record.cells.some(value => value.trim()));
+}
+
+function csvToRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+
+    const fields = header.cells.map(name => COLUMN_ALIASES[name.trim().toLowerCase()] || null);
+    if (!fields.includes('prompt')) {
+        throw new BatchError(400, 'INVALID_BATCH_FILE', 'CSV 表头必须包含 prompt 列');
+    }
+    return rows.map(({ line, cells }) => {
+        const record = {};
+        fields.forEach((field, index) => {
+            if (field && cells[index] !== undefined) record[field] = cells[index].trim();
+        });
+        return { line, record };
+    });
+}
+
+function jsonlToRecords(text) {
+    return text.split(/\r?\n/)
+        .map((raw, index) => ({ line: index + 1, raw: raw.trim() }))
+        .filter(({ raw }) => raw)
+        .map(({ line, raw }) => {
+            let parsed;
+            try {
+                parsed = JSON.parse(raw);
+            } catch (error) {
+                throw new BatchError(400, 'INVALID_BATCH_FILE', `第 ${line} 行不是有效的 JSON: ${error.message}`);
+            }
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                throw new BatchError(400, 'INVALID_BATCH_FILE', `第 ${line} 行必须是 JSON 对象`);
+            }
+            const record = {};
+            Object.entries(parsed).forEach(([key, value]) => {
+                const field = COLUMN_ALIASES[key.toLowerCase()];
+                if (field) record[field] = value;
+            });
+            return { line, record };
+        });
+}
+
+/**
+ * 解析批量文件为行定义
+ * @param {string} content - 文件内容
+ * @param {string} [format] - csv | jsonl，未指定时按内容判断
+ * @returns {Array<{ line: number, prompt: string, images: string[], model: string, imageSize: string, repeat: number }>}
+ */
+function parseBatchFile(content, format) {
+    if (typeof content !== 'string' || !content.trim()) {
+        throw new BatchError(400, 'INVALID_BATCH_FILE', '批量文件内容不能为空');
+    }
+    const text = content.replace(/^\uFEFF/, '');
+    const kind = format || (text.trimStart().startsWith('{') ? 'jsonl' : 'csv');
+    if (!['csv', 'jsonl'].includes(kind)) {
+        throw new BatchError(400, 'INVALID_BATCH_FILE', `不支持的批量文件格式: ${format}（支持 csv / jsonl）`);
+    }
+
+    const records = kind === 'jsonl' ? jsonlToRecords(text) : csvToRecords(text);
+    if (records.length === 0) {
+        throw new BatchError(400, 'INVALID_BATCH_FILE', '批量文件中没有任何数据行');
+    }
+    if (records.length > MAX_ROWS) {
+        throw new BatchError(400, 'INVALID_BATCH_FILE', `批量文件最多 ${MAX_ROWS} 行，当前 ${records.length} 行`);
+    }
+
+    return records.map(({ line, record }) => {
+        const fail = message => {
+            throw new BatchError(400, 'INVALID_BATCH_FILE', `第 ${line} 行: ${message}`);
+        };
+
+        const prompt = typeof record.prompt === 'string' ? record.prompt.trim() : '';
+        if (!prompt) fail('prompt 不能为空');
+
+        const images = Array.isArray(record.images)
+            ? record.images.map(String)
+            : String(record.images || '').split(/[|;]/);
+
+        const imageSize = String(record.imageSize || '').trim().toUpperCase();
+        if (imageSize && !IMAGE_SIZES.includes(imageSize)) fail(`imageSize 只支持 ${IMAGE_SIZES.join(' / ')}`);
+
+        const repeat = record.repeat === undefined || record.repeat === '' ? 1 : Number(record.repeat);
+        if (!Number.isInteger(repeat) || repeat < 1 || repeat > MAX_REPEAT) fail(`repeat 必须是 1 到 ${MAX_REPEAT} 之间的整数`);
+
+        return {
+            line,
+            prompt,
+            images: images.map(ref => ref.trim()).filter(Boolean),
+            model: typeof record.model === 'string' ? record.model.trim() : '',
+            imageSize,
+            repeat
+        };
+    });
+}
+
+/**
+ * 行状态由各次运行的状态汇总而来
+ */
+function rowStatus(runs) {
+    const statuses = runs.map(run => run.status);
+    if (statuses.includes('running')) return 'running';
+    if (statuses.every(status => status === 'pending')) return 'pending';
+    if (statuses.includes('pending')) return 'running';
+    if (statuses.every(status => status === 'succeeded')) return 'succeeded';
+    if (statuses.every(status => status === 'cancelled')) return 'cancelled';
+    return statuses.includes('succeeded') ? 'partial' : 'failed';
+}
+
+/**
+ * 创建批量任务管理器
+ * @param {{ jobQueue: object, gallery: object, allowLocalFiles?: boolean, maxConcurrency?: number }} options
+ *   allowLocalFiles 为 false 时（如局域网共享模式）不允许按服务器本地路径引用参考图
+ */
+function createBatchRunner({ jobQueue, gallery, allowLocalFiles = true, maxConcurrency = 8 }) {
+    const batches = new Map();
+
+    /**
+     * 解析参考图引用：随请求上传的附件名 > 作品库引用（gallery:<作品ID>[#序号]）> 服务器本地路径
+     */
+    async function resolveImage(ref, attachments, line) {
+        const attachment = attachments[ref] || attachments[path.basename(ref)];
+        if (attachment) {
+            if (!attachment.data || !attachment.mimeType) {
+                throw new BatchError(400, 'INVALID_ATTACHMENT', `附件 ${ref} 缺少 mimeType 或 data`);
+            }
+            return { inlineData: { mimeType: attachment.mimeType, data: attachment.data } };
+        }
+
+        const galleryRef = GALLERY_REF_PATTERN.exec(ref);
+        if (galleryRef) {
+            try {
+                const { filePath, mimeType } = await gallery.resolveImage(galleryRef[1], galleryRef[2] || 0);
+                return { inlineData: { mimeType, data: (await fs.promises.readFile(filePath)).toString('base64') } };
+            } catch (error) {
+                throw new BatchError(400, 'IMAGE_NOT_FOUND', `第 ${line} 行: 无法读取作品库图片 ${ref}（${error.message}）`);
+            }
+        }
+
+        if (!allowLocalFiles) {
+            throw new BatchError(400, 'LOCAL_FILES_DISABLED', `第 ${line} 行: 找不到附件 ${ref}（当前模式不允许引用服务器本地文件）`);
+        }
+        const mimeType = EXTENSION_MIMES[path.extname(ref).toLowerCase()];
+        if (!mimeType) {
+            throw new BatchError(400, 'INVALID_IMAGE_REF', `第 ${line} 行: 不支持的图片格式 ${ref}（支持 png / jpg / webp / gif）`);
+        }
+        try {
+            return { inlineData: { mimeType, data: (await fs.promises.readFile(path.resolve(ref))).toString('base64') } };
+        } catch (error) {
+            throw new BatchError(400, 'IMAGE_NOT_FOUND', `第 ${line} 行: 无法读取参考图 ${ref}（${error.code || error.message}）`);
+        }
+    }
+
+    function snapshotRun(run) {
+        return {
+            status: run.status,
+            jobId: run.jobId,
+            galleryId: run.galleryId,
+            imageCount: run.imageCount,
+            error: run.error
+        };
+    }
+
+    function progressOf(row) {
+        const running = row.runs.find(run => run.status === 'running' && run.jobId);
+        if (!running) return null;
+        try {
+            return jobQueue.get(running.jobId).progress;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    function summarize(batch) {
+        const runs = batch.rows.flatMap(row => row.runs);
+        const count = status => runs.filter(run => run.status === status).length;
+        return {
+            id: batch.id,
+            name: batch.name,
+            status: batch.status,
+            concurrency: batch.concurrency,
+            createdAt: batch.createdAt,
+            finishedAt: batch.finishedAt,
+            totals: {
+                rows: batch.rows.length,
+                runs: runs.length,
+                pending: count('pending'),
+                running: count('running'),
+                succeeded: count('succeeded'),
+                failed: count('failed'),
+                cancelled: count('cancelled'),
+                images: runs.reduce((sum, run) => sum + run.imageCount, 0)
+            }
+        };
+    }
+
+    function snapshot(batch) {
+        return {
+            ...summarize(batch),
+            rows: batch.rows.map(row => ({
+                index: row.index,
+                line: row.line,
+                prompt: row.prompt,
+                images: row.images,
+                model: row.model,
+                imageSize: row.imageSize,
+                repeat: row.repeat,
+                status: rowStatus(row.runs),
+                progress: progressOf(row),
+                runs: row.runs.map(snapshotRun)
+            }))
+        };
+    }
+
+    function getBatch(batchId) {
+        const batch = batches.get(batchId);
+        if (!batch) {
+            throw new BatchError(404, 'BATCH_NOT_FOUND', `批量任务 ${batchId} 不存在`);
+        }
+        return batch;
+    }
+
+    /**
+     * 取消尚未完成的行；已完成的结果保留，仍可导出
+     */
+    function cancel(batchId) {
+        const batch = getBatch(batchId);
+        if (batch.status !== 'running') return snapshot(batch);
+
+        batch.status = 'cancelled';
+        batch.rows.forEach(row => row.runs.forEach(run => {
+            if (TERMINAL_STATUSES.includes(run.status)) return;
+            if (run.status === 'running' && run.jobId) {
+                try {
+                    jobQueue.remove(run.jobId);
+                } catch (_) {
+                    // 任务已结束并被移除
+                }
+            }
+            Object.assign(run, { status: 'cancelled', error: null });
+        }));
+        return snapshot(batch);
+    }
+
+    async function runTask(batch, row, run) {
+        if (batch.status !== 'running') return;
+        try {
+            const job = jobQueue.submit({
+                ...batch.request,
+                model: row.model,
+                imageSize: row.imageSize,
+                newParts: row.newParts,
+                conversationId: `batch_${batch.id}`
+            });
+            Object.assign(run, { status: 'running', jobId: job.id });
+
+            const finished = await jobQueue.wait(job.id);
+            Object.assign(run, {
+                status: finished.status,
+                galleryId: finished.galleryId,
+                imageCount: finished.result ? finished.result.images.length : 0,
+                error: finished.error ? finished.error.message : null
+            });
+            // 结果已写入作品库，释放任务中保存的图片数据
+            jobQueue.remove(job.id);
+        } catch (error) {
+            if (run.status === 'cancelled') return;
+            Object.assign(run, { status: 'failed', error: error.message });
+        }
+    }
+
+    async function start(batch) {
+        const tasks = batch.rows.flatMap(row => row.runs.map(run => ({ row, run })));
+        let next = 0;
+        const worker = async () => {
+            while (next < tasks.length && batch.status === 'running') {
+                const { row, run } = tasks[next++];
+                await runTask(batch, row, run);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(batch.concurrency, tasks.length) }, worker));
+
+        if (batch.status === 'running') batch.status = 'completed';
+        batch.finishedAt = new Date().toISOString();
+        batch.rows.forEach(row => { row.newParts = null; });
+        const { totals } = summarize(batch);
+        logger.info(`批量任务 ${batch.name} 结束: 成功 ${totals.succeeded} / 失败 ${totals.failed} / 取消 ${totals.cancelled}`);
+    }
+
+    return {
+        /**
+         * 导入批量文件并开始执行
+         * @param {{ content: string, format?: string, name?: string, attachments?: Object<string, { mimeType: string, data: string }>, defaults?: { model?: string, imageSize?: string, keyProfile?: string, baseUrl?: string, endpoints?: Array, modelAdapters?: Array }, concurrency?: number }} request
+         *   attachments 为随请求上传的参考图（键为文件名），defaults 为行中未指定时使用的生成参数
+         */
+        async submit({ content, format, name, attachments = {}, defaults = {}, concurrency } = {}) {
+            const rows = parseBatchFile(content, format);
+            const limit = Math.min(Math.max(parseInt(concurrency, 10) || DEFAULT_CONCURRENCY, 1), maxConcurrency);
+
+            const resolved = [];
+            for (const [index, row] of rows.entries()) {
+                const model = row.model || (typeof defaults.model === 'string' ? defaults.model.trim() : '');
+                if (!model) {
+                    throw new BatchError(400, 'INVALID_BATCH_FILE', `第 ${row.line} 行: 未指定模型，且没有默认模型`);
+                }
+                const newParts = [{ text: row.prompt }];
+                for (const ref of row.images) {
+                    newParts.push(await resolveImage(ref, attachments || {}, row.line));
+                }
+                resolved.push({
+                    ...row,
+                    index: index + 1,
+                    model,
+                    imageSize: row.imageSize || defaults.imageSize || '',
+                    newParts,
+                    runs: Array.from({ length: row.repeat }, () => ({
+                        status: 'pending',
+                        jobId: null,
+                        galleryId: null,
+                        imageCount: 0,
+                        error: null
+                    }))
+                });
+            }
+
+            const id = crypto.randomUUID();
+            const batch = {
+                id,
+                name: typeof name === 'string' && name.trim() ? name.trim() : `batch-${id.slice(0, 8)}`,
+                status: 'running',
+                concurrency: limit,
+                createdAt: new Date().toISOString(),
+                finishedAt: null,
+                request: {
+                    keyProfile: defaults.keyProfile,
+                    baseUrl: defaults.baseUrl,
+                    endpoints: Array.isArray(defaults.endpoints) ? defaults.endpoints : undefined,
+                    modelAdapters: Array.isArray(defaults.modelAdapters) ? defaults.modelAdapters : undefined
+                },
+                rows: resolved
+            };
+            batches.set(id, batch);
+            start(batch).catch(error => logger.error(`批量任务 ${batch.name} 执行失败:`, error));
+            return snapshot(batch);
+        },
+
+        /**
+         * 列出全部批量任务（不含行明细）
+         */
+        list() {
+            return {
+                batches: Array.from(batches.values())
+                    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                    .map(summarize)
+            };
+        },
+
+        get(batchId) {
+            return snapshot(getBatch(batchId));
+        },
+
+        cancel,
+
+        /**
+         * 删除批量任务记录（进行中的会先取消），作品库中的图片保留
+         */
+        remove(batchId) {
+            const result = cancel(batchId);
+            batches.delete(batchId);
+            return result;
+        },
+
+        /**
+         * 把全部结果图片和 manifest.json 打包为 zip
+         * @returns {Promise<{ filename: string, buffer: Buffer }>}
+         */
+        async exportZip(batchId) {
+            const batch = getBatch(batchId);
+            const entries = [];
+            const manifestRows = [];
+
+            for (const row of batch.rows) {
+                const runs = [];
+                for (const [runIndex, run] of row.runs.entries()) {
+                    const files = [];
+                    if (run.galleryId) {
+                        try {
+                            const entry = await gallery.get(run.galleryId);
+                            for (const [imageIndex, image] of entry.images.entries()) {
+                                const { filePath } = await gallery.resolveImage(run.galleryId, imageIndex);
+                                const name = `images/row-${String(row.index).padStart(3, '0')}_run-${runIndex + 1}_${imageIndex + 1}${path.extname(image.file)}`;
+                                entries.push({ name, data: await fs.promises.readFile(filePath) });
+                                files.push(name);
+                            }
+                        } catch (error) {
+                            logger.warn(`导出批量结果时跳过作品 ${run.galleryId}:`, error.message);
+                        }
+                    }
+                    runs.push({ ...snapshotRun(run), files });
+                }
+                manifestRows.push({
+                    index: row.index,
+                    line: row.line,
+                    prompt: row.prompt,
+                    images: row.images,
+                    model: row.model,
+                    imageSize: row.imageSize,
+                    repeat: row.repeat,
+                    status: rowStatus(row.runs),
+                    runs
+                });
+            }
+
+            const manifest = { ...summarize(batch), exportedAt: new Date().toISOString(), rows: manifestRows };
+            entries.unshift({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+            return {
+                filename: `${batch.name.replace(/[^\w.-]+/g, '_')}.zip`,
+                buffer: createZip(entries)
+            };
+        }
+    };
+}
+
+module.exports = {
+    createBatchRunner,
+    parseBatchFile,
+    BatchError
+};
@@ -0,0 +1,274 @@
+/**
+ * 上游流量录制 / 回放模块
+ * record：把真实的请求 / 响应写入磁盘上的 cassette 文件（密钥脱敏，大段 base64 单独存放）
+ * replay：按请求指纹从 cassette 中回放，不访问网络，便于分享和复现解析问题
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { Response, Headers } = require('./http-client');
+
+const CASSETTE_VERSION = 1;
+const BLOB_PREFIX = '$blob:';
+const BLOB_MIN_LENGTH = 4096;
+const BASE64_PATTERN = /^[A-Za-z0-9+/=\r\n]+$/;
+const SECRET_HEADERS = ['authorization', 'x-goog-api-key', 'cookie', 'set-cookie'];
+const SECRET_QUERY_PARAMS = ['key', 'api_key'];
+const REDACTED = '[REDACTED]';
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * 递归按 key 排序，保证指纹与字段顺序无关
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (value && typeof value === 'object') {
+        return Object.keys(value)
+            .sort()
+            .reduce((result, key) => {
+                result[key] = canonicalize(value[key]);
+                return result;
+            }, {});
+    }
+    return value;
+}
+
+function redactUrl(url) {
+    const redacted = new URL(url);
+    SECRET_QUERY_PARAMS.forEach(name => {
+        if (redacted.searchParams.has(name)) redacted.searchParams.set(name, REDACTED);
+    });
+    return redacted;
+}
+
+function redactHeaders(headers) {
+    const result = {};
+    new Headers(headers || {}).forEach((value, name) => {
+        result[name] = SECRET_HEADERS.includes(name) ? REDACTED : value;
+    });
+    return result;
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (_) {
+        return undefined;
+    }
+}
+
+/**
+ * 创建 cassette 存取器
+ * @param {{ mode: 'record'|'replay', dir: string }} options
+ */
+function createCassettes({ mode, dir }) {
+    const blobDir = path.join(dir, 'blobs');
+
+    function writeBlob(base64) {
+        const hash = sha256(base64);
+        const file = path.join(blobDir, `${hash}.b64`);
+        if (!fs.existsSync(file)) {
+            fs.mkdirSync(blobDir, { recursive: true });
+            fs.writeFileSync(file, base64);
+        }
+        return `${BLOB_PREFIX}${hash}`;
+    }
+
+    function readBlob(marker) {
+        const hash = marker.slice(BLOB_PREFIX.length);
+        return fs.readFileSync(path.join(blobDir, `${hash}.b64`), 'utf8');
+    }
+
+    /**
+     * 把大段 base64 字符串替换为 $blob:<sha256> 标记
+     * @param {any} value
+     * @param {(base64: string) => string} replace
+     */
+    function extractBlobs(value, replace) {
+        if (typeof value === 'string') {
+            return value.length >= BLOB_MIN_LENGTH && BASE64_PATTERN.test(value) ? replace(value) : value;
+        }
+        if (Array.isArray(value)) return value.map(item => extractBlobs(item, replace));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, extractBlobs(item, replace)]));
+        }
+        return value;
+    }
+
+    function restoreBlobs(value) {
+        if (typeof value === 'string') {
+            return value.startsWith(BLOB_PREFIX) ? readBlob(value) : value;
+        }
+        if (Array.isArray(value)) return value.map(restoreBlobs);
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreBlobs(item)]));
+        }
+        return value;
+    }
+
+    /**
+     * 请求指纹：方法 + 路径 + 非敏感查询参数 + 规范化后的请求体（图片按内容哈希）
+     * 不包含 Origin，方便在不同中转地址之间共享 cassette
+     */
+    function fingerprint(url, init = {}) {
+        const target = new URL(url);
+        SECRET_QUERY_PARAMS.forEach(name => target.searchParams.delete(name));
+        target.searchParams.sort();
+
+        const parsedBody = init.body ? parseJson(init.body) : undefined;
+        const body = parsedBody !== undefined
+            ? extractBlobs(parsedBody, base64 => `${BLOB_PREFIX}${sha256(base64)}`)
+            : init.body || null;
+
+        return sha256(JSON.stringify(canonicalize({
+            method: (init.method || 'GET').toUpperCase(),
+            path: target.pathname,
+            query: target.search,
+            body
+        }))).slice(0, 24);
+    }
+
+    function cassetteFile(id) {
+        return path.join(dir, `${id}.json`);
+    }
+
+    /**
+     * 把响应体编码为可存盘的形式
+     */
+    function encodeBody(contentType, buffer) {
+        if (contentType.includes('text/event-stream')) {
+            const events = buffer
+                .toString('utf8')
+                .split(/\r?\n\r?\n/)
+                .map(event => event.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n'))
+                .filter(Boolean)
+                .map(data => {
+                    const json = parseJson(data);
+                    return json === undefined ? data : extractBlobs(json, writeBlob);
+                });
+            return { encoding: 'sse', body: events };
+        }
+        if (contentType.includes('json')) {
+            const json = parseJson(buffer.toString('utf8'));
+            if (json !== undefined) {
+                return { encoding: 'json', body: extractBlobs(json, writeBlob) };
+            }
+        }
+        if (contentType.startsWith('text/')) {
+            return { encoding: 'text', body: buffer.toString('utf8') };
+        }
+        return { encoding: 'base64', body: writeBlob(buffer.toString('base64')) };
+    }
+
+    function decodeBody({ encoding, body }) {
+        switch (encoding) {
+            case 'sse':
+                return body
+                    .map(event => `data: ${typeof event === 'string' ? restoreBlobs(event) : JSON.stringify(restoreBlobs(event))}\r\n\r\n`)
+                    .join('');
+            case 'json':
+                return JSON.stringify(restoreBlobs(body));
+            case 'base64':
+                return Buffer.from(restoreBlobs(body), 'base64');
+            default:
+                return body;
+        }
+    }
+
+    async function record(id, url, init, responseHeaders, status, bodyStream) {
+        const chunks = [];
+        for await (const chunk of bodyStream) {
+            chunks.push(Buffer.from(chunk));
+        }
+        const contentType = responseHeaders.get('content-type') || '';
+        const parsedRequestBody = init.body ? parseJson(init.body) : undefined;
+
+        const cassette = {
+            version: CASSETTE_VERSION,
+            fingerprint: id,
+            recordedAt: new Date().toISOString(),
+            request: {
+                method: (init.method || 'GET').toUpperCase(),
+                url: redactUrl(url).toString(),
+                headers: redactHeaders(init.headers),
+                body: parsedRequestBody !== undefined ? extractBlobs(parsedRequestBody, writeBlob) : init.body || null
+            },
+            response: {
+                status,
+                headers: redactHeaders(responseHeaders),
+                ...encodeBody(contentType, Buffer.concat(chunks))
+            }
+        };
+
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(cassetteFile(id), JSON.stringify(cassette, null, 2));
+        logger.info(`📼 已录制 cassette: ${cassetteFile(id)}`);
+    }
+
+    function replay(id, url, init) {
+        let cassette;
+        try {
+            cassette = JSON.parse(fs.readFileSync(cassetteFile(id), 'utf8'));
+        } catch (error) {
+            const method = (init.method || 'GET').toUpperCase();
+            logger.warn(`📼 未找到 cassette ${id}: ${method} ${redactUrl(url).pathname}`);
+            return new Response(JSON.stringify({
+                error: {
+                    code: 404,
+                    status: 'CASSETTE_NOT_FOUND',
+                    message: `回放模式下没有匹配的录制记录 (${id})，请先在 record 模式下录制`
+                }
+            }), { status: 404, headers: { 'content-type': 'application/json' } });
+        }
+
+        const headers = { ...cassette.response.headers };
+        delete headers['content-length'];
+        delete headers['content-encoding'];
+        return new Response(decodeBody(cassette.response), {
+            status: cassette.response.status,
+            headers
+        });
+    }
+
+    return {
+        mode,
+        fingerprint,
+
+        /**
+         * 替代上游 fetch：replay 直接从磁盘返回；record 透传真实响应并在读完后落盘
+         * @param {string} url
+         * @param {object} init
+         * @param {() => Promise<Response>} networkFetch - 真实的上游请求
+         * @returns {Promise<Response>}
+         */
+        async fetch(url, init, networkFetch) {
+            const id = fingerprint(url, init);
+            if (mode === 'replay') {
+                return replay(id, url, init);
+            }
+
+            const response = await networkFetch();
+            if (!response.body) return response;
+
+            // 一路给调用方（保持流式），一路在后台读完后写入 cassette
+            const [forCaller, forTape] = response.body.tee();
+            record(id, url, init, response.headers, response.status, forTape).catch(error => {
+                logger.error('录制 cassette 失败:', error.message);
+            });
+            return new Response(forCaller, {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers
+            });
+        }
+    };
+}
+
+module.exports = {
+    createCassettes
+};
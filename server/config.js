@@ -0,0 +1,190 @@
+/**
+ * 服务端配置模块
+ * 集中读取本地服务器的运行参数：环境变量 > 配置文件 > 默认值
+ * 配置文件默认位于 ~/.nano-banana/config.json，可用 NANO_BANANA_CONFIG 指定
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_BASE_URL = 'https://api.linkapi.org';
+const GOOGLE_API_ORIGIN = 'https://generativelanguage.googleapis.com';
+
+/**
+ * 解析逗号分隔的列表
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+    if (!value) return [];
+    return value
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * 解析布尔型环境变量
+ * @param {string} value
+ * @param {boolean} fallback
+ * @returns {boolean}
+ */
+function parseBoolean(value, fallback = false) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return ['1', 'true', 'yes', 'on'].includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * 解析整数型环境变量，0 也视为有效值
+ * @param {string} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function parseInteger(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * 读取 JSON 配置文件，不存在时返回空对象
+ * @param {string} filePath
+ * @returns {object}
+ */
+function loadConfigFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`读取配置文件 ${filePath} 失败，将使用默认配置: ${error.message}`);
+        }
+        return {};
+    }
+}
+
+/**
+ * 展开路径开头的 ~
+ * @param {string} value
+ * @returns {string}
+ */
+function expandHome(value) {
+    return value && value.startsWith('~') ? path.join(os.homedir(), value.slice(1)) : value;
+}
+
+// 本地数据目录（密钥等敏感数据），不能放在静态文件目录下
+const dataDir = process.env.NANO_BANANA_HOME || path.join(os.homedir(), '.nano-banana');
+const configFile = process.env.NANO_BANANA_CONFIG || path.join(dataDir, 'config.json');
+const fileConfig = loadConfigFile(configFile);
+const fileLan = fileConfig.lan || {};
+const fileKeyPool = fileConfig.keyPool || {};
+const fileOpenAIFacade = fileConfig.openaiFacade || {};
+const fileWebhook = fileConfig.webhook || {};
+const fileProxy = fileConfig.proxy || {};
+const fileMediaOrigins = Array.isArray(fileProxy.mediaAllowedOrigins) ? fileProxy.mediaAllowedOrigins : [];
+
+const defaultBaseUrl = process.env.NANO_BANANA_BASE_URL || fileConfig.defaultBaseUrl || DEFAULT_BASE_URL;
+const facadeBaseUrl = process.env.OPENAI_FACADE_BASE_URL || fileOpenAIFacade.baseUrl || defaultBaseUrl;
+
+// 模拟上游模式：NANO_BANANA_MOCK=1 或 node server.js --mock
+const mockEnabled = parseBoolean(process.env.NANO_BANANA_MOCK) || process.argv.includes('--mock');
+
+// 局域网共享模式：NANO_BANANA_LAN=1 或 node server.js --lan
+const lanEnabled = parseBoolean(process.env.NANO_BANANA_LAN, !!fileLan.enabled) || process.argv.includes('--lan');
+
+// 代理允许访问的上游 Origin，支持 https://*.example.com 形式的通配
+const allowedOrigins = [
+    defaultBaseUrl,
+    facadeBaseUrl,
+    GOOGLE_API_ORIGIN,
+    ...(Array.isArray(fileProxy.allowedOrigins) ? fileProxy.allowedOrigins : []),
+    ...parseList(process.env.PROXY_ALLOWED_ORIGINS)
+];
+
+// 下载生成图片时允许的 Origin：本机使用时默认 * 表示任意公网地址（仍会拦截内网）；
+// 局域网模式下其他设备也能通过代理取图，默认只允许上面的上游 Origin，放行任意地址需要显式配置 *
+const configuredMediaOrigins = process.env.PROXY_MEDIA_ORIGINS ? parseList(process.env.PROXY_MEDIA_ORIGINS) : fileMediaOrigins;
+const mediaAllowedOrigins = configuredMediaOrigins.length > 0
+    ? configuredMediaOrigins
+    : (lanEnabled ? [...allowedOrigins] : ['*']);
+
+const config = {
+    configFile,
+    // 局域网模式默认监听所有网卡，否则只监听本机
+    host: process.env.NANO_BANANA_HOST || fileConfig.host || (lanEnabled ? '0.0.0.0' : 'localhost'),
+    port: parseInteger(process.env.PORT, parseInteger(fileConfig.port, 3000)),
+    bodyLimit: process.env.NANO_BANANA_BODY_LIMIT || fileConfig.bodyLimit || '50mb',
+    logLevel: (process.env.NANO_BANANA_LOG_LEVEL || fileConfig.logLevel || 'info').toLowerCase(), // silent | error | warn | info | debug
+    defaultBaseUrl,
+    dataDir,
+    // 生成结果（图片 + 元数据）的输出目录
+    outputDir: expandHome(process.env.NANO_BANANA_OUTPUT_DIR || fileConfig.outputDir) || path.join(dataDir, 'output'),
+    // 局域网共享：所有路由都需要访问令牌，未配置令牌时启动时生成配对码
+    lan: {
+        enabled: lanEnabled,
+        token: process.env.NANO_BANANA_LAN_TOKEN || fileLan.token || ''
+    },
+    // 模拟模式使用独立的密钥文件，避免演示时覆盖真实密钥
+    keyVaultFile: path.join(dataDir, mockEnabled ? 'keys.mock.json' : 'keys.json'),
+    // 一个密钥配置下保存多把密钥时的轮换策略：round-robin 轮询 | least-used 最少使用
+    keyPool: {
+        strategy: process.env.KEY_POOL_STRATEGY || fileKeyPool.strategy || 'round-robin',
+        benchMs: parseInteger(process.env.KEY_POOL_BENCH_MS, parseInteger(fileKeyPool.benchMs, 60000)),
+        authBenchMs: parseInteger(process.env.KEY_POOL_AUTH_BENCH_MS, parseInteger(fileKeyPool.authBenchMs, 600000))
+    },
+    // 本地 OpenAI 兼容接口（/v1/images/generations、/v1/chat/completions）转发到 Gemini 时使用的上游、密钥配置和模型
+    // model 为空时使用前端默认模型；请求中的 OpenAI 模型名（gpt-* / dall-e-* 等）同样替换为该模型
+    openaiFacade: {
+        baseUrl: facadeBaseUrl,
+        keyProfile: process.env.OPENAI_FACADE_KEY_PROFILE || fileOpenAIFacade.keyProfile || 'default',
+        model: process.env.OPENAI_FACADE_MODEL || fileOpenAIFacade.model || ''
+    },
+    // 生成任务结束时 POST 通知的地址；页面中修改后保存在 settingsFile，优先于这里的默认值
+    webhook: {
+        url: process.env.NANO_BANANA_WEBHOOK_URL || fileWebhook.url || '',
+        timeoutMs: parseInteger(process.env.NANO_BANANA_WEBHOOK_TIMEOUT_MS, parseInteger(fileWebhook.timeoutMs, 10000)),
+        settingsFile: path.join(dataDir, 'webhook.json')
+    },
+    // 用量账本（每次生成一行 JSON）和价格表 / 预算设置，模拟模式同样使用独立文件
+    usage: {
+        ledgerFile: path.join(dataDir, mockEnabled ? 'usage.mock.jsonl' : 'usage.jsonl'),
+        settingsFile: path.join(dataDir, 'usage-settings.json')
+    },
+    // 自定义模型适配规则（格式同页面「自定义模型」，可额外指定 OpenAI Images 的 sizes），
+    // 排在请求自带的规则之后、内置规则之前；服务端任务、批量任务、OpenAI 兼容接口和命令行都会使用
+    modelAdapters: Array.isArray(fileConfig.modelAdapters) ? fileConfig.modelAdapters : [],
+    // 上游流量录制 / 回放：PROXY_CASSETTE_MODE=record | replay
+    cassettes: {
+        mode: ['record', 'replay'].includes(process.env.PROXY_CASSETTE_MODE) ? process.env.PROXY_CASSETTE_MODE : '',
+        dir: process.env.PROXY_CASSETTE_DIR || path.join(dataDir, 'cassettes')
+    },
+    mock: {
+        enabled: mockEnabled,
+        latencyMs: parseInteger(process.env.MOCK_LATENCY_MS, 800),
+        scenario: process.env.MOCK_SCENARIO || 'success', // success | blocked | empty | error
+        errorStatus: parseInteger(process.env.MOCK_ERROR_STATUS, 503)
+    },
+    proxy: {
+        allowedOrigins,
+        mediaAllowedOrigins,
+        // 默认拒绝内网 / 回环 / 链路本地地址，仅在明确需要时打开
+        allowPrivateNetworks: parseBoolean(process.env.PROXY_ALLOW_PRIVATE_NETWORKS),
+        maxRedirects: 5,
+        // 上游并发与限速，0 表示不限制；超出限制的请求会排队等待
+        limits: {
+            maxConcurrentPerOrigin: parseInteger(process.env.PROXY_MAX_CONCURRENT_PER_ORIGIN, 4),
+            maxConcurrentPerKey: parseInteger(process.env.PROXY_MAX_CONCURRENT_PER_KEY, 2),
+            ratePerMinute: parseInteger(process.env.PROXY_RATE_PER_MINUTE, 30),
+            burst: parseInteger(process.env.PROXY_RATE_BURST, 5)
+        }
+    }
+};
+
+module.exports = {
+    config,
+    parseList,
+    parseBoolean,
+    parseInteger,
+    DEFAULT_BASE_URL,
+    GOOGLE_API_ORIGIN
+};
@@ -0,0 +1,215 @@
+/**
+ * 本地作品库模块
+ * 把每次生成的全部图片及元数据写入输出目录，清空浏览器存储后结果依然保留，也方便外部同步工具读取
+ *
+ * 目录结构：<outputDir>/<id>.json 为元数据，<id>_<序号>.<扩展名> 为图片
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const ENTRY_ID_PATTERN = /^[\w-]{1,80}$/;
+const MIME_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+const EXTENSION_MIMES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    webp: 'image/webp',
+    gif: 'image/gif'
+};
+
+/**
+ * 作品库相关错误，status 对应返回给前端的 HTTP 状态码
+ */
+class GalleryError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'GalleryError';
+        this.status = status;
+        this.code = code;
+    }
+
+    toJSON() {
+        return {
+            error: {
+                code: this.status,
+                status: this.code,
+                message: this.message
+            }
+        };
+    }
+}
+
+/**
+ * 生成按时间排序的条目 ID，与前端 generateTimestampFilename 的时间格式一致
+ */
+function createEntryId(date) {
+    const timestamp = date.toISOString()
+        .replace(/[:.]/g, '-')
+        .replace('T', '_')
+        .substring(0, 19);
+    return `nano-banana_${timestamp}_${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function assertEntryId(id) {
+    if (typeof id !== 'string' || !ENTRY_ID_PATTERN.test(id)) {
+        throw new GalleryError(400, 'INVALID_GALLERY_ID', `无效的作品 ID: ${id}`);
+    }
+}
+
+/**
+ * 创建作品库
+ * @param {{ dir: string }} options
+ */
+function createGallery({ dir }) {
+    function metadataFile(id) {
+        return path.join(dir, `${id}.json`);
+    }
+
+    /**
+     * 给元数据补上图片访问地址
+     */
+    function describe(entry) {
+        return {
+            ...entry,
+            images: entry.images.map((image, index) => ({
+                ...image,
+                url: `/api/gallery/${encodeURIComponent(entry.id)}/images/${index}`
+            }))
+        };
+    }
+
+    async function readEntry(id) {
+        assertEntryId(id);
+        try {
+            return JSON.parse(await fs.promises.readFile(metadataFile(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new GalleryError(404, 'GALLERY_ENTRY_NOT_FOUND', `作品 ${id} 不存在`);
+            }
+            throw error;
+        }
+    }
+
+    return {
+        dir,
+
+        /**
+         * 保存一次生成的全部图片和元数据
+         * @param {{ images: Array<{ mimeType: string, data: string }>, text?: string, prompt?: string, model?: string, imageSize?: string, endpoint?: string, conversationId?: string }} record - endpoint 为实际完成生成的端点
+         * @returns {Promise<object|null>} 没有图片时返回 null
+         */
+        async save({ images, text = '', prompt = '', model = '', imageSize = '', endpoint = '', conversationId = null }) {
+            if (!Array.isArray(images) || images.length === 0) return null;
+
+            const createdAt = new Date();
+            const id = createEntryId(createdAt);
+            await fs.promises.mkdir(dir, { recursive: true });
+
+            const savedImages = [];
+            for (const [index, image] of images.entries()) {
+                const mimeType = (image.mimeType || 'image/png').toLowerCase();
+                const file = `${id}_${index + 1}.${MIME_EXTENSIONS[mimeType] || 'png'}`;
+                const buffer = Buffer.from(image.data, 'base64');
+                await fs.promises.writeFile(path.join(dir, file), buffer);
+                savedImages.push({ file, mimeType, bytes: buffer.length });
+            }
+
+            const entry = {
+                id,
+                createdAt: createdAt.toISOString(),
+                prompt,
+                text,
+                model,
+                imageSize,
+                endpoint,
+                conversationId,
+                images: savedImages
+            };
+            await fs.promises.writeFile(metadataFile(id), JSON.stringify(entry, null, 2));
+            return describe(entry);
+        },
+
+        /**
+         * 按时间倒序列出作品
+         * @param {{ limit?: number, offset?: number, conversationId?: string }} options
+         */
+        async list({ limit, offset = 0, conversationId } = {}) {
+            let files;
+            try {
+                files = await fs.promises.readdir(dir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return { total: 0, items: [] };
+                throw error;
+            }
+
+            const entries = [];
+            for (const file of files.filter(name => name.endsWith('.json'))) {
+                try {
+                    entries.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')));
+                } catch (error) {
+                    logger.warn(`跳过无法读取的作品元数据 ${file}:`, error.message);
+                }
+            }
+
+            const filtered = entries
+                .filter(entry => entry.id && Array.isArray(entry.images))
+                .filter(entry => !conversationId || entry.conversationId === conversationId)
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+            const end = limit > 0 ? offset + limit : undefined;
+            return {
+                total: filtered.length,
+                items: filtered.slice(offset, end).map(describe)
+            };
+        },
+
+        /**
+         * 读取单个作品的元数据
+         */
+        async get(id) {
+            return describe(await readEntry(id));
+        },
+
+        /**
+         * 取得作品中某张图片的文件路径和类型
+         * @returns {Promise<{ filePath: string, mimeType: string }>}
+         */
+        async resolveImage(id, index) {
+            const entry = await readEntry(id);
+            const image = entry.images[Number(index)];
+            if (!image) {
+                throw new GalleryError(404, 'GALLERY_IMAGE_NOT_FOUND', `作品 ${id} 中没有第 ${index} 张图片`);
+            }
+            const extension = path.extname(image.file).slice(1);
+            return {
+                filePath: path.join(dir, path.basename(image.file)),
+                mimeType: image.mimeType || EXTENSION_MIMES[extension] || 'application/octet-stream'
+            };
+        },
+
+        /**
+         * 删除作品及其图片文件
+         */
+        async remove(id) {
+            const entry = await readEntry(id);
+            for (const image of entry.images) {
+                await fs.promises.rm(path.join(dir, path.basename(image.file)), { force: true });
+            }
+            await fs.promises.rm(metadataFile(id), { force: true });
+            return describe(entry);
+        }
+    };
+}
+
+module.exports = {
+    createGallery,
+    GalleryError
+};
@@ -0,0 +1,39 @@
+/**
+ * 服务端 HTTP 客户端
+ * Electron 22 自带的 Node 16 没有全局 fetch / Response / FormData，也没有 Readable.fromWeb；
+ * 服务端模块统一从这里取用，server.js、命令行和桌面版在 Node 16 及以上行为一致
+ */
+
+const { Readable } = require('stream');
+const { ReadableStream } = require('stream/web');
+const { Blob } = require('buffer');
+const { fetch, Response, Headers, FormData, Agent } = require('undici');
+
+/**
+ * 把 fetch 响应体（Web ReadableStream）转换为可 pipe 到 res 的 Node 流
+ * @param {ReadableStream} body
+ * @returns {import('stream').Readable}
+ */
+function toNodeReadable(body) {
+    return Readable.from(body, { objectMode: false });
+}
+
+/**
+ * 构造取消错误；Node 16 没有全局 DOMException，用 name 为 AbortError 的 Error 代替
+ * @returns {Error}
+ */
+function abortError() {
+    return Object.assign(new Error('Aborted'), { name: 'AbortError' });
+}
+
+module.exports = {
+    fetch,
+    Response,
+    Headers,
+    FormData,
+    Blob,
+    ReadableStream,
+    Agent,
+    toNodeReadable,
+    abortError
+};
@@ -0,0 +1,235 @@
+/**
+ * 服务端生成任务队列
+ * 上游调用在服务端执行，浏览器只提交任务并轮询状态，刷新或关闭页面不会丢失结果
+ */
+
+const crypto = require('crypto');
+const api = require('../api');
+const { logger } = require('./logger');
+
+// 已结束的任务保留一段时间，等待页面重新打开后取回
+const FINISHED_JOB_RETENTION_MS = 60 * 60 * 1000;
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * 任务相关错误，status 对应返回给前端的 HTTP 状态码
+ */
+class JobError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'JobError';
+        this.status = status;
+        this.code = code;
+    }
+
+    toJSON() {
+        return {
+            error: {
+                code: this.status,
+                status: this.code,
+                message: this.message
+            }
+        };
+    }
+}
+
+function assertJobParams(params) {
+    if (!params || typeof params !== 'object') {
+        throw new JobError(400, 'INVALID_JOB', '任务参数不能为空');
+    }
+    if (typeof params.model !== 'string' || !params.model.trim()) {
+        throw new JobError(400, 'INVALID_JOB', '请指定模型');
+    }
+    if (!Array.isArray(params.newParts) || params.newParts.length === 0) {
+        throw new JobError(400, 'INVALID_JOB', '输入内容不能为空');
+    }
+}
+
+/**
+ * 创建任务队列
+ * @param {{ transport: Function, gallery?: object|null, onFinished?: Function, modelAdapters?: Array, retentionMs?: number }} options - transport 为进程内代理传输，gallery 用于保存生成结果
+ *   onFinished(snapshot, galleryEntry) 在任务成功或失败后调用（取消的任务不会触发）；modelAdapters 为配置文件中的模型适配规则
+ */
+function createJobQueue({ transport, gallery = null, onFinished = null, modelAdapters = [], retentionMs = FINISHED_JOB_RETENTION_MS }) {
+    const jobs = new Map();
+    api.setProxyTransport(transport);
+    api.setLogger(logger);
+
+    function pruneFinished() {
+        const now = Date.now();
+        jobs.forEach((job, id) => {
+            if (TERMINAL_STATUSES.includes(job.status) && now - job.finishedAt > retentionMs) {
+                jobs.delete(id);
+            }
+        });
+    }
+
+    /**
+     * 返回给前端的任务快照（不含请求中的图片数据）
+     */
+    function snapshot(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            model: job.params.model,
+            prompt: job.prompt,
+            imageCount: job.imageCount,
+            imageSize: job.params.imageSize || '',
+            conversationId: job.conversationId,
+            galleryId: job.galleryId,
+            createdAt: new Date(job.createdAt).toISOString(),
+            updatedAt: new Date(job.updatedAt).toISOString(),
+            progress: job.progress,
+            partial: job.status === 'running' ? job.partial : null,
+            result: job.result,
+            error: job.error
+        };
+    }
+
+    function update(job, changes) {
+        Object.assign(job, changes, { updatedAt: Date.now() });
+    }
+
+    async function run(job) {
+        update(job, { status: 'running' });
+        let galleryEntry = null;
+        try {
+            const result = await api.generateImageWithGemini({
+                ...job.params,
+                signal: job.controller.signal,
+                onProgress: (percent, message) => update(job, { progress: { percent, message } }),
+                onStream: partial => update(job, { partial: { text: partial.text || '' } })
+            });
+            if (job.status === 'cancelled') return;
+            galleryEntry = await saveToGallery(job, result);
+            update(job, { status: 'succeeded', result, galleryId: galleryEntry ? galleryEntry.id : null, progress: { percent: 100, message: '生成完成' } });
+        } catch (error) {
+            if (job.status === 'cancelled') return;
+            update(job, { status: 'failed', error: { message: error.message } });
+        } finally {
+            job.finishedAt = Date.now();
+            job.params = { model: job.params.model, imageSize: job.params.imageSize };
+        }
+
+        if (onFinished && job.status !== 'cancelled') {
+            onFinished(snapshot(job), galleryEntry);
+        }
+    }
+
+    /**
+     * 把结果写入本地作品库；写盘失败不影响任务本身
+     * @returns {Promise<object|null>} 作品库条目
+     */
+    async function saveToGallery(job, result) {
+        if (!gallery) return null;
+        try {
+            const entry = await gallery.save({
+                images: result.images,
+                text: result.text,
+                prompt: job.prompt,
+                model: job.params.model,
+                imageSize: job.params.imageSize,
+                endpoint: result.endpoint ? result.endpoint.label : '',
+                conversationId: job.conversationId
+            });
+            return entry;
+        } catch (error) {
+            logger.error('保存生成结果到作品库失败:', error);
+            return null;
+        }
+    }
+
+    return {
+        /**
+         * 提交任务并立即开始执行
+         * @param {{ keyProfile: string, model: string, modelAdapters?: Array, history?: Array, newParts: Array, baseUrl?: string, endpoints?: Array, imageSize?: string, n?: number, stream?: boolean, conversationId?: string }} params
+         */
+        submit(params) {
+            assertJobParams(params);
+            pruneFinished();
+
+            const now = Date.now();
+            const textPart = params.newParts.find(part => part && part.text);
+            const job = {
+                id: crypto.randomUUID(),
+                status: 'queued',
+                params: {
+                    keyProfile: params.keyProfile,
+                    model: params.model.trim(),
+                    // 请求自带的规则优先，其次是配置文件中的规则
+                    modelAdapters: [...(Array.isArray(params.modelAdapters) ? params.modelAdapters : []), ...modelAdapters],
+                    history: Array.isArray(params.history) ? params.history : [],
+                    newParts: params.newParts,
+                    baseUrl: params.baseUrl,
+                    endpoints: Array.isArray(params.endpoints) ? params.endpoints : undefined,
+                    imageSize: params.imageSize || '',
+                    n: params.n,
+                    stream: params.stream
+                },
+                prompt: textPart ? textPart.text : '',
+                conversationId: typeof params.conversationId === 'string' ? params.conversationId : null,
+                galleryId: null,
+                imageCount: params.newParts.filter(part => part && (part.inlineData || part.inline_data)).length,
+                controller: new AbortController(),
+                createdAt: now,
+                updatedAt: now,
+                finishedAt: null,
+                progress: { percent: 0, message: '任务已提交，等待执行...' },
+                partial: null,
+                result: null,
+                error: null
+            };
+
+            jobs.set(job.id, job);
+            job.settled = run(job);
+            return snapshot(job);
+        },
+
+        /**
+         * 查询任务
+         */
+        get(jobId) {
+            pruneFinished();
+            const job = jobs.get(jobId);
+            if (!job) {
+                throw new JobError(404, 'JOB_NOT_FOUND', `任务 ${jobId} 不存在或已过期`);
+            }
+            return snapshot(job);
+        },
+
+        /**
+         * 等待任务结束（成功、失败或取消）
+         * @returns {Promise<object>} 结束时的任务快照
+         */
+        async wait(jobId) {
+            const job = jobs.get(jobId);
+            if (!job) {
+                throw new JobError(404, 'JOB_NOT_FOUND', `任务 ${jobId} 不存在或已过期`);
+            }
+            await job.settled;
+            return snapshot(job);
+        },
+
+        /**
+         * 删除任务，进行中的任务会先被取消
+         * @returns {object} 删除前的任务快照
+         */
+        remove(jobId) {
+            const job = jobs.get(jobId);
+            if (!job) {
+                throw new JobError(404, 'JOB_NOT_FOUND', `任务 ${jobId} 不存在或已过期`);
+            }
+            if (!TERMINAL_STATUSES.includes(job.status)) {
+                update(job, { status: 'cancelled' });
+                job.controller.abort();
+            }
+            jobs.delete(jobId);
+            return snapshot(job);
+        }
+    };
+}
+
+module.exports = {
+    createJobQueue,
+    JobError
+};
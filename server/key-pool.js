@@ -0,0 +1,159 @@
+/**
+ * 密钥池轮换
+ * 同一个 profile 下的多把密钥按轮询或最少使用策略分配给上游请求；
+ * 返回 401 / 403 / 429 的密钥暂停使用一段时间，期间请求交给池中其他密钥
+ */
+
+const { maskKey } = require('./key-vault');
+const { logger } = require('./logger');
+
+const STRATEGIES = ['round-robin', 'least-used'];
+// 上游返回这些状态码时暂停该密钥
+const BENCH_STATUSES = [401, 403, 429];
+
+/**
+ * 创建密钥池
+ * @param {{ keyVault: object, strategy?: string, benchMs?: number, authBenchMs?: number }} options
+ *   benchMs 为 429 且没有 Retry-After 时的暂停时长，authBenchMs 为 401 / 403 的暂停时长
+ */
+function createKeyPool({ keyVault, strategy = 'round-robin', benchMs = 60000, authBenchMs = 600000 }) {
+    const selection = STRATEGIES.includes(strategy) ? strategy : 'round-robin';
+    const stats = new Map(); // `${profileId}/${keyId}` -> 使用与健康状况
+    const cursors = new Map(); // profileId -> 下一次轮询的起点
+
+    function statsFor(profileId, keyId) {
+        const statsKey = `${profileId}/${keyId}`;
+        if (!stats.has(statsKey)) {
+            stats.set(statsKey, {
+                requests: 0,
+                inFlight: 0,
+                failures: 0,
+                lastStatus: null,
+                lastUsedAt: null,
+                benchedUntil: 0,
+                benchReason: null
+            });
+        }
+        return stats.get(statsKey);
+    }
+
+    function pick(profileId, keys) {
+        const now = Date.now();
+        const available = keys.filter(key => statsFor(profileId, key.id).benchedUntil <= now);
+
+        // 全部被暂停时退回最早恢复的那把，交给上游决定是否仍然限流
+        if (available.length === 0) {
+            const soonest = keys.reduce((best, key) =>
+                statsFor(profileId, key.id).benchedUntil < statsFor(profileId, best.id).benchedUntil ? key : best);
+            logger.warn(`密钥配置 "${profileId}" 的密钥全部处于暂停状态，临时使用 ${maskKey(soonest.apiKey)}`);
+            return soonest;
+        }
+
+        if (selection === 'least-used') {
+            return available.reduce((best, key) => {
+                const a = statsFor(profileId, key.id);
+                const b = statsFor(profileId, best.id);
+                return a.inFlight < b.inFlight || (a.inFlight === b.inFlight && a.requests < b.requests) ? key : best;
+            });
+        }
+
+        const start = (cursors.get(profileId) || 0) % keys.length;
+        for (let offset = 0; offset < keys.length; offset++) {
+            const key = keys[(start + offset) % keys.length];
+            if (available.includes(key)) {
+                cursors.set(profileId, keys.indexOf(key) + 1);
+                return key;
+            }
+        }
+        return available[0];
+    }
+
+    return {
+        strategy: selection,
+
+        /**
+         * 为一次上游请求分配密钥，请求结束后必须调用 settle 汇报结果
+         * @param {string} profileId
+         * @returns {{ keyId: string, apiKey: string, limiterKey: string, settle: (status: number|null, retryAfter?: string|null) => void }}
+         */
+        acquire(profileId) {
+            const keys = keyVault.resolveKeys(profileId);
+            const key = keys.length === 1 ? keys[0] : pick(profileId, keys);
+            const keyStats = statsFor(profileId, key.id);
+            keyStats.requests++;
+            keyStats.inFlight++;
+            keyStats.lastUsedAt = Date.now();
+
+            let settled = false;
+            return {
+                keyId: key.id,
+                apiKey: key.apiKey,
+                // 并发上限按实际使用的密钥计算
+                limiterKey: keys.length === 1 ? profileId : `${profileId}/${key.id}`,
+                settle(status, retryAfter = null) {
+                    if (settled) return;
+                    settled = true;
+                    keyStats.inFlight--;
+                    keyStats.lastStatus = status;
+
+                    if (!BENCH_STATUSES.includes(status)) {
+                        if (status && status < 400) keyStats.failures = 0;
+                        return;
+                    }
+
+                    keyStats.failures++;
+                    // 池中只有一把密钥时暂停没有意义，保持原有的重试行为
+                    if (keys.length === 1) return;
+
+                    const retryAfterMs = Number(retryAfter) * 1000;
+                    const duration = status === 429
+                        ? (retryAfterMs > 0 ? Math.min(retryAfterMs, authBenchMs) : benchMs)
+                        : authBenchMs;
+                    keyStats.benchedUntil = Date.now() + duration;
+                    keyStats.benchReason = status;
+                    logger.warn(`密钥 ${maskKey(key.apiKey)}（${profileId}）返回 ${status}，暂停使用 ${Math.ceil(duration / 1000)} 秒`);
+                }
+            };
+        },
+
+        /**
+         * 密钥池健康状况，只包含脱敏后的密钥
+         */
+        status() {
+            const now = Date.now();
+            return {
+                strategy: selection,
+                pools: keyVault.list().filter(profile => profile.configured).map(profile => {
+                    const keys = profile.keys.map(key => {
+                        const keyStats = statsFor(profile.id, key.id);
+                        const benched = keyStats.benchedUntil > now;
+                        return {
+                            id: key.id,
+                            label: key.label,
+                            maskedKey: key.maskedKey,
+                            healthy: !benched,
+                            benchedUntil: benched ? new Date(keyStats.benchedUntil).toISOString() : null,
+                            benchReason: benched ? keyStats.benchReason : null,
+                            requests: keyStats.requests,
+                            inFlight: keyStats.inFlight,
+                            failures: keyStats.failures,
+                            lastStatus: keyStats.lastStatus,
+                            lastUsedAt: keyStats.lastUsedAt ? new Date(keyStats.lastUsedAt).toISOString() : null
+                        };
+                    });
+                    return {
+                        profile: profile.id,
+                        label: profile.label,
+                        size: keys.length,
+                        healthy: keys.filter(key => key.healthy).length,
+                        keys
+                    };
+                })
+            };
+        }
+    };
+}
+
+module.exports = {
+    createKeyPool
+};
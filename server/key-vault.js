@@ -0,0 +1,262 @@
+/**
+ * API 密钥保管模块
+ * 密钥只保存在本机配置文件中，由服务端按 profile ID 注入请求头，浏览器只拿到脱敏结果
+ * 一个 profile 可以保存多把密钥组成密钥池，由 key-pool 模块轮换使用
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const PROFILE_ID_PATTERN = /^[\w-]{1,64}$/;
+const KEY_ID_PATTERN = /^[\w-]{1,32}$/;
+const MIN_KEY_LENGTH = 11;
+
+/**
+ * 密钥相关错误，status 对应返回给前端的 HTTP 状态码
+ */
+class KeyVaultError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'KeyVaultError';
+        this.status = status;
+        this.code = code;
+    }
+
+    toJSON() {
+        return {
+            error: {
+                code: this.status,
+                status: this.code,
+                message: this.message
+            }
+        };
+    }
+}
+
+/**
+ * 脱敏显示密钥，只保留首尾各 4 位
+ * @param {string} apiKey
+ * @returns {string}
+ */
+function maskKey(apiKey) {
+    if (!apiKey) return '';
+    if (apiKey.length <= 8) return '*'.repeat(apiKey.length);
+    return `${apiKey.slice(0, 4)}****${apiKey.slice(-4)}`;
+}
+
+function assertApiKey(apiKey) {
+    const trimmedKey = typeof apiKey === 'string' ? apiKey.trim() : '';
+    if (trimmedKey.length < MIN_KEY_LENGTH) {
+        throw new KeyVaultError(400, 'INVALID_API_KEY', '无效的API密钥格式');
+    }
+    return trimmedKey;
+}
+
+function createKeyEntry(apiKey, label) {
+    return {
+        id: `key_${crypto.randomBytes(3).toString('hex')}`,
+        label: label || '',
+        apiKey: assertApiKey(apiKey),
+        addedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * 取出 profile 中的全部密钥；旧格式只有 apiKey 字段时视为只有一把密钥的池
+ * @returns {Array<{ id: string, label: string, apiKey: string }>}
+ */
+function profileKeys(profile) {
+    if (!profile) return [];
+    if (Array.isArray(profile.keys) && profile.keys.length > 0) return profile.keys;
+    return profile.apiKey ? [{ id: 'key_primary', label: '', apiKey: profile.apiKey }] : [];
+}
+
+function assertProfileId(profileId) {
+    if (typeof profileId !== 'string' || !PROFILE_ID_PATTERN.test(profileId)) {
+        throw new KeyVaultError(400, 'INVALID_PROFILE_ID', `无效的密钥配置 ID: ${profileId}`);
+    }
+}
+
+/**
+ * 创建密钥保管库
+ * @param {{ filePath: string, cipher?: { encrypt: (text: string) => string, decrypt: (text: string) => string } }} options
+ *   提供 cipher 时整个文件内容加密保存（桌面版使用系统钥匙串提供的 safeStorage）
+ */
+function createKeyVault({ filePath, cipher = null }) {
+    let cache = null;
+
+    function load() {
+        if (cache) return cache;
+        try {
+            const raw = fs.readFileSync(filePath, 'utf8');
+            let parsed = JSON.parse(raw);
+            if (parsed.encrypted) {
+                if (!cipher) throw new Error('密钥文件已加密，当前环境无法解密');
+                parsed = JSON.parse(cipher.decrypt(parsed.data));
+            }
+            cache = { version: 1, profiles: {}, ...parsed };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('读取密钥配置失败:', error.message);
+            }
+            cache = { version: 1, profiles: {} };
+        }
+        return cache;
+    }
+
+    function persist() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+        const tmpFile = `${filePath}.tmp`;
+        const content = cipher
+            ? { version: 1, encrypted: true, data: cipher.encrypt(JSON.stringify(cache)) }
+            : cache;
+        fs.writeFileSync(tmpFile, JSON.stringify(content, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpFile, filePath);
+    }
+
+    function describe(id, profile) {
+        const keys = profileKeys(profile);
+        return {
+            id,
+            label: profile.label || id,
+            configured: keys.length > 0,
+            maskedKey: maskKey(keys.length ? keys[0].apiKey : ''),
+            keyCount: keys.length,
+            keys: keys.map(key => ({ id: key.id, label: key.label || '', maskedKey: maskKey(key.apiKey) })),
+            updatedAt: profile.updatedAt || null
+        };
+    }
+
+    /**
+     * 写入 profile 的密钥列表；apiKey 字段保留第一把密钥，兼容只认单个密钥的 Python 版本
+     */
+    function saveKeys(profileId, keys, label) {
+        const data = load();
+        const previous = data.profiles[profileId] || {};
+        data.profiles[profileId] = {
+            ...previous,
+            label: label || previous.label || profileId,
+            apiKey: keys[0].apiKey,
+            keys,
+            updatedAt: new Date().toISOString()
+        };
+        persist();
+        return describe(profileId, data.profiles[profileId]);
+    }
+
+    return {
+        /**
+         * 列出所有密钥配置（脱敏）
+         */
+        list() {
+            const { profiles } = load();
+            return Object.entries(profiles).map(([id, profile]) => describe(id, profile));
+        },
+
+        /**
+         * 获取单个密钥配置（脱敏），不存在时返回未配置状态
+         */
+        get(profileId) {
+            assertProfileId(profileId);
+            const profile = load().profiles[profileId];
+            return describe(profileId, profile || {});
+        },
+
+        /**
+         * 保存或更新密钥：apiKey 替换为单把密钥，apiKeys 替换整个密钥池
+         * @param {string} profileId
+         * @param {{ apiKey?: string, apiKeys?: string[], label?: string }} options
+         */
+        set(profileId, { apiKey, apiKeys, label } = {}) {
+            assertProfileId(profileId);
+            const keys = Array.isArray(apiKeys)
+                ? apiKeys.map(key => createKeyEntry(key))
+                : [createKeyEntry(apiKey)];
+            if (keys.length === 0) {
+                throw new KeyVaultError(400, 'INVALID_API_KEY', '密钥池至少需要一把密钥');
+            }
+            return saveKeys(profileId, keys, label);
+        },
+
+        /**
+         * 向密钥池追加一把密钥
+         */
+        addKey(profileId, { apiKey, label } = {}) {
+            assertProfileId(profileId);
+            const keys = profileKeys(load().profiles[profileId]);
+            const entry = createKeyEntry(apiKey, label);
+            if (keys.some(key => key.apiKey === entry.apiKey)) {
+                throw new KeyVaultError(409, 'DUPLICATE_API_KEY', '该密钥已在密钥池中');
+            }
+            return saveKeys(profileId, [...keys, entry]);
+        },
+
+        /**
+         * 从密钥池移除一把密钥，移除最后一把时删除整个 profile
+         */
+        removeKey(profileId, keyId) {
+            assertProfileId(profileId);
+            if (typeof keyId !== 'string' || !KEY_ID_PATTERN.test(keyId)) {
+                throw new KeyVaultError(400, 'INVALID_KEY_ID', `无效的密钥 ID: ${keyId}`);
+            }
+            const keys = profileKeys(load().profiles[profileId]);
+            const remaining = keys.filter(key => key.id !== keyId);
+            if (remaining.length === keys.length) {
+                throw new KeyVaultError(404, 'KEY_NOT_FOUND', `密钥配置 "${profileId}" 中没有密钥 ${keyId}`);
+            }
+            if (remaining.length === 0) {
+                delete load().profiles[profileId];
+                persist();
+                return describe(profileId, {});
+            }
+            return saveKeys(profileId, remaining);
+        },
+
+        /**
+         * 删除密钥配置
+         */
+        remove(profileId) {
+            assertProfileId(profileId);
+            const data = load();
+            const existed = !!data.profiles[profileId];
+            delete data.profiles[profileId];
+            if (existed) persist();
+            return existed;
+        },
+
+        /**
+         * 取出 profile 中全部明文密钥，仅供服务端注入请求头使用
+         * @returns {Array<{ id: string, label: string, apiKey: string }>}
+         */
+        resolveKeys(profileId) {
+            assertProfileId(profileId);
+            const keys = profileKeys(load().profiles[profileId]);
+            if (keys.length === 0) {
+                throw new KeyVaultError(401, 'KEY_NOT_CONFIGURED', `密钥配置 "${profileId}" 尚未设置 API Key`);
+            }
+            return keys;
+        }
+    };
+}
+
+/**
+ * 按鉴权方式生成请求头
+ * @param {'bearer'|'x-goog-api-key'} authScheme
+ * @param {string} apiKey
+ * @returns {object}
+ */
+function buildAuthHeaders(authScheme, apiKey) {
+    if (authScheme === 'bearer') {
+        return { Authorization: `Bearer ${apiKey}` };
+    }
+    return { 'X-goog-api-key': apiKey };
+}
+
+module.exports = {
+    createKeyVault,
+    buildAuthHeaders,
+    maskKey,
+    KeyVaultError
+};
@@ -0,0 +1,166 @@
+/**
+ * 局域网共享模式的访问控制
+ * 每个路由都需要访问令牌：请求头 Authorization: Bearer <令牌>，或在配对页输入令牌 / 配对码后写入的 Cookie
+ * 未配置令牌时使用生成的配对码：配对码只有约 40 位熵，限时有效，连续输错多次即作废并生成新的配对码（打印在服务器终端）；
+ * 配对成功的浏览器拿到独立的会话 Cookie，配对码更换后仍然有效
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const ACCESS_COOKIE = 'nb_access';
+const COOKIE_MAX_AGE_SECONDS = 30 * 24 * 60 * 60;
+const PAIRING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // 去掉容易混淆的 0/O、1/I
+const PAIRING_CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_PAIRING_FAILURES = 10;
+
+/**
+ * 生成形如 K7QX-M2PD 的配对码
+ * @returns {string}
+ */
+function generatePairingCode() {
+    const chars = Array.from(crypto.randomBytes(8), byte => PAIRING_ALPHABET[byte % PAIRING_ALPHABET.length]);
+    return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+function parseCookies(header) {
+    return (header || '').split(';').reduce((cookies, pair) => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+            } catch (_) {
+                // 忽略编码不合法的 Cookie
+            }
+        }
+        return cookies;
+    }, {});
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+function renderPairingPage(message) {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Nano Banana - 配对</title>
+<style>
+    body { font-family: sans-serif; display: flex; justify-content: center; align-items: center; min-height: 100vh; margin: 0; background: #FFE600; }
+    form { background: #fff; border: 4px solid #000; box-shadow: 8px 8px 0 #000; padding: 2rem; max-width: 360px; }
+    input { width: 100%; box-sizing: border-box; font-size: 1.2rem; padding: 0.5rem; border: 3px solid #000; margin: 1rem 0; letter-spacing: 2px; }
+    button { font-size: 1rem; font-weight: bold; padding: 0.5rem 1.5rem; border: 3px solid #000; background: #00F0FF; cursor: pointer; }
+    .error { color: #FF0055; font-weight: bold; }
+</style>
+</head>
+<body>
+<form method="GET" action="/">
+    <h2>🍌 连接到共享的 Nano Banana</h2>
+    <p>请输入服务器终端中显示的配对码或访问令牌。</p>
+    ${message ? `<p class="error">${message}</p>` : ''}
+    <input name="pair" autocomplete="off" autofocus placeholder="XXXX-XXXX">
+    <button type="submit">连接</button>
+</form>
+</body>
+</html>`;
+}
+
+/**
+ * 创建局域网访问控制中间件
+ * @param {{ token?: string, pairingCode?: string, pairingTtlMs?: number, maxFailures?: number }} options
+ *   token 为配置的访问令牌（长期有效，区分大小写）；未配置令牌时传入生成的 pairingCode（不区分大小写），
+ *   pairingTtlMs 后过期，累计输错 maxFailures 次作废，两种情况都会生成新的配对码
+ * @returns {Function} Express 中间件
+ */
+function createLanAuth({ token = '', pairingCode = '', pairingTtlMs = PAIRING_CODE_TTL_MS, maxFailures = MAX_PAIRING_FAILURES }) {
+    const equals = (candidate, expected) => crypto.timingSafeEqual(sha256(candidate), sha256(expected));
+    // 配对成功后发放的会话（只保存哈希），服务重启后失效
+    const sessions = new Map();
+    let pairing = pairingCode ? { code: pairingCode, expiresAt: Date.now() + pairingTtlMs, failures: 0 } : null;
+
+    function rotatePairingCode(reason) {
+        pairing = { code: generatePairingCode(), expiresAt: Date.now() + pairingTtlMs, failures: 0 };
+        logger.info(`🔐 配对码${reason}，新的配对码: ${pairing.code}（${Math.round(pairingTtlMs / 60000)} 分钟内有效）`);
+    }
+
+    function createSession() {
+        const session = crypto.randomBytes(32).toString('base64url');
+        sessions.set(sha256(session).toString('hex'), Date.now() + COOKIE_MAX_AGE_SECONDS * 1000);
+        return session;
+    }
+
+    function hasSession(candidate) {
+        const key = sha256(candidate).toString('hex');
+        const expiresAt = sessions.get(key);
+        if (!expiresAt) return false;
+        if (expiresAt > Date.now()) return true;
+        sessions.delete(key);
+        return false;
+    }
+
+    /**
+     * 校验令牌或配对码，返回 { ok }，失败时附带给配对页的提示
+     * 配对码校验失败会计数，过期或输错次数达到上限时立即换新的配对码
+     */
+    function verify(candidate) {
+        const value = String(candidate || '').trim();
+        if (!value) return { ok: false, message: '' };
+        if (token) {
+            return equals(value, token.trim()) ? { ok: true } : { ok: false, message: '访问令牌无效，请重新输入' };
+        }
+
+        if (Date.now() >= pairing.expiresAt) {
+            rotatePairingCode('已过期');
+            return { ok: false, message: '配对码已过期，新的配对码已显示在服务器终端' };
+        }
+        if (equals(value.toUpperCase(), pairing.code)) return { ok: true };
+
+        pairing.failures++;
+        if (pairing.failures >= maxFailures) {
+            rotatePairingCode(`连续输错 ${pairing.failures} 次已作废`);
+            return { ok: false, message: '输错次数过多，配对码已作废，新的配对码已显示在服务器终端' };
+        }
+        return { ok: false, message: '配对码无效，请重新输入' };
+    }
+
+    return function lanAuth(req, res, next) {
+        const cookie = parseCookies(req.get('cookie'))[ACCESS_COOKIE];
+        if (cookie && (token ? equals(cookie, token.trim()) : hasSession(cookie))) return next();
+
+        const authorization = req.get('authorization') || '';
+        const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+        if (bearer && verify(bearer[1]).ok) return next();
+
+        // 配对：?pair=<配对码或令牌> 校验通过后写入 Cookie，并跳转去掉地址栏中的配对码
+        const pair = req.method === 'GET' && req.query.pair;
+        const result = pair ? verify(pair) : { ok: false, message: '' };
+        if (result.ok) {
+            const value = token ? token.trim() : createSession();
+            res.setHeader('Set-Cookie', `${ACCESS_COOKIE}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${COOKIE_MAX_AGE_SECONDS}`);
+            const query = new URLSearchParams(req.query);
+            query.delete('pair');
+            const rest = query.toString();
+            return res.redirect(`${req.path}${rest ? `?${rest}` : ''}`);
+        }
+
+        if (req.method === 'GET' && req.accepts(['html', 'json']) === 'html') {
+            return res.status(401).type('html').send(renderPairingPage(result.message));
+        }
+
+        res.status(401).json({
+            error: {
+                code: 401,
+                status: 'UNAUTHENTICATED',
+                message: '局域网共享模式需要访问令牌：请在请求头中携带 Authorization: Bearer <令牌>，或先在浏览器中完成配对'
+            }
+        });
+    };
+}
+
+module.exports = {
+    createLanAuth,
+    generatePairingCode
+};
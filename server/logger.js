@@ -0,0 +1,88 @@
+/**
+ * 日志模块
+ * 按配置的日志级别（silent / error / warn / info / debug）过滤服务端输出，输出前把密钥、令牌替换为 ***
+ */
+
+// silent 不输出任何日志（测试中使用）
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+// 上游错误信息和地址中可能带出的密钥：?key= 查询参数、Bearer 令牌、Google（AIza…）与 OpenAI（sk-…）格式的 API Key
+const SECRET_PATTERNS = [
+    [/([?&](?:key|api_key|access_token|token)=)[^&\s"']+/gi, '$1***'],
+    [/\b(Bearer\s+)[\w.~+/-]+=*/gi, '$1***'],
+    [/\bAIza[\w-]{20,}/g, 'AIza***'],
+    [/\bsk-[\w-]{16,}/g, 'sk-***']
+];
+
+function redactText(text) {
+    return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * 脱敏单个日志参数；Error 按堆栈输出，其他对象原样交给 console 格式化
+ */
+function redact(value) {
+    if (typeof value === 'string') return redactText(value);
+    if (value instanceof Error) return redactText(value.stack || `${value.name}: ${value.message}`);
+    return value;
+}
+
+/**
+ * 创建日志器，低于 level 的日志会被忽略
+ * @param {string} level
+ * @param {{ stderr?: boolean }} [options] - stderr 为 true 时 info / debug 也写到标准错误（命令行的 stdout 只留给结果）
+ */
+function createLogger(level = 'info', { stderr = false } = {}) {
+    const threshold = LOG_LEVELS.includes(level) ? LOG_LEVELS.indexOf(level) : LOG_LEVELS.indexOf('info');
+    const enabled = name => LOG_LEVELS.indexOf(name) <= threshold;
+    const write = stderr ? console.error : console.log;
+
+    return {
+        level: LOG_LEVELS[threshold],
+        error: (...args) => enabled('error') && console.error(...args.map(redact)),
+        warn: (...args) => enabled('warn') && console.warn(...args.map(redact)),
+        info: (...args) => enabled('info') && write(...args.map(redact)),
+        debug: (...args) => enabled('debug') && write(...args.map(redact))
+    };
+}
+
+let current = null;
+
+/**
+ * 首次输出时才读取配置的日志级别；config.js 加载过程中也要输出警告，不能在这里提前 require 造成循环依赖
+ */
+function sharedLogger() {
+    if (current) return current;
+    // 配置仍在加载中（config.js 读取配置文件时的警告）时先按默认级别输出
+    const configModule = require.cache[require.resolve('./config')];
+    if (configModule && !configModule.loaded) return createLogger();
+    current = createLogger(require('./config').config.logLevel);
+    return current;
+}
+
+// 各模块持有的是同一个 logger 对象，调用时转发给当前的日志器
+const logger = {
+    get level() {
+        return sharedLogger().level;
+    },
+    error: (...args) => sharedLogger().error(...args),
+    warn: (...args) => sharedLogger().warn(...args),
+    info: (...args) => sharedLogger().info(...args),
+    debug: (...args) => sharedLogger().debug(...args)
+};
+
+/**
+ * 调整共享日志器
+ * @param {{ level?: string, stderr?: boolean }} options
+ */
+function configureLogger({ level = logger.level, stderr = false } = {}) {
+    current = createLogger(level, { stderr });
+}
+
+module.exports = {
+    logger,
+    createLogger,
+    configureLogger,
+    redactText,
+    LOG_LEVELS
+};
@@ -0,0 +1,368 @@
+/**
+ * 本地模拟上游模块
+ * 离线演示 / 调试用：返回确定性的占位 PNG，并可模拟延迟、安全拦截、空结果和 HTTP 错误
+ *
+ * 场景既可以通过环境变量全局设置，也可以在提示词里临时指定：
+ *   [mock:blocked]  [mock:empty]  [mock:error=429]  [mock:latency=3000]
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Response, Headers, ReadableStream } = require('./http-client');
+
+const MOCK_MODELS = [
+    'nano-banana-2-4k',
+    'gemini-2.5-flash-image-preview',
+    'gemini-2.0-flash'
+];
+
+// 占位图边长，按 imageSize 区分以便在界面上看出差别
+const PLACEHOLDER_SIZES = { '': 256, '1K': 256, '2K': 384, '4K': 512 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * 根据种子生成确定性的条纹占位 PNG
+ * @param {string} seed
+ * @param {number} size
+ * @returns {Buffer}
+ */
+function createPlaceholderPng(seed, size) {
+    const digest = crypto.createHash('sha256').update(seed).digest();
+    const primary = [digest[0], digest[1], digest[2]];
+    const secondary = primary.map(value => 255 - value);
+
+    const rowLength = size * 3 + 1;
+    const raw = Buffer.alloc(rowLength * size);
+    for (let y = 0; y < size; y++) {
+        raw[y * rowLength] = 0; // filter: none
+        for (let x = 0; x < size; x++) {
+            const color = Math.floor((x + y) / (size / 8)) % 2 === 0 ? primary : secondary;
+            const offset = y * rowLength + 1 + x * 3;
+            raw[offset] = color[0];
+            raw[offset + 1] = color[1];
+            raw[offset + 2] = color[2];
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type: RGB
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * 从提示词中读取 [mock:xxx] 指令，覆盖全局场景
+ */
+function resolveScenario(prompt, defaults) {
+    const scenario = { ...defaults };
+    const pattern = /\[mock:(\w+)(?:=(\d+))?]/gi;
+    let match;
+    while ((match = pattern.exec(prompt || ''))) {
+        const [, name, value] = match;
+        if (name === 'latency') {
+            scenario.latencyMs = Number(value);
+        } else if (name === 'error') {
+            scenario.scenario = 'error';
+            if (value) scenario.errorStatus = Number(value);
+        } else {
+            scenario.scenario = name.toLowerCase();
+        }
+    }
+    return scenario;
+}
+
+function extractPrompt(body) {
+    if (!body) return '';
+    if (Array.isArray(body.contents)) {
+        const last = body.contents[body.contents.length - 1];
+        return ((last && last.parts) || []).map(part => part.text || '').join(' ');
+    }
+    if (Array.isArray(body.messages)) {
+        const last = body.messages[body.messages.length - 1] || {};
+        return typeof last.content === 'string'
+            ? last.content
+            : (last.content || []).map(part => part.text || '').join(' ');
+    }
+    // OpenAI Images：edits 接口的 multipart 请求在代理内部以 { fields, files } 传递
+    return body.prompt || (body.fields && body.fields.prompt) || '';
+}
+
+function jsonResponse(status, data, headers = {}) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { 'content-type': 'application/json; charset=utf-8', ...headers }
+    });
+}
+
+function errorResponse(status) {
+    const statusText = {
+        400: 'INVALID_ARGUMENT',
+        401: 'UNAUTHENTICATED',
+        403: 'PERMISSION_DENIED',
+        429: 'RESOURCE_EXHAUSTED',
+        500: 'INTERNAL',
+        503: 'UNAVAILABLE'
+    }[status] || 'UNKNOWN';
+    const headers = status === 429 || status >= 500 ? { 'retry-after': '1' } : {};
+    return jsonResponse(status, {
+        error: { code: status, status: statusText, message: `[mock] 模拟的上游错误 ${status}` }
+    }, headers);
+}
+
+/**
+ * 以 SSE 形式逐条发送事件，事件之间插入延迟
+ */
+function sseResponse(events, stepMs) {
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+        async start(controller) {
+            for (const event of events) {
+                controller.enqueue(encoder.encode(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\r\n\r\n`));
+                await delay(stepMs);
+            }
+            controller.close();
+        }
+    });
+    return new Response(body, {
+        status: 200,
+        headers: { 'content-type': 'text/event-stream' }
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function hasCredentials(headers) {
+    const normalized = new Headers(headers || {});
+    return !!(normalized.get('authorization') || normalized.get('x-goog-api-key'));
+}
+
+/**
+ * 创建替代 fetch 的模拟上游
+ * @param {{ latencyMs?: number, scenario?: string, errorStatus?: number }} options
+ * @returns {(url: string|URL, init?: object) => Promise<Response>}
+ */
+function createMockFetch({ latencyMs = 800, scenario = 'success', errorStatus = 503 } = {}) {
+    const defaults = { latencyMs, scenario, errorStatus };
+
+    function geminiResult(model, prompt, imageSize, active) {
+        if (active.scenario === 'blocked') {
+            return {
+                candidates: [{ finishReason: 'SAFETY', index: 0 }],
+                promptFeedback: {
+                    blockReason: 'SAFETY',
+                    safetyRatings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH' }]
+                }
+            };
+        }
+        if (active.scenario === 'empty') {
+            return { candidates: [{ finishReason: 'OTHER', index: 0 }] };
+        }
+
+        const seed = `${model}|${prompt}|${imageSize}`;
+        const png = createPlaceholderPng(seed, PLACEHOLDER_SIZES[imageSize] || PLACEHOLDER_SIZES['']);
+        return {
+            candidates: [{
+                index: 0,
+                finishReason: 'STOP',
+                content: {
+                    role: 'model',
+                    parts: [
+                        { text: `[mock] ${model} 已根据提示词生成占位图：${prompt.slice(0, 60)}` },
+                        { inlineData: { mimeType: 'image/png', data: png.toString('base64') } }
+                    ]
+                }
+            }],
+            usageMetadata: {
+                promptTokenCount: Math.ceil(prompt.length / 4),
+                candidatesTokenCount: 1290,
+                totalTokenCount: Math.ceil(prompt.length / 4) + 1290
+            }
+        };
+    }
+
+    function streamGemini(result, active) {
+        if (!result.candidates || !result.candidates[0].content) {
+            return sseResponse([result], 0);
+        }
+        const [textPart, imagePart] = result.candidates[0].content.parts;
+        const words = textPart.text.match(/.{1,8}/g) || [];
+        const events = words.map(text => ({
+            candidates: [{ index: 0, content: { role: 'model', parts: [{ text }] } }]
+        }));
+        events.push({
+            candidates: [{ index: 0, finishReason: 'STOP', content: { role: 'model', parts: [imagePart] } }],
+            usageMetadata: result.usageMetadata
+        });
+        return sseResponse(events, Math.max(50, Math.round(active.latencyMs / events.length)));
+    }
+
+    function chatCompletion(url, body, prompt, active) {
+        const model = body.model || 'nano-banana-2-4k';
+        let content;
+        if (active.scenario === 'empty') {
+            return jsonResponse(200, { id: 'chatcmpl-mock', object: 'chat.completion', model, choices: [] });
+        }
+        if (active.scenario === 'blocked') {
+            content = '[mock] 抱歉，该请求触发了内容安全策略，无法生成图片。';
+        } else {
+            const seed = crypto.createHash('sha256').update(`${model}|${prompt}`).digest('hex').slice(0, 16);
+            content = `[mock] 图片已生成\n\n![image](${url.origin}/mock-files/${seed}-512.png)`;
+        }
+
+        const usage = { prompt_tokens: Math.ceil(prompt.length / 4), completion_tokens: 40, total_tokens: Math.ceil(prompt.length / 4) + 40 };
+        if (body.stream) {
+            const pieces = content.match(/[\s\S]{1,12}/g);
+            const events = pieces.map(piece => ({
+                id: 'chatcmpl-mock',
+                object: 'chat.completion.chunk',
+                model,
+                choices: [{ index: 0, delta: { content: piece }, finish_reason: null }]
+            }));
+            events.push({ id: 'chatcmpl-mock', object: 'chat.completion.chunk', model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage });
+            events.push('[DONE]');
+            return sseResponse(events, Math.max(30, Math.round(active.latencyMs / events.length)));
+        }
+
+        return jsonResponse(200, {
+            id: 'chatcmpl-mock',
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model,
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+            usage
+        });
+    }
+
+    function imagesResult(url, body, prompt, active) {
+        const params = body.fields || body;
+        const model = params.model || 'gpt-image-1';
+        if (active.scenario === 'blocked') {
+            return jsonResponse(400, {
+                error: { code: 'content_policy_violation', type: 'invalid_request_error', message: '[mock] 该请求触发了内容安全策略' }
+            });
+        }
+        if (active.scenario === 'empty') {
+            return jsonResponse(200, { created: Math.floor(Date.now() / 1000), data: [] });
+        }
+
+        const count = Math.min(Math.max(parseInt(params.n, 10) || 1, 1), 4);
+        const side = Math.min(parseInt(String(params.size || '').split('x')[0], 10) / 8 || 256, 512);
+        const references = (body.files || []).length;
+        const data = Array.from({ length: count }, (_, index) => {
+            const seed = crypto.createHash('sha256').update(`${model}|${prompt}|${references}|${index}`).digest('hex').slice(0, 16);
+            return params.response_format === 'url'
+                ? { url: `${url.origin}/mock-files/${seed}-${side}.png` }
+                : { b64_json: createPlaceholderPng(seed, side).toString('base64'), revised_prompt: index === 0 ? `[mock] ${prompt.slice(0, 60)}` : undefined };
+        });
+        return jsonResponse(200, {
+            created: Math.floor(Date.now() / 1000),
+            data,
+            usage: { input_tokens: Math.ceil(prompt.length / 4) + references * 258, output_tokens: 1056 * count, total_tokens: Math.ceil(prompt.length / 4) + references * 258 + 1056 * count }
+        });
+    }
+
+    return async function mockFetch(input, init = {}) {
+        const url = new URL(String(input));
+        const method = (init.method || 'GET').toUpperCase();
+        let body = null;
+        try {
+            body = init.body ? JSON.parse(init.body) : null;
+        } catch (_) {
+            body = null;
+        }
+
+        const prompt = extractPrompt(body);
+        const active = resolveScenario(prompt, defaults);
+        await delay(active.latencyMs);
+
+        // 占位图下载（Nano Banana 返回的 markdown 图片地址）
+        const fileMatch = url.pathname.match(/\/mock-files\/([0-9a-f]+)-(\d+)\.png$/);
+        if (method === 'GET' && fileMatch) {
+            const size = Math.min(Number(fileMatch[2]) || 256, 1024);
+            return new Response(createPlaceholderPng(fileMatch[1], size), {
+                status: 200,
+                headers: { 'content-type': 'image/png', 'cache-control': 'public, max-age=3600' }
+            });
+        }
+
+        if (!hasCredentials(init.headers)) {
+            return errorResponse(401);
+        }
+
+        if (active.scenario === 'error') {
+            return errorResponse(active.errorStatus);
+        }
+
+        if (method === 'GET' && /\/v1beta\/models\/?$/.test(url.pathname)) {
+            return jsonResponse(200, {
+                models: MOCK_MODELS.map(name => ({
+                    name: `models/${name}`,
+                    displayName: `[mock] ${name}`,
+                    supportedGenerationMethods: ['generateContent', 'streamGenerateContent']
+                }))
+            });
+        }
+
+        const geminiMatch = url.pathname.match(/\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/);
+        if (method === 'POST' && geminiMatch) {
+            const [, model, action] = geminiMatch;
+            const imageSize = (body && body.generationConfig && body.generationConfig.imageConfig && body.generationConfig.imageConfig.imageSize) || '';
+            const result = geminiResult(model, prompt, imageSize, active);
+            if (action === 'streamGenerateContent') {
+                return streamGemini(result, active);
+            }
+            return jsonResponse(200, result);
+        }
+
+        if (method === 'POST' && /\/v1\/chat\/completions$/.test(url.pathname)) {
+            return chatCompletion(url, body || {}, prompt, active);
+        }
+
+        if (method === 'POST' && /\/v1\/images\/(generations|edits)$/.test(url.pathname)) {
+            return imagesResult(url, body || {}, prompt, active);
+        }
+
+        return jsonResponse(404, {
+            error: { code: 404, status: 'NOT_FOUND', message: `[mock] 未模拟的接口: ${method} ${url.pathname}` }
+        });
+    };
+}
+
+module.exports = {
+    createMockFetch,
+    createPlaceholderPng
+};
@@ -0,0 +1,332 @@
+/**
+ * 本地 OpenAI 兼容接口
+ * 只会说 OpenAI 协议的工具（设计脚本、聊天前端）可以把本服务当作图像网关：
+ * /v1/images/generations 与 /v1/chat/completions 的请求按模型适配规则翻译成对应协议的上游调用（默认 Gemini generateContent），
+ * 使用服务端配置的上游地址、密钥配置和模型，结果中的图片再转换回 b64_json / Markdown 图片
+ */
+
+const crypto = require('crypto');
+const api = require('../api');
+const { logger } = require('./logger');
+
+// OpenAI 客户端默认携带的模型名，统一替换为配置的模型
+const OPENAI_MODEL_PATTERN = /^(gpt-|chatgpt|dall-e|o\d|text-)/i;
+const DATA_URL_PATTERN = /^data:([\w.+-]+\/[\w.+-]+);base64,([\s\S]+)$/;
+const MARKDOWN_DATA_IMAGE_PATTERN = /!\[[^\]]*\]\((data:[^)\s]+)\)/g;
+const MAX_IMAGES_PER_REQUEST = 10;
+const IMAGE_SIZES = ['1K', '2K', '4K'];
+
+/**
+ * OpenAI 兼容接口的错误，按 OpenAI 的错误格式返回，方便现有客户端直接展示
+ */
+class OpenAIFacadeError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'OpenAIFacadeError';
+        this.status = status;
+        this.code = code;
+    }
+
+    toJSON() {
+        return {
+            error: {
+                message: this.message,
+                type: this.status < 500 ? 'invalid_request_error' : 'api_error',
+                param: null,
+                code: this.code
+            }
+        };
+    }
+}
+
+/**
+ * 把上游调用失败转换为 OpenAI 格式的错误
+ * 上游的 401 / 403 是服务端保存的密钥有问题，不能让客户端误以为自己的令牌无效，统一按 502 返回
+ */
+function toFacadeError(error) {
+    if (error instanceof OpenAIFacadeError) return error;
+    const status = error.status && error.status !== 401 && error.status !== 403 ? error.status : 502;
+    return new OpenAIFacadeError(status, 'upstream_error', error.message);
+}
+
+/**
+ * OpenAI 的 size（如 1024x1024、1792x1024）按长边映射为 Gemini imageSize
+ */
+function toImageSize(size) {
+    if (!size || size === 'auto') return '';
+    const match = /^(\d+)x(\d+)$/.exec(String(size));
+    if (!match) {
+        throw new OpenAIFacadeError(400, 'invalid_size', `不支持的 size: ${size}（格式应为 宽x高，如 1024x1024）`);
+    }
+    const longest = Math.max(Number(match[1]), Number(match[2]));
+    if (longest <= 1024) return '1K';
+    if (longest <= 2048) return '2K';
+    return '4K';
+}
+
+function parseDataUrl(url) {
+    const match = DATA_URL_PATTERN.exec(url || '');
+    return match ? { mimeType: match[1], data: match[2] } : null;
+}
+
+/**
+ * 文本中的 Markdown data URL 图片（本接口自己返回的格式）还原为 inlineData，便于多轮对话继续编辑
+ */
+function textToParts(text) {
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of String(text).matchAll(MARKDOWN_DATA_IMAGE_PATTERN)) {
+        const inline = parseDataUrl(match[1]);
+        if (!inline) continue;
+        const before = text.slice(lastIndex, match.index).trim();
+        if (before) parts.push({ text: before });
+        parts.push({ inlineData: inline });
+        lastIndex = match.index + match[0].length;
+    }
+    const rest = String(text).slice(lastIndex).trim();
+    if (rest) parts.push({ text: rest });
+    return parts;
+}
+
+/**
+ * OpenAI 消息内容（字符串或 text / image_url 分片数组）转换为 Gemini parts
+ */
+function contentToParts(content) {
+    if (typeof content === 'string') return textToParts(content);
+    if (!Array.isArray(content)) return [];
+
+    return content.flatMap(item => {
+        if (!item) return [];
+        if (item.type === 'text') return textToParts(item.text || '');
+        if (item.type === 'image_url') {
+            const url = typeof item.image_url === 'string' ? item.image_url : item.image_url && item.image_url.url;
+            const inline = parseDataUrl(url);
+            if (!inline) {
+                throw new OpenAIFacadeError(400, 'invalid_image_url', '图片只支持 data:<mime>;base64,... 形式的 data URL');
+            }
+            return [{ inlineData: inline }];
+        }
+        return [];
+    });
+}
+
+/**
+ * OpenAI messages 转换为 api.js 的 history + newParts
+ * system 消息没有对应的 Gemini 字段，合并到最后一条用户消息前面
+ */
+function messagesToGemini(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        throw new OpenAIFacadeError(400, 'invalid_messages', 'messages 不能为空');
+    }
+
+    const systemText = messages
+        .filter(message => message && (message.role === 'system' || message.role === 'developer'))
+        .map(message => contentToParts(message.content).filter(part => part.text).map(part => part.text).join('\n'))
+        .filter(Boolean)
+        .join('\n');
+
+    const turns = messages
+        .filter(message => message && (message.role === 'user' || message.role === 'assistant'))
+        .map(message => ({
+            role: message.role === 'assistant' ? 'model' : 'user',
+            parts: contentToParts(message.content)
+        }))
+        .filter(turn => turn.parts.length > 0);
+
+    const last = turns.pop();
+    if (!last || last.role !== 'user') {
+        throw new OpenAIFacadeError(400, 'invalid_messages', '最后一条消息必须是 user 消息');
+    }
+
+    return {
+        history: turns,
+        newParts: systemText ? [{ text: systemText }, ...last.parts] : last.parts
+    };
+}
+
+function imagesToMarkdown(images) {
+    return images
+        .map((image, index) => `![image ${index + 1}](data:${image.mimeType || 'image/png'};base64,${image.data})`)
+        .join('\n\n');
+}
+
+/**
+ * 创建 OpenAI 兼容接口
+ * @param {{ transport: Function, baseUrl: string, keyProfile: string, model?: string, gallery?: object|null, modelAdapters?: Array }} options
+ *   transport 为进程内代理传输；gallery 用于 response_format=url 时保存图片并返回访问地址
+ */
+function createOpenAIFacade({ transport, baseUrl, keyProfile, model = '', gallery = null, modelAdapters = [] }) {
+    api.setProxyTransport(transport);
+    api.setLogger(logger);
+    // 未配置模型时取内置列表中第一个支持分辨率参数的 Gemini 模型，size 才能原样传给上游
+    const defaultModel = model || api.API_CONFIG.DEFAULT_MODELS.find(name => {
+        const adapter = api.resolveModelAdapter(name, { adapters: modelAdapters });
+        return adapter.protocol === 'gemini' && adapter.features.imageSize;
+    }) || api.API_CONFIG.DEFAULT_MODELS[0];
+
+    function resolveModel(requested) {
+        const name = typeof requested === 'string' ? requested.trim() : '';
+        return !name || OPENAI_MODEL_PATTERN.test(name) ? defaultModel : name;
+    }
+
+    /**
+     * 模型的协议适配无法表达请求的分辨率时直接返回 400，不静默忽略
+     */
+    function assertImageSize(modelName, imageSize) {
+        if (!imageSize) return;
+        const adapter = api.resolveModelAdapter(modelName, { adapters: modelAdapters });
+        const supported = adapter.sizes ? Object.keys(adapter.sizes) : (adapter.features.imageSize ? IMAGE_SIZES : []);
+        if (!supported.includes(imageSize)) {
+            const hint = supported.length > 0 ? `（可选：${supported.join(' / ')}）` : '，请去掉 size / image_size 参数';
+            throw new OpenAIFacadeError(400, 'unsupported_size', `模型 ${modelName} 不支持 ${imageSize} 分辨率${hint}`);
+        }
+    }
+
+    async function generate(params) {
+        try {
+            return await api.generateImageWithGemini({
+                ...params,
+                modelAdapters,
+                endpoints: [{ id: 'openai-facade', baseUrl, keyProfile, protocol: 'auto' }]
+            });
+        } catch (error) {
+            throw toFacadeError(error);
+        }
+    }
+
+    return {
+        /**
+         * GET /v1/models：只列出实际使用的模型
+         */
+        listModels() {
+            return {
+                object: 'list',
+                data: [{ id: defaultModel, object: 'model', created: 0, owned_by: 'nano-banana' }]
+            };
+        },
+
+        /**
+         * POST /v1/images/generations
+         * Gemini 每次调用只返回一张图，n > 1 时并发调用 n 次（由代理的并发与限速统一排队）
+         * @param {object} body - OpenAI 请求体：prompt、model、n、size、response_format
+         * @param {{ signal?: AbortSignal, origin?: string }} options - origin 为本服务对外地址，用于拼接 url 格式的图片地址
+         */
+        async imagesGenerations(body, { signal, origin = '' } = {}) {
+            const { prompt, n = 1, size, response_format: responseFormat = 'b64_json' } = body || {};
+            if (typeof prompt !== 'string' || !prompt.trim()) {
+                throw new OpenAIFacadeError(400, 'invalid_prompt', 'prompt 不能为空');
+            }
+            const count = Number(n);
+            if (!Number.isInteger(count) || count < 1 || count > MAX_IMAGES_PER_REQUEST) {
+                throw new OpenAIFacadeError(400, 'invalid_n', `n 必须是 1 到 ${MAX_IMAGES_PER_REQUEST} 之间的整数`);
+            }
+            if (!['b64_json', 'url'].includes(responseFormat)) {
+                throw new OpenAIFacadeError(400, 'invalid_response_format', 'response_format 只支持 b64_json / url');
+            }
+            if (responseFormat === 'url' && !gallery) {
+                throw new OpenAIFacadeError(400, 'invalid_response_format', '未启用作品库，无法返回 url 格式');
+            }
+
+            const params = {
+                model: resolveModel(body.model),
+                newParts: [{ text: prompt.trim() }],
+                imageSize: toImageSize(size),
+                stream: false,
+                signal
+            };
+            assertImageSize(params.model, params.imageSize);
+            const results = await Promise.all(Array.from({ length: count }, () => generate(params)));
+            const images = results.flatMap(result => result.images).slice(0, count);
+            if (images.length === 0) {
+                throw new OpenAIFacadeError(502, 'no_image', `上游未返回图片${results[0].text ? `：${results[0].text}` : ''}`);
+            }
+
+            let data;
+            if (responseFormat === 'url') {
+                const entry = await gallery.save({ images, text: results[0].text, prompt: prompt.trim(), model: params.model, imageSize: params.imageSize, endpoint: 'openai-facade' });
+                data = entry.images.map(image => ({ url: `${origin}${image.url}` }));
+            } else {
+                data = images.map(image => ({ b64_json: image.data }));
+            }
+            if (results[0].text) data[0].revised_prompt = results[0].text;
+
+            return { created: Math.floor(Date.now() / 1000), data };
+        },
+
+        /**
+         * POST /v1/chat/completions
+         * 生成的图片以 Markdown data URL 图片追加在回复文本后；stream 为 true 且提供 onChunk 时按 chat.completion.chunk 逐段回调
+         * @param {object} body - OpenAI 请求体：model、messages、stream，可选 image_size（1K / 2K / 4K）
+         * @param {{ signal?: AbortSignal, onChunk?: (chunk: object) => void }} options
+         */
+        async chatCompletions(body, { signal, onChunk } = {}) {
+            const { history, newParts } = messagesToGemini(body && body.messages);
+            const imageSize = body.image_size ? String(body.image_size).toUpperCase() : '';
+            if (imageSize && !IMAGE_SIZES.includes(imageSize)) {
+                throw new OpenAIFacadeError(400, 'invalid_image_size', 'image_size 只支持 1K / 2K / 4K');
+            }
+
+            const id = `chatcmpl-${crypto.randomBytes(12).toString('hex')}`;
+            const created = Math.floor(Date.now() / 1000);
+            const resolvedModel = resolveModel(body.model);
+            assertImageSize(resolvedModel, imageSize);
+            const streaming = !!body.stream && typeof onChunk === 'function';
+            const chunk = (delta, finishReason = null) => ({
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model: resolvedModel,
+                choices: [{ index: 0, delta, finish_reason: finishReason }]
+            });
+
+            let sentText = '';
+            if (streaming) onChunk(chunk({ role: 'assistant', content: '' }));
+
+            const result = await generate({
+                model: resolvedModel,
+                history,
+                newParts,
+                imageSize,
+                stream: streaming,
+                signal,
+                // 上游流式返回的是累计文本，这里只下发新增部分
+                onStream: streaming ? partial => {
+                    const text = partial.text || '';
+                    if (text.length > sentText.length && text.startsWith(sentText)) {
+                        onChunk(chunk({ content: text.slice(sentText.length) }));
+                        sentText = text;
+                    }
+                } : undefined
+            });
+
+            const imageMarkdown = imagesToMarkdown(result.images);
+            const content = [result.text, imageMarkdown].filter(Boolean).join('\n\n');
+
+            if (streaming) {
+                const rest = result.text && result.text.startsWith(sentText) ? result.text.slice(sentText.length) : '';
+                const separator = (sentText || rest) && imageMarkdown ? '\n\n' : '';
+                const tail = `${rest}${separator}${imageMarkdown}`;
+                if (tail) onChunk(chunk({ content: tail }));
+                onChunk(chunk({}, 'stop'));
+                return null;
+            }
+
+            return {
+                id,
+                object: 'chat.completion',
+                created,
+                model: resolvedModel,
+                choices: [{
+                    index: 0,
+                    message: { role: 'assistant', content },
+                    finish_reason: 'stop'
+                }]
+            };
+        }
+    };
+}
+
+module.exports = {
+    createOpenAIFacade,
+    OpenAIFacadeError
+};
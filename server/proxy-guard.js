@@ -0,0 +1,236 @@
+/**
+ * 代理目标校验模块
+ * 只允许访问白名单内的上游 Origin，并拦截指向内网地址的请求（SSRF 防护）
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { logger } = require('./logger');
+const { Agent } = require('./http-client');
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+// 私有、回环、链路本地及其他保留网段
+const BLOCKED_IPV4_SUBNETS = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+];
+
+/**
+ * 6to4 地址（2002::/16）在第 16–48 位嵌入 IPv4，例如 10.0.0.0 → 2002:a00:0::
+ */
+function sixToFourPrefix(ipv4) {
+    const [a, b, c, d] = ipv4.split('.').map(Number);
+    return `2002:${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}::`;
+}
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_IPV4_SUBNETS.forEach(([prefix, bits]) => {
+    blockedAddresses.addSubnet(prefix, bits, 'ipv4');
+    // 包裹了这些 IPv4 的 IPv6 地址同样拦截（无论写成 ::ffff:127.0.0.1 还是 ::ffff:7f00:1）：
+    // IPv4 映射 ::ffff:0:0/96、NAT64 64:ff9b::/96、6to4 2002::/16；包裹公网 IPv4 的地址照常放行
+    blockedAddresses.addSubnet(`::ffff:${prefix}`, 96 + bits, 'ipv6');
+    blockedAddresses.addSubnet(`64:ff9b::${prefix}`, 96 + bits, 'ipv6');
+    blockedAddresses.addSubnet(sixToFourPrefix(prefix), 16 + bits, 'ipv6');
+});
+[
+    ['::', 96], // 未指定地址、回环地址和已废弃的 IPv4 兼容地址 ::a.b.c.d
+    ['::ffff:0:0:0', 96], // IPv4 转换地址（RFC 2765）
+    ['64:ff9b:1::', 48], // 本地使用的 NAT64 前缀（RFC 8215）
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * 代理拒绝访问时抛出的错误，携带结构化信息
+ */
+class ProxyGuardError extends Error {
+    constructor(reason, message, status = 403) {
+        super(message);
+        this.name = 'ProxyGuardError';
+        this.reason = reason;
+        this.status = status;
+    }
+
+    toJSON() {
+        return {
+            error: {
+                code: this.status,
+                status: 'PROXY_TARGET_REJECTED',
+                reason: this.reason,
+                message: this.message
+            }
+        };
+    }
+}
+
+/**
+ * 判断 IP 是否属于私有 / 保留网段
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 4) return blockedAddresses.check(address, 'ipv4');
+    if (family === 6) return blockedAddresses.check(address, 'ipv6');
+    return true;
+}
+
+/**
+ * 把白名单条目解析为 { protocol, host, port, wildcard }，单独的 * 表示任意 HTTP(S) Origin
+ * @param {string} entry
+ * @returns {object|null}
+ */
+function parseAllowlistEntry(entry) {
+    if (entry === '*') {
+        return { any: true };
+    }
+
+    const wildcard = /^[a-z]+:\/\/\*\./i.test(entry);
+    try {
+        const url = new URL(wildcard ? entry.replace('*.', 'wildcard.') : entry);
+        return {
+            protocol: url.protocol,
+            host: wildcard ? url.hostname.replace(/^wildcard\./, '') : url.hostname,
+            port: url.port,
+            wildcard
+        };
+    } catch (_) {
+        logger.warn(`忽略无效的代理白名单条目: ${entry}`);
+        return null;
+    }
+}
+
+/**
+ * 创建代理守卫
+ * @param {{ allowedOrigins: string[], allowPrivateNetworks?: boolean, allowlistName?: string, lookup?: Function }} options
+ */
+function createProxyGuard({
+    allowedOrigins = [],
+    allowPrivateNetworks = false,
+    allowlistName = 'PROXY_ALLOWED_ORIGINS',
+    lookup = dns.promises.lookup
+} = {}) {
+    const entries = allowedOrigins.map(parseAllowlistEntry).filter(Boolean);
+
+    function isOriginAllowed(url) {
+        return entries.some(entry => {
+            if (entry.any) return true;
+            if (entry.protocol !== url.protocol || entry.port !== url.port) return false;
+            if (entry.wildcard) {
+                return url.hostname.endsWith(`.${entry.host}`);
+            }
+            return url.hostname === entry.host;
+        });
+    }
+
+    /**
+     * 解析主机名并确认所有地址都不指向内网
+     * @param {string} hostname
+     * @returns {Promise<Array<{ address: string, family: number }>>} 校验通过的地址
+     */
+    async function resolvePublicAddresses(hostname) {
+        const bareHost = hostname.replace(/^\[|\]$/g, '');
+        let records;
+        if (net.isIP(bareHost)) {
+            records = [{ address: bareHost, family: net.isIP(bareHost) }];
+        } else {
+            try {
+                records = await lookup(bareHost, { all: true, verbatim: true });
+            } catch (error) {
+                throw new ProxyGuardError('dns_lookup_failed', `无法解析上游主机 ${bareHost}: ${error.code || error.message}`, 502);
+            }
+        }
+
+        const blocked = records.find(record => isPrivateAddress(record.address));
+        if (blocked) {
+            throw new ProxyGuardError('private_address', `上游主机 ${bareHost} 指向内网地址 ${blocked.address}，已拒绝`);
+        }
+        if (records.length === 0) {
+            throw new ProxyGuardError('dns_lookup_failed', `无法解析上游主机 ${bareHost}`, 502);
+        }
+        return records;
+    }
+
+    /**
+     * 解析主机名并确认不指向内网
+     * @param {string} hostname
+     */
+    async function assertPublicHost(hostname) {
+        if (allowPrivateNetworks) return;
+        await resolvePublicAddresses(hostname);
+    }
+
+    /**
+     * 建立连接时使用的 DNS 查询（net.connect 的 lookup 签名）
+     * 连接的正是这次校验通过的地址，请求前的校验与实际连接之间 DNS 记录被改成内网地址（DNS rebinding）也无法绕过
+     */
+    function connectLookup(hostname, options, callback) {
+        resolvePublicAddresses(hostname).then(records => {
+            const candidates = options.family ? records.filter(record => record.family === options.family) : records;
+            if (candidates.length === 0) {
+                callback(new ProxyGuardError('dns_lookup_failed', `上游主机 ${hostname} 没有 IPv${options.family} 地址`, 502));
+            } else if (options.all) {
+                callback(null, candidates);
+            } else {
+                callback(null, candidates[0].address, candidates[0].family);
+            }
+        }, callback);
+    }
+
+    // 允许内网时无需固定地址，使用默认连接
+    const dispatcher = allowPrivateNetworks ? undefined : new Agent({ connect: { lookup: connectLookup } });
+
+    /**
+     * 校验代理目标，通过则返回解析后的 URL
+     * @param {string} targetUrl
+     * @returns {Promise<URL>}
+     */
+    async function assertTargetAllowed(targetUrl) {
+        let url;
+        try {
+            url = new URL(targetUrl);
+        } catch (_) {
+            throw new ProxyGuardError('invalid_url', `无效的 targetUrl: ${targetUrl}`, 400);
+        }
+
+        if (!ALLOWED_PROTOCOLS.includes(url.protocol)) {
+            throw new ProxyGuardError('scheme_not_allowed', `不支持的协议 ${url.protocol}，仅允许 HTTP(S)`);
+        }
+
+        if (url.username || url.password) {
+            throw new ProxyGuardError('credentials_in_url', 'targetUrl 中不允许携带用户名或密码');
+        }
+
+        if (!isOriginAllowed(url)) {
+            throw new ProxyGuardError('host_not_allowed', `上游 ${url.origin} 不在代理白名单中，可通过 ${allowlistName} 添加`);
+        }
+
+        await assertPublicHost(url.hostname);
+        return url;
+    }
+
+    return {
+        isOriginAllowed,
+        assertPublicHost,
+        assertTargetAllowed,
+        connectLookup,
+        dispatcher
+    };
+}
+
+module.exports = {
+    createProxyGuard,
+    isPrivateAddress,
+    ProxyGuardError
+};
@@ -0,0 +1,232 @@
+/**
+ * 上游代理核心
+ * /api/proxy 路由和服务端任务共用：守卫校验、密钥注入、模拟上游与 cassette 都在这一层处理
+ */
+
+const { createProxyGuard, ProxyGuardError } = require('./proxy-guard');
+const { buildAuthHeaders, KeyVaultError } = require('./key-vault');
+const { releaseWhenSettled } = require('./rate-limiter');
+const { fetch, Response, FormData, Blob } = require('./http-client');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * 把 { fields, files } 描述编码为 multipart/form-data（OpenAI Images edits 等上传接口）
+ * 代理内部始终以 JSON 字符串传递请求体，直到真正访问网络时才转换，模拟上游与 cassette 指纹都基于 JSON
+ */
+function toFormData({ fields = {}, files = [] }) {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, String(value)));
+    files.forEach(file => {
+        const blob = new Blob([Buffer.from(file.data || '', 'base64')], { type: file.mimeType || 'application/octet-stream' });
+        form.append(file.field || 'file', blob, file.filename || 'file');
+    });
+    return form;
+}
+
+function withMultipartBody(options) {
+    const { bodyType, ...rest } = options;
+    if (bodyType !== 'multipart' || !rest.body) return rest;
+
+    // 去掉调用方的 Content-Type，由 fetch 生成带 boundary 的请求头
+    const headers = { ...rest.headers };
+    Object.keys(headers)
+        .filter(name => name.toLowerCase() === 'content-type')
+        .forEach(name => delete headers[name]);
+    return { ...rest, headers, body: toFormData(JSON.parse(rest.body)) };
+}
+
+function originOf(targetUrl) {
+    try {
+        return new URL(targetUrl).origin;
+    } catch (_) {
+        return String(targetUrl);
+    }
+}
+
+/**
+ * 创建上游代理
+ * @param {{ proxyConfig: object, keyPool: object, limiter?: object|null, mockFetch?: Function|null, cassettes?: object|null, usageLedger?: object|null }} options
+ */
+function createUpstreamProxy({ proxyConfig, keyPool, limiter = null, mockFetch = null, cassettes = null, usageLedger = null }) {
+    const proxyGuard = createProxyGuard({
+        ...proxyConfig,
+        allowlistName: 'proxy.allowedOrigins（配置文件）/ PROXY_ALLOWED_ORIGINS'
+    });
+    // 下载生成结果图片专用：只允许无鉴权的 GET；本机模式默认放行任意公网图片地址，局域网模式默认只放行上游 Origin
+    const mediaGuard = createProxyGuard({
+        ...proxyConfig,
+        allowedOrigins: proxyConfig.mediaAllowedOrigins,
+        allowlistName: 'proxy.mediaAllowedOrigins（配置文件）/ PROXY_MEDIA_ORIGINS'
+    });
+
+    /**
+     * 经守卫的连接器访问网络；连接阶段 DNS 校验失败时抛出原始的 ProxyGuardError，而不是 fetch 的 TypeError
+     */
+    async function fetchPinned(guard, url, options) {
+        try {
+            return await fetch(url, { ...options, dispatcher: guard.dispatcher });
+        } catch (error) {
+            if (error && error.cause instanceof ProxyGuardError) throw error.cause;
+            throw error;
+        }
+    }
+
+    /**
+     * 手动跟随重定向，每一跳都重新经过代理守卫校验
+     */
+    async function guardedFetch(guard, targetUrl, fetchOptions) {
+        let url = await guard.assertTargetAllowed(targetUrl);
+        let options = { ...withMultipartBody(fetchOptions), redirect: 'manual' };
+
+        for (let hop = 0; hop <= proxyConfig.maxRedirects; hop++) {
+            const response = await fetchPinned(guard, url, options);
+            const location = response.headers.get('location');
+            if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+                return response;
+            }
+
+            url = await guard.assertTargetAllowed(new URL(location, url).toString());
+            if (response.status === 303 || ((response.status === 301 || response.status === 302) && options.method === 'POST')) {
+                options = { ...options, method: 'GET', body: undefined };
+            }
+        }
+
+        throw new ProxyGuardError('too_many_redirects', `上游重定向次数超过 ${proxyConfig.maxRedirects} 次`, 502);
+    }
+
+    /**
+     * 发起上游请求：模拟模式交给进程内的模拟上游，否则经过守卫校验后访问网络
+     * 开启 cassette 时在这一层录制或回放
+     */
+    function fetchUpstream(guard, targetUrl, fetchOptions) {
+        if (mockFetch) {
+            return mockFetch(targetUrl, fetchOptions);
+        }
+        const networkFetch = () => guardedFetch(guard, targetUrl, fetchOptions);
+        if (cassettes) {
+            return cassettes.fetch(targetUrl, fetchOptions, networkFetch);
+        }
+        return networkFetch();
+    }
+
+    /**
+     * 按 /api/proxy 的请求格式访问上游，拒绝时抛出 ProxyGuardError / KeyVaultError
+     * @param {{ targetUrl: string, method?: string, headers?: object, body?: any, bodyType?: 'json'|'multipart', keyProfile?: string, authScheme?: string, purpose?: 'media' }} request
+     * @param {{ signal?: AbortSignal }} options
+     * @returns {Promise<Response>}
+     */
+    async function forward({ targetUrl, method, headers, body, bodyType, keyProfile, authScheme, purpose }, { signal } = {}) {
+        const isMedia = purpose === 'media';
+
+        if (isMedia && ((method && method !== 'GET') || keyProfile)) {
+            throw new ProxyGuardError('media_request_invalid', '图片下载只允许不带密钥的 GET 请求', 400);
+        }
+
+        const cleanHeaders = isMedia ? {} : { ...(headers || {}) };
+        delete cleanHeaders.host;
+        delete cleanHeaders.Host;
+        delete cleanHeaders['content-length'];
+        delete cleanHeaders['Content-Length'];
+
+        // 按 profile ID 在服务端注入密钥（多把密钥时由密钥池轮换），忽略调用方自带的鉴权头
+        let lease = null;
+        if (keyProfile) {
+            Object.keys(cleanHeaders)
+                .filter(name => ['authorization', 'x-goog-api-key'].includes(name.toLowerCase()))
+                .forEach(name => delete cleanHeaders[name]);
+            lease = keyPool.acquire(keyProfile);
+            Object.assign(cleanHeaders, buildAuthHeaders(authScheme, lease.apiKey));
+        }
+
+        const fetchOptions = {
+            method: isMedia ? 'GET' : (method || 'POST'),
+            headers: cleanHeaders,
+            signal
+        };
+
+        if (body !== undefined && body !== null && fetchOptions.method !== 'GET') {
+            fetchOptions.body = JSON.stringify(body);
+            if (bodyType === 'multipart') fetchOptions.bodyType = 'multipart';
+        }
+
+        // 超出并发 / 速率限制时在这里排队，直到响应体传输结束才释放名额；
+        // 密钥同样在响应体结束时才结算，流式响应传输期间一直计入该密钥的 inFlight
+        let release = () => {};
+        let response;
+        try {
+            if (limiter) {
+                release = await limiter.acquire({ origin: originOf(targetUrl), keyProfile: lease ? lease.limiterKey : keyProfile, signal });
+            }
+            const upstream = await fetchUpstream(isMedia ? mediaGuard : proxyGuard, targetUrl, fetchOptions);
+            response = releaseWhenSettled(upstream, () => {
+                release();
+                if (lease) lease.settle(upstream.status, upstream.headers.get('retry-after'));
+            });
+        } catch (error) {
+            release();
+            if (lease) lease.settle(null);
+            throw error;
+        }
+
+        if (isMedia && response.ok && !(response.headers.get('content-type') || '').startsWith('image/')) {
+            if (response.body) response.body.cancel().catch(() => {});
+            throw new ProxyGuardError('unsupported_media_type', `目标地址返回的不是图片 (${response.headers.get('content-type') || '未知类型'})`, 415);
+        }
+
+        // 生成请求的响应旁路交给用量账本统计 token 和图片数
+        if (usageLedger && !isMedia && fetchOptions.method !== 'GET') {
+            return usageLedger.observe({ targetUrl, body, keyProfile }, response);
+        }
+
+        return response;
+    }
+
+    /**
+     * 进程内调用用的代理传输，行为与浏览器请求 /api/proxy 一致：拒绝原因以 JSON 错误响应返回
+     * @param {object} request - 同 forward
+     * @param {{ signal?: AbortSignal }} options
+     * @returns {Promise<Response>}
+     */
+    async function transport(request, options) {
+        try {
+            return await forward(request, options);
+        } catch (error) {
+            if (error instanceof ProxyGuardError || error instanceof KeyVaultError) {
+                return new Response(JSON.stringify(error.toJSON()), {
+                    status: error.status,
+                    headers: { 'content-type': 'application/json; charset=utf-8' }
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 检查上游地址能否经代理访问，页面保存备用线路时用来提前提示；模拟模式不访问网络，总是可用
+     * @param {string} targetUrl
+     * @returns {Promise<{ allowed: boolean, reason?: string, message?: string }>}
+     */
+    async function checkTarget(targetUrl) {
+        if (mockFetch) return { allowed: true };
+        try {
+            await proxyGuard.assertTargetAllowed(targetUrl);
+            return { allowed: true };
+        } catch (error) {
+            if (!(error instanceof ProxyGuardError)) throw error;
+            // 解析失败可能只是暂时的网络问题，不算作拒绝
+            if (error.reason === 'dns_lookup_failed') return { allowed: true };
+            return { allowed: false, reason: error.reason, message: error.message };
+        }
+    }
+
+    return {
+        forward,
+        transport,
+        checkTarget
+    };
+}
+
+module.exports = {
+    createUpstreamProxy
+};
@@ -0,0 +1,240 @@
+/**
+ * 上游并发与速率限制模块
+ * 按上游 Origin 和密钥配置分别限制并发，按 Origin 做令牌桶限速；超出限制的请求排队等待而不是直接拒绝
+ */
+
+const { Response, ReadableStream, abortError } = require('./http-client');
+
+/**
+ * 令牌桶：容量为 burst，每分钟补充 ratePerMinute 个令牌
+ */
+function createTokenBucket({ ratePerMinute, burst }) {
+    const refillPerMs = ratePerMinute / 60000;
+    let tokens = burst;
+    let updatedAt = Date.now();
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + (now - updatedAt) * refillPerMs);
+        updatedAt = now;
+    }
+
+    return {
+        tryTake() {
+            refill();
+            if (tokens < 1) return false;
+            tokens -= 1;
+            return true;
+        },
+
+        /**
+         * 距离下一个令牌可用还需等待的毫秒数
+         */
+        msUntilNext() {
+            refill();
+            return tokens >= 1 ? 0 : Math.ceil((1 - tokens) / refillPerMs);
+        },
+
+        available() {
+            refill();
+            return Math.floor(tokens);
+        }
+    };
+}
+
+/**
+ * 创建上游限流器，各项限制为 0 表示不限制
+ * @param {{ maxConcurrentPerOrigin: number, maxConcurrentPerKey: number, ratePerMinute: number, burst: number }} limits
+ */
+function createUpstreamLimiter(limits) {
+    const originStates = new Map();
+    const keyStates = new Map();
+    const waiters = [];
+    let refillTimer = null;
+
+    function stateOf(map, name) {
+        if (!map.has(name)) {
+            map.set(name, { active: 0, bucket: null });
+        }
+        return map.get(name);
+    }
+
+    function bucketOf(origin) {
+        const state = stateOf(originStates, origin);
+        if (!state.bucket && limits.ratePerMinute > 0) {
+            state.bucket = createTokenBucket({
+                ratePerMinute: limits.ratePerMinute,
+                burst: Math.max(1, limits.burst)
+            });
+        }
+        return state.bucket;
+    }
+
+    function hasCapacity(waiter) {
+        if (limits.maxConcurrentPerOrigin > 0 && stateOf(originStates, waiter.origin).active >= limits.maxConcurrentPerOrigin) {
+            return false;
+        }
+        if (waiter.keyProfile && limits.maxConcurrentPerKey > 0 && stateOf(keyStates, waiter.keyProfile).active >= limits.maxConcurrentPerKey) {
+            return false;
+        }
+        return true;
+    }
+
+    function start(waiter) {
+        stateOf(originStates, waiter.origin).active++;
+        if (waiter.keyProfile) stateOf(keyStates, waiter.keyProfile).active++;
+
+        let released = false;
+        waiter.resolve(() => {
+            if (released) return;
+            released = true;
+            stateOf(originStates, waiter.origin).active--;
+            if (waiter.keyProfile) stateOf(keyStates, waiter.keyProfile).active--;
+            dispatch();
+        });
+    }
+
+    /**
+     * 按先来先到检查等待队列，放行所有已满足条件的请求；被令牌桶挡住时定时重试
+     */
+    function dispatch() {
+        let nextRefillMs = Infinity;
+
+        for (let i = 0; i < waiters.length;) {
+            const waiter = waiters[i];
+            if (!hasCapacity(waiter)) {
+                i++;
+                continue;
+            }
+
+            const bucket = bucketOf(waiter.origin);
+            if (bucket && !bucket.tryTake()) {
+                nextRefillMs = Math.min(nextRefillMs, bucket.msUntilNext());
+                i++;
+                continue;
+            }
+
+            waiters.splice(i, 1);
+            waiter.cleanup();
+            start(waiter);
+        }
+
+        if (refillTimer) {
+            clearTimeout(refillTimer);
+            refillTimer = null;
+        }
+        if (Number.isFinite(nextRefillMs)) {
+            refillTimer = setTimeout(dispatch, Math.max(nextRefillMs, 10));
+            refillTimer.unref();
+        }
+    }
+
+    return {
+        /**
+         * 申请一个上游请求名额，返回的 release 函数必须在请求结束后调用
+         * @param {{ origin: string, keyProfile?: string, signal?: AbortSignal }} options
+         * @returns {Promise<() => void>}
+         */
+        acquire({ origin, keyProfile, signal }) {
+            return new Promise((resolve, reject) => {
+                if (signal && signal.aborted) {
+                    reject(abortError());
+                    return;
+                }
+
+                const waiter = { origin, keyProfile, resolve, cleanup: () => {} };
+                if (signal) {
+                    const onAbort = () => {
+                        const index = waiters.indexOf(waiter);
+                        if (index !== -1) waiters.splice(index, 1);
+                        reject(abortError());
+                    };
+                    signal.addEventListener('abort', onAbort, { once: true });
+                    waiter.cleanup = () => signal.removeEventListener('abort', onAbort);
+                }
+
+                waiters.push(waiter);
+                dispatch();
+            });
+        },
+
+        /**
+         * 当前排队与执行情况
+         */
+        status() {
+            const waitingBy = field => waiters.reduce((counts, waiter) => {
+                if (waiter[field]) counts[waiter[field]] = (counts[waiter[field]] || 0) + 1;
+                return counts;
+            }, {});
+            const waitingByOrigin = waitingBy('origin');
+            const waitingByKey = waitingBy('keyProfile');
+
+            return {
+                active: Array.from(originStates.values()).reduce((sum, state) => sum + state.active, 0),
+                waiting: waiters.length,
+                limits: { ...limits },
+                origins: Array.from(originStates.entries())
+                    .filter(([origin, state]) => state.active > 0 || waitingByOrigin[origin])
+                    .map(([origin, state]) => ({
+                        origin,
+                        active: state.active,
+                        waiting: waitingByOrigin[origin] || 0,
+                        tokens: state.bucket ? state.bucket.available() : null
+                    })),
+                keys: Array.from(keyStates.entries())
+                    .filter(([keyProfile, state]) => state.active > 0 || waitingByKey[keyProfile])
+                    .map(([keyProfile, state]) => ({
+                        keyProfile,
+                        active: state.active,
+                        waiting: waitingByKey[keyProfile] || 0
+                    }))
+            };
+        }
+    };
+}
+
+/**
+ * 在响应体读完、出错或被取消时调用 release，保证流式响应在传输期间一直占用名额
+ * @param {Response} response
+ * @param {() => void} release
+ * @returns {Response}
+ */
+function releaseWhenSettled(response, release) {
+    if (!response.body) {
+        release();
+        return response;
+    }
+
+    const reader = response.body.getReader();
+    const body = new ReadableStream({
+        async pull(controller) {
+            try {
+                const { done, value } = await reader.read();
+                if (done) {
+                    release();
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
+                }
+            } catch (error) {
+                release();
+                controller.error(error);
+            }
+        },
+        cancel(reason) {
+            release();
+            return reader.cancel(reason);
+        }
+    });
+
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
+
+module.exports = {
+    createUpstreamLimiter,
+    releaseWhenSettled
+};
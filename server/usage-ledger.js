@@ -0,0 +1,364 @@
+/**
+ * 用量账本模块
+ * 从代理转发的生成响应中提取 token 数和图片数（Gemini usageMetadata / OpenAI usage），
+ * 逐条追加到本地 JSONL 账本，并按价格表和预算汇总每日 / 每月用量
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { Response } = require('./http-client');
+
+// 默认价格（美元 / 百万 token，image 为每张图片的固定价格），以服务商官方价格为准，可在界面中修改
+const DEFAULT_PRICING = {
+    // 图片输出按 $30 / 百万 token 计费，1024px 图片约 1290 token
+    'gemini-2.5-flash-image*': { input: 0.3, output: 30, image: 0 }
+};
+
+const DEFAULT_SETTINGS = {
+    currency: 'USD',
+    pricing: DEFAULT_PRICING,
+    budget: { daily: 0, monthly: 0 }, // 0 表示不设预算
+    warnRatio: 0.8 // 用量达到预算的该比例时提示
+};
+
+/**
+ * 用量设置相关错误，status 对应返回给前端的 HTTP 状态码
+ */
+class UsageError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'UsageError';
+        this.status = status;
+        this.code = code;
+    }
+
+    toJSON() {
+        return {
+            error: {
+                code: this.status,
+                status: this.code,
+                message: this.message
+            }
+        };
+    }
+}
+
+/**
+ * 校验价格表：{ "<模型名或前缀*>": { input, output, image } }，数值均为非负数
+ */
+function assertPricing(pricing) {
+    if (!pricing || typeof pricing !== 'object' || Array.isArray(pricing)) {
+        throw new UsageError(400, 'INVALID_USAGE_SETTINGS', '价格表必须是以模型名为键的对象');
+    }
+    Object.entries(pricing).forEach(([model, price]) => {
+        if (!price || typeof price !== 'object') {
+            throw new UsageError(400, 'INVALID_USAGE_SETTINGS', `模型 ${model} 的价格必须是对象`);
+        }
+        ['input', 'output', 'image'].forEach(field => {
+            if (price[field] !== undefined && !(Number(price[field]) >= 0)) {
+                throw new UsageError(400, 'INVALID_USAGE_SETTINGS', `模型 ${model} 的 ${field} 价格必须是非负数`);
+            }
+        });
+    });
+}
+
+/**
+ * 本地时区的日期 / 月份键，例如 2026-10-19 / 2026-10
+ */
+function dayKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function monthKey(date) {
+    return dayKey(date).slice(0, 7);
+}
+
+/**
+ * 把响应体解析为若干 JSON 对象：SSE 每个事件一个，JSON 数组（Gemini 非 SSE 流式）逐项展开
+ */
+function parsePayloads(contentType, text) {
+    const parse = data => {
+        try {
+            return JSON.parse(data);
+        } catch (_) {
+            return null;
+        }
+    };
+
+    if (contentType.includes('text/event-stream')) {
+        return text
+            .split(/\r?\n\r?\n/)
+            .map(event => event.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n'))
+            .filter(data => data && data !== '[DONE]')
+            .map(parse)
+            .filter(Boolean);
+    }
+
+    const parsed = parse(text);
+    if (Array.isArray(parsed)) return parsed.filter(Boolean);
+    return parsed ? [parsed] : [];
+}
+
+/**
+ * 从响应中提取用量：兼容 Gemini、OpenAI Chat（含流式增量）和 OpenAI Images
+ * @param {object[]} payloads
+ * @returns {{ inputTokens: number, outputTokens: number, totalTokens: number, images: number, model: string|null }}
+ */
+function extractUsage(payloads) {
+    const usage = { inputTokens: 0, outputTokens: 0, totalTokens: 0, images: 0, model: null };
+    let chatText = '';
+
+    payloads.forEach(payload => {
+        if (payload.model) usage.model = payload.model;
+
+        if (payload.usageMetadata) {
+            const meta = payload.usageMetadata;
+            usage.inputTokens = meta.promptTokenCount || 0;
+            usage.outputTokens = (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0);
+            usage.totalTokens = meta.totalTokenCount || usage.inputTokens + usage.outputTokens;
+        }
+
+        if (payload.usage) {
+            const meta = payload.usage;
+            usage.inputTokens = meta.prompt_tokens || meta.input_tokens || 0;
+            usage.outputTokens = meta.completion_tokens || meta.output_tokens || 0;
+            usage.totalTokens = meta.total_tokens || usage.inputTokens + usage.outputTokens;
+        }
+
+        (payload.candidates || []).forEach(candidate => {
+            const parts = (candidate.content && candidate.content.parts) || [];
+            usage.images += parts.filter(part => part.inlineData || part.inline_data).length;
+        });
+
+        (payload.choices || []).forEach(choice => {
+            const content = (choice.message && choice.message.content) || (choice.delta && choice.delta.content);
+            if (typeof content === 'string') chatText += content;
+        });
+
+        // OpenAI Images 接口
+        if (Array.isArray(payload.data)) {
+            usage.images += payload.data.filter(item => item && (item.b64_json || item.url)).length;
+        }
+    });
+
+    // Nano Banana 等 Chat 接口以 markdown 图片链接返回结果
+    usage.images += (chatText.match(/!\[[^\]]*]\(https?:\/\/[^\s)]+\)/g) || []).length;
+    return usage;
+}
+
+/**
+ * 按模型名查找价格，支持末尾 * 通配，精确匹配优先
+ */
+function findPrice(pricing, model) {
+    if (pricing[model]) return pricing[model];
+    const pattern = Object.keys(pricing)
+        .filter(key => key.endsWith('*') && model.startsWith(key.slice(0, -1)))
+        .sort((a, b) => b.length - a.length)[0];
+    return pattern ? pricing[pattern] : null;
+}
+
+function emptyTotals() {
+    return { calls: 0, images: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, unpricedCalls: 0 };
+}
+
+function addEntry(totals, entry, price) {
+    totals.calls++;
+    totals.images += entry.images;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.totalTokens += entry.totalTokens;
+    if (price) {
+        totals.cost += (entry.inputTokens * (price.input || 0) + entry.outputTokens * (price.output || 0)) / 1e6
+            + entry.images * (price.image || 0);
+    } else {
+        totals.unpricedCalls++;
+    }
+}
+
+/**
+ * 创建用量账本
+ * @param {{ filePath: string, settingsFile: string }} options
+ */
+function createUsageLedger({ filePath, settingsFile }) {
+    function readEntries() {
+        let raw;
+        try {
+            raw = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') logger.error('读取用量账本失败:', error.message);
+            return [];
+        }
+        return raw
+            .split('\n')
+            .filter(Boolean)
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (_) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    function getSettings() {
+        try {
+            const saved = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+            return {
+                ...DEFAULT_SETTINGS,
+                ...saved,
+                budget: { ...DEFAULT_SETTINGS.budget, ...(saved.budget || {}) }
+            };
+        } catch (error) {
+            if (error.code !== 'ENOENT') logger.error('读取用量设置失败:', error.message);
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    /**
+     * 追加一条用量记录
+     */
+    function record(entry) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`);
+        logger.debug(`用量记录: ${entry.model} ${entry.totalTokens} tokens, ${entry.images} 张图片`);
+    }
+
+    return {
+        getSettings,
+
+        /**
+         * 更新价格表 / 预算
+         * @param {{ currency?: string, pricing?: object, budget?: { daily?: number, monthly?: number }, warnRatio?: number }} changes
+         */
+        updateSettings(changes = {}) {
+            const current = getSettings();
+            if (changes.pricing !== undefined) assertPricing(changes.pricing);
+
+            const next = {
+                currency: typeof changes.currency === 'string' && changes.currency ? changes.currency : current.currency,
+                pricing: changes.pricing !== undefined ? changes.pricing : current.pricing,
+                budget: changes.budget
+                    ? {
+                        daily: Math.max(0, Number(changes.budget.daily) || 0),
+                        monthly: Math.max(0, Number(changes.budget.monthly) || 0)
+                    }
+                    : current.budget,
+                warnRatio: Number(changes.warnRatio) > 0 ? Number(changes.warnRatio) : current.warnRatio
+            };
+
+            fs.mkdirSync(path.dirname(settingsFile), { recursive: true });
+            fs.writeFileSync(settingsFile, JSON.stringify(next, null, 2));
+            return next;
+        },
+
+        record,
+
+        /**
+         * 旁路读取一次生成请求的响应，读完后记录用量；返回给调用方的响应保持流式
+         * @param {{ targetUrl: string, body?: any, keyProfile?: string }} request
+         * @param {Response} response
+         * @returns {Response}
+         */
+        observe({ targetUrl, body, keyProfile }, response) {
+            if (!response.ok || !response.body) return response;
+
+            const [forCaller, forLedger] = response.body.tee();
+            const contentType = response.headers.get('content-type') || '';
+
+            new Response(forLedger).text()
+                .then(text => {
+                    const usage = extractUsage(parsePayloads(contentType, text));
+                    const url = new URL(targetUrl);
+                    const pathModel = url.pathname.match(/\/models\/([^/:]+):/);
+                    record({
+                        timestamp: new Date().toISOString(),
+                        keyProfile: keyProfile || null,
+                        model: (pathModel && pathModel[1]) || (body && (body.model || (body.fields && body.fields.model))) || usage.model || 'unknown',
+                        origin: url.origin,
+                        inputTokens: usage.inputTokens,
+                        outputTokens: usage.outputTokens,
+                        totalTokens: usage.totalTokens,
+                        images: usage.images
+                    });
+                })
+                .catch(error => logger.warn('记录用量失败:', error.message));
+
+            return new Response(forCaller, {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers
+            });
+        },
+
+        /**
+         * 汇总当天与当月的用量，按模型 + 密钥配置分组，并给出预算提醒
+         * @param {Date} now
+         */
+        summarize(now = new Date()) {
+            const settings = getSettings();
+            const today = dayKey(now);
+            const thisMonth = monthKey(now);
+            const periods = {
+                day: { key: today, totals: emptyTotals(), groups: new Map() },
+                month: { key: thisMonth, totals: emptyTotals(), groups: new Map() }
+            };
+
+            readEntries().forEach(entry => {
+                const date = new Date(entry.timestamp);
+                const price = findPrice(settings.pricing, entry.model);
+                const matches = { day: dayKey(date) === today, month: monthKey(date) === thisMonth };
+
+                Object.entries(periods).forEach(([name, period]) => {
+                    if (!matches[name]) return;
+                    const groupKey = `${entry.model}\u0000${entry.keyProfile}`;
+                    if (!period.groups.has(groupKey)) {
+                        period.groups.set(groupKey, { model: entry.model, keyProfile: entry.keyProfile, ...emptyTotals() });
+                    }
+                    addEntry(period.groups.get(groupKey), entry, price);
+                    addEntry(period.totals, entry, price);
+                });
+            });
+
+            const warnings = [];
+            [['day', settings.budget.daily, '今日'], ['month', settings.budget.monthly, '本月']].forEach(([name, budget, label]) => {
+                if (!budget) return;
+                const ratio = periods[name].totals.cost / budget;
+                if (ratio >= settings.warnRatio) {
+                    warnings.push({
+                        period: name,
+                        budget,
+                        cost: periods[name].totals.cost,
+                        ratio,
+                        message: ratio >= 1
+                            ? `${label}费用已超出预算（${periods[name].totals.cost.toFixed(2)} / ${budget} ${settings.currency}）`
+                            : `${label}费用已达预算的 ${Math.round(ratio * 100)}%（${periods[name].totals.cost.toFixed(2)} / ${budget} ${settings.currency}）`
+                    });
+                }
+            });
+
+            const describe = period => ({
+                key: period.key,
+                totals: period.totals,
+                breakdown: Array.from(period.groups.values()).sort((a, b) => b.cost - a.cost || b.calls - a.calls)
+            });
+
+            return {
+                currency: settings.currency,
+                budget: settings.budget,
+                day: describe(periods.day),
+                month: describe(periods.month),
+                warnings
+            };
+        }
+    };
+}
+
+module.exports = {
+    createUsageLedger,
+    UsageError,
+    extractUsage,
+    parsePayloads
+};
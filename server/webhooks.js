@@ -0,0 +1,172 @@
+/**
+ * 生成完成通知（Webhook）
+ * 服务端任务成功或失败时向配置的地址 POST 一条 JSON，包含提示词、模型和作品库中的图片路径，
+ * 方便在切换窗口等待 4K 大图时由聊天机器人、脚本等外部工具接收结果
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { fetch } = require('./http-client');
+
+/**
+ * Webhook 设置相关错误，status 对应返回给前端的 HTTP 状态码
+ */
+class WebhookError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+        this.code = code;
+    }
+
+    toJSON() {
+        return {
+            error: {
+                code: this.status,
+                status: this.code,
+                message: this.message
+            }
+        };
+    }
+}
+
+function assertWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (_) {
+        throw new WebhookError(400, 'INVALID_WEBHOOK_URL', `无效的 Webhook 地址: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new WebhookError(400, 'INVALID_WEBHOOK_URL', 'Webhook 地址只支持 http / https');
+    }
+}
+
+/**
+ * 组装任务结束时发送的负载；图片只给出作品库中的文件路径，不内联图片数据
+ * @param {object} job - 任务快照
+ * @param {object|null} galleryEntry - 作品库条目（未启用作品库或保存失败时为 null）
+ * @param {string} galleryDir - 作品库目录
+ */
+function buildJobPayload(job, galleryEntry, galleryDir) {
+    const result = job.result || {};
+    return {
+        event: job.status === 'succeeded' ? 'generation.succeeded' : 'generation.failed',
+        jobId: job.id,
+        status: job.status,
+        prompt: job.prompt,
+        model: job.model,
+        imageSize: job.imageSize,
+        conversationId: job.conversationId,
+        endpoint: result.endpoint ? result.endpoint.label : null,
+        text: result.text || '',
+        error: job.error ? job.error.message : null,
+        galleryId: galleryEntry ? galleryEntry.id : null,
+        images: galleryEntry
+            ? galleryEntry.images.map(image => ({
+                path: path.join(galleryDir, image.file),
+                url: image.url,
+                mimeType: image.mimeType,
+                bytes: image.bytes
+            }))
+            : [],
+        createdAt: job.createdAt,
+        finishedAt: job.updatedAt
+    };
+}
+
+/**
+ * 创建 Webhook 通知器
+ * @param {{ settingsFile: string, defaultUrl?: string, timeoutMs?: number }} options
+ *   settingsFile 保存页面中设置的地址，不存在时使用配置文件 / 环境变量中的 defaultUrl
+ */
+function createWebhookNotifier({ settingsFile, defaultUrl = '', timeoutMs = 10000 }) {
+    function getSettings() {
+        try {
+            const saved = JSON.parse(fs.readFileSync(settingsFile, 'utf8'));
+            return { url: typeof saved.url === 'string' ? saved.url : defaultUrl };
+        } catch (error) {
+            if (error.code !== 'ENOENT') logger.error('读取 Webhook 设置失败:', error.message);
+            return { url: defaultUrl };
+        }
+    }
+
+    /**
+     * 发送一次通知，返回上游状态码；失败时抛出原始错误
+     */
+    async function post(url, payload) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'User-Agent': 'nano-banana-webhook' },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        // 不关心响应内容，读完释放连接
+        await response.arrayBuffer().catch(() => {});
+        return response.status;
+    }
+
+    return {
+        getSettings,
+
+        /**
+         * 更新 Webhook 地址，空字符串表示关闭
+         * @param {{ url?: string }} changes
+         */
+        updateSettings({ url = '' } = {}) {
+            const next = { url: String(url || '').trim() };
+            if (next.url) assertWebhookUrl(next.url);
+
+            fs.mkdirSync(path.dirname(settingsFile), { recursive: true });
+            fs.writeFileSync(settingsFile, JSON.stringify(next, null, 2));
+            return next;
+        },
+
+        /**
+         * 任务结束时调用；通知失败只记录日志，不影响任务结果
+         * @param {object} payload
+         */
+        async notify(payload) {
+            const { url } = getSettings();
+            if (!url) return;
+            try {
+                const status = await post(url, payload);
+                if (status >= 400) {
+                    logger.warn(`Webhook ${payload.event} 返回 ${status}`);
+                } else {
+                    logger.debug(`Webhook ${payload.event} 已发送: ${status}`);
+                }
+            } catch (error) {
+                logger.warn(`Webhook ${payload.event} 发送失败:`, error.message);
+            }
+        },
+
+        /**
+         * 发送一条测试通知，供设置页检查地址是否可用
+         * @returns {Promise<{ ok: boolean, status: number|null, message?: string }>}
+         */
+        async test() {
+            const { url } = getSettings();
+            if (!url) {
+                throw new WebhookError(400, 'WEBHOOK_NOT_CONFIGURED', '尚未设置 Webhook 地址');
+            }
+            try {
+                const status = await post(url, {
+                    event: 'webhook.test',
+                    message: '这是一条来自 Nano Banana 的测试通知',
+                    sentAt: new Date().toISOString()
+                });
+                return { ok: status < 400, status };
+            } catch (error) {
+                return { ok: false, status: null, message: error.message };
+            }
+        }
+    };
+}
+
+module.exports = {
+    createWebhookNotifier,
+    buildJobPayload,
+    WebhookError
+};
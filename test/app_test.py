@@ -0,0 +1,119 @@
+"""
+Python 版服务端（app.py）测试：python -m unittest discover -s test -p "*_test.py"
+需要安装 requirements.txt 中的依赖
+"""
+
+import json
+import os
+import sys
+import tempfile
+import unittest
+from pathlib import Path
+from unittest import mock
+
+DATA_DIR = tempfile.mkdtemp(prefix="nano-banana-app-")
+os.environ["NANO_BANANA_HOME"] = DATA_DIR
+sys.path.insert(0, str(Path(__file__).resolve().parent.parent))
+
+import app as server  # noqa: E402
+
+
+class KeyVaultTest(unittest.TestCase):
+    def setUp(self):
+        self.client = server.app.test_client()
+        server.KEY_VAULT_FILE.unlink(missing_ok=True)
+
+    def write_vault(self, profiles):
+        server._save_vault({"version": 1, "profiles": profiles})
+
+    def test_put_replaces_node_key_pool(self):
+        """通过 Python 版更换密钥后，Node 版优先读取的 keys 数组不能还是旧密钥"""
+        self.write_vault({
+            "default": {
+                "label": "默认",
+                "apiKey": "old-key-0000000001",
+                "keys": [
+                    {"id": "key_aaaaaa", "label": "", "apiKey": "old-key-0000000001"},
+                    {"id": "key_bbbbbb", "label": "", "apiKey": "old-key-0000000002"},
+                ],
+            }
+        })
+
+        response = self.client.put("/api/keys/default", json={"apiKey": "new-key-0000000003"})
+
+        self.assertEqual(response.status_code, 200)
+        profile = json.loads(server.KEY_VAULT_FILE.read_text(encoding="utf-8"))["profiles"]["default"]
+        self.assertEqual(profile["apiKey"], "new-key-0000000003")
+        self.assertNotIn("keys", profile)
+        self.assertEqual(profile["label"], "默认")
+        self.assertEqual(server.resolve_api_key("default"), "new-key-0000000003")
+
+    def test_put_same_key_keeps_pool(self):
+        """只改名称、密钥不变时保留 Node 版的密钥池"""
+        keys = [
+            {"id": "key_aaaaaa", "label": "", "apiKey": "same-key-000000001"},
+            {"id": "key_bbbbbb", "label": "", "apiKey": "same-key-000000002"},
+        ]
+        self.write_vault({"default": {"apiKey": "same-key-000000001", "keys": keys}})
+
+        response = self.client.put("/api/keys/default", json={"apiKey": "same-key-000000001", "label": "主账号"})
+
+        self.assertEqual(response.status_code, 200)
+        profile = json.loads(server.KEY_VAULT_FILE.read_text(encoding="utf-8"))["profiles"]["default"]
+        self.assertEqual(profile["keys"], keys)
+        self.assertEqual(profile["label"], "主账号")
+
+
+class FakeResponse:
+    def __init__(self, status_code, location=None):
+        self.status_code = status_code
+        self.headers = {"location": location} if location else {}
+        self.is_redirect = location is not None
+
+
+class GuardedRequestTest(unittest.TestCase):
+    def test_post_redirected_to_get_drops_multipart_body(self):
+        """303 把 multipart 上传改成 GET 时，不再发送 data / files 和原来的 Content-Type"""
+        calls = []
+
+        def fake_request(method, url, **kwargs):
+            calls.append((method, url, kwargs))
+            if len(calls) == 1:
+                return FakeResponse(303, "/v1/images/result")
+            return FakeResponse(200)
+
+        with mock.patch.object(server, "assert_target_allowed"), mock.patch.object(server.requests, "request", fake_request):
+            server.guarded_request(
+                "POST",
+                "https://upstream.test/v1/images/edits",
+                headers={"Content-Type": "multipart/form-data; boundary=x", "Content-Length": "42", "Authorization": "Bearer k"},
+                data={"prompt": "猫"},
+                files=[("image", ("a.png", b"png", "image/png"))],
+                timeout=600,
+            )
+
+        method, url, kwargs = calls[1]
+        self.assertEqual(method, "GET")
+        self.assertEqual(url, "https://upstream.test/v1/images/result")
+        self.assertNotIn("data", kwargs)
+        self.assertNotIn("files", kwargs)
+        self.assertEqual(kwargs["headers"], {"Authorization": "Bearer k"})
+        self.assertEqual(kwargs["timeout"], 600)
+
+    def test_307_keeps_method_and_body(self):
+        """307 / 308 按规范保留方法和请求体"""
+        calls = []
+
+        def fake_request(method, url, **kwargs):
+            calls.append((method, url, kwargs))
+            return FakeResponse(307, "https://upstream.test/v2") if len(calls) == 1 else FakeResponse(200)
+
+        with mock.patch.object(server, "assert_target_allowed"), mock.patch.object(server.requests, "request", fake_request):
+            server.guarded_request("POST", "https://upstream.test/v1", headers={"Content-Type": "application/json"}, json={"a": 1})
+
+        self.assertEqual(calls[1][0], "POST")
+        self.assertEqual(calls[1][2]["json"], {"a": 1})
+
+
+if __name__ == "__main__":
+    unittest.main()
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseBatchFile, BatchError } = require('../server/batches');
+
+function invalid(content, format, pattern) {
+    assert.throws(() => parseBatchFile(content, format), error => {
+        assert.ok(error instanceof BatchError);
+        assert.equal(error.status, 400);
+        assert.equal(error.code, 'INVALID_BATCH_FILE');
+        assert.match(error.message, pattern);
+        return true;
+    });
+}
+
+test('CSV：表头别名、引号转义、字段内换行和默认值', () => {
+    const rows = parseBatchFile([
+        '﻿Prompt,References,Model,size,count,备注',
+        '"a cat, sitting",a.png|b.png;gallery:abc,gemini-test,2k,3,忽略',
+        '"say ""hi""',
+        'on two lines",,,,,',
+        '',
+        'plain,,,,,'
+    ].join('\r\n'));
+
+    assert.deepEqual(rows, [
+        { line: 2, prompt: 'a cat, sitting', images: ['a.png', 'b.png', 'gallery:abc'], model: 'gemini-test', imageSize: '2K', repeat: 3 },
+        { line: 3, prompt: 'say "hi"\r\non two lines', images: [], model: '', imageSize: '', repeat: 1 },
+        { line: 6, prompt: 'plain', images: [], model: '', imageSize: '', repeat: 1 }
+    ]);
+});
+
+test('JSONL：按内容自动识别，images 可以是数组，行号跳过空行', () => {
+    const rows = parseBatchFile([
+        '{"prompt":"one","images":["x.png"," y.png "],"imageSize":"4k"}',
+        '',
+        '{"prompt":"two","repeat":2,"model":" nano-banana-pro ","unknown":true}'
+    ].join('\n'));
+
+    assert.deepEqual(rows, [
+        { line: 1, prompt: 'one', images: ['x.png', 'y.png'], model: '', imageSize: '4K', repeat: 1 },
+        { line: 3, prompt: 'two', images: [], model: 'nano-banana-pro', imageSize: '', repeat: 2 }
+    ]);
+});
+
+test('错误信息带行号', () => {
+    invalid('', undefined, /不能为空/);
+    invalid('prompt\n', 'csv', /没有任何数据行/);
+    invalid('model,size\nx,1K', 'csv', /必须包含 prompt 列/);
+    invalid('prompt,size\nok,8K', 'csv', /第 2 行: imageSize 只支持 1K \/ 2K \/ 4K/);
+    invalid('prompt,repeat\nok,0', 'csv', /第 2 行: repeat 必须是 1 到 20 之间的整数/);
+    invalid('prompt\n  ', 'csv', /没有任何数据行/);
+    invalid('{"prompt":"ok"}\n{broken', 'jsonl', /第 2 行不是有效的 JSON/);
+    invalid('{"prompt":"ok"}\n[1]', 'jsonl', /第 2 行必须是 JSON 对象/);
+    invalid('{"prompt":"  "}', 'jsonl', /第 1 行: prompt 不能为空/);
+    invalid('prompt\nx', 'xml', /不支持的批量文件格式/);
+});
+
+test('超过 500 行时拒绝导入', () => {
+    const content = ['prompt', ...Array.from({ length: 501 }, (_, index) => `row ${index}`)].join('\n');
+    invalid(content, 'csv', /最多 500 行，当前 501 行/);
+});
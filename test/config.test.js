@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 配置在模块加载时读取环境变量，每个场景在独立的子进程中加载
+function loadConfig(env, configFile = null) {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'nano-banana-config-'));
+    if (configFile !== null) fs.writeFileSync(path.join(home, 'config.json'), configFile);
+
+    const script = `process.stdout.write(JSON.stringify(require(${JSON.stringify(path.join(__dirname, '..', 'server', 'config'))}).config.proxy))`;
+    const result = spawnSync(process.execPath, ['-e', script], {
+        env: { PATH: process.env.PATH, NANO_BANANA_HOME: home, ...env },
+        encoding: 'utf8',
+        timeout: 10000
+    });
+    fs.rmSync(home, { recursive: true, force: true });
+    assert.equal(result.status, 0, result.stderr);
+    return { proxy: JSON.parse(result.stdout), stderr: result.stderr };
+}
+
+test('本机模式下载图片默认放行任意公网地址，局域网模式默认只放行上游 Origin', () => {
+    assert.deepEqual(loadConfig({}).proxy.mediaAllowedOrigins, ['*']);
+
+    const { proxy } = loadConfig({ NANO_BANANA_LAN: '1' });
+    assert.ok(!proxy.mediaAllowedOrigins.includes('*'));
+    assert.deepEqual(proxy.mediaAllowedOrigins, proxy.allowedOrigins);
+});
+
+test('局域网模式放行任意图片地址需要显式配置 *', () => {
+    assert.deepEqual(loadConfig({ NANO_BANANA_LAN: '1', PROXY_MEDIA_ORIGINS: '*' }).proxy.mediaAllowedOrigins, ['*']);
+    const fromFile = loadConfig({ NANO_BANANA_LAN: '1' }, JSON.stringify({ proxy: { mediaAllowedOrigins: ['https://cdn.example.com'] } }));
+    assert.deepEqual(fromFile.proxy.mediaAllowedOrigins, ['https://cdn.example.com']);
+});
+
+test('配置文件损坏时通过日志模块警告，不产生循环依赖警告', () => {
+    const { stderr } = loadConfig({}, '{bad');
+    assert.match(stderr, /读取配置文件 .* 失败，将使用默认配置/);
+    assert.doesNotMatch(stderr, /circular dependency/);
+});
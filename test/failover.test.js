@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { configureLogger } = require('../server/logger');
+const { createKeyVault } = require('../server/key-vault');
+const { createKeyPool } = require('../server/key-pool');
+const { createUpstreamProxy } = require('../server/proxy');
+const api = require('../api');
+
+configureLogger({ level: 'error' });
+
+/**
+ * 测试结束后（无论成败）依次执行登记的清理函数；Node 16（Electron 22）的测试运行器没有 t.after
+ */
+function withCleanup(fn) {
+    return async () => {
+        const cleanups = [];
+        try {
+            await fn(cleanup => cleanups.push(cleanup));
+        } finally {
+            for (const cleanup of cleanups.reverse()) await cleanup();
+        }
+    };
+}
+
+const GEMINI_RESULT = {
+    candidates: [{
+        content: { parts: [{ text: '已生成' }, { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } }] },
+        finishReason: 'STOP'
+    }]
+};
+
+/**
+ * 在本机随机端口启动一个假上游，记录收到的请求
+ */
+async function startUpstream(defer, status, body) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, apiKey: req.headers['x-goog-api-key'] });
+        req.resume();
+        res.writeHead(status, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    defer(() => new Promise(resolve => server.close(resolve)));
+    return { origin: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+function setupProxy(defer, allowedOrigins) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nano-banana-failover-'));
+    defer(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const keyVault = createKeyVault({ filePath: path.join(dir, 'keys.json') });
+    keyVault.set('primary', { apiKey: 'primary-key-0000000001' });
+    keyVault.set('backup', { apiKey: 'backup-key-00000000002' });
+
+    const proxy = createUpstreamProxy({
+        proxyConfig: { allowedOrigins, allowPrivateNetworks: true, maxRedirects: 5 },
+        keyPool: createKeyPool({ keyVault })
+    });
+    api.setProxyTransport(proxy.transport);
+    return proxy;
+}
+
+function generate(primary, backup) {
+    return api.generateImageWithGemini({
+        endpoints: [
+            { id: 'primary', baseUrl: primary.origin, keyProfile: 'primary', protocol: 'gemini' },
+            { id: 'backup', baseUrl: backup.origin, keyProfile: 'backup', protocol: 'gemini' }
+        ],
+        model: 'gemini-test-image',
+        newParts: [{ text: '一只猫' }],
+        stream: false,
+        retryPolicy: { maxAttempts: 1 }
+    });
+}
+
+test('主线路返回 503 时切换到第二个 Origin，并使用该线路自己的密钥', withCleanup(async defer => {
+    const primary = await startUpstream(defer, 503, { error: { code: 503, message: 'overloaded' } });
+    const backup = await startUpstream(defer, 200, GEMINI_RESULT);
+    setupProxy(defer, [primary.origin, backup.origin]);
+    const warnings = [];
+    api.setLogger({ error() {}, warn: (...args) => warnings.push(args.join(' ')), info() {}, debug() {} });
+    defer(() => api.setLogger(null));
+
+    const result = await generate(primary, backup);
+
+    assert.equal(result.endpoint.id, 'backup');
+    assert.equal(result.endpoint.baseUrl, backup.origin);
+    assert.equal(result.images.length, 1);
+    assert.deepEqual(result.failovers.map(item => item.status), [503]);
+    assert.equal(primary.requests.length, 1);
+    assert.deepEqual(backup.requests, [{ url: '/v1beta/models/gemini-test-image:generateContent', apiKey: 'backup-key-00000000002' }]);
+    assert.match(warnings[0], /不可用，切换到/);
+}));
+
+test('鉴权失败不切换线路', withCleanup(async defer => {
+    const primary = await startUpstream(defer, 401, { error: { code: 401, message: 'invalid key' } });
+    const backup = await startUpstream(defer, 200, GEMINI_RESULT);
+    setupProxy(defer, [primary.origin, backup.origin]);
+
+    await assert.rejects(generate(primary, backup), error => error.status === 401);
+    assert.equal(backup.requests.length, 0);
+}));
+
+test('备用线路不在代理白名单中时被拒绝，checkTarget 可以提前发现', withCleanup(async defer => {
+    const primary = await startUpstream(defer, 503, { error: { code: 503, message: 'overloaded' } });
+    const backup = await startUpstream(defer, 200, GEMINI_RESULT);
+    const proxy = setupProxy(defer, [primary.origin]);
+
+    const check = await proxy.checkTarget(backup.origin);
+    assert.equal(check.allowed, false);
+    assert.equal(check.reason, 'host_not_allowed');
+    assert.equal((await proxy.checkTarget(primary.origin)).allowed, true);
+
+    await assert.rejects(generate(primary, backup), /不在代理白名单中/);
+    assert.equal(backup.requests.length, 0);
+}));
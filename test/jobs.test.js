@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { configureLogger } = require('../server/logger');
+const { createJobQueue, JobError } = require('../server/jobs');
+const { Response } = require('../server/http-client');
+
+configureLogger({ level: 'silent' });
+
+const GEMINI_RESULT = {
+    candidates: [{
+        content: { parts: [{ text: '已生成' }, { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } }] },
+        finishReason: 'STOP'
+    }]
+};
+
+function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+const JOB = {
+    keyProfile: 'default',
+    model: 'gemini-test-image',
+    baseUrl: 'https://upstream.test',
+    newParts: [{ text: '一只猫' }, { inlineData: { mimeType: 'image/png', data: 'aGk=' } }],
+    imageSize: '2K',
+    stream: false,
+    conversationId: 'conv_1'
+};
+
+test('任务在服务端完成生成，结果写入作品库并触发 onFinished', async () => {
+    const requests = [];
+    const saved = [];
+    const finished = [];
+    const queue = createJobQueue({
+        transport: async request => {
+            requests.push(request);
+            return jsonResponse(200, GEMINI_RESULT);
+        },
+        gallery: { save: async entry => { saved.push(entry); return { id: 'gallery_1' }; } },
+        onFinished: (snapshot, galleryEntry) => finished.push({ snapshot, galleryEntry })
+    });
+
+    const submitted = queue.submit(JOB);
+    assert.equal(submitted.prompt, '一只猫');
+    assert.equal(submitted.imageCount, 1);
+    assert.equal(submitted.conversationId, 'conv_1');
+
+    const done = await queue.wait(submitted.id);
+    assert.equal(done.status, 'succeeded');
+    assert.equal(done.galleryId, 'gallery_1');
+    assert.equal(done.result.images.length, 1);
+    assert.deepEqual(done.progress, { percent: 100, message: '生成完成' });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].targetUrl, 'https://upstream.test/v1beta/models/gemini-test-image:generateContent');
+    assert.equal(requests[0].keyProfile, 'default');
+    assert.deepEqual(requests[0].body.generationConfig.imageConfig, { imageSize: '2K' });
+
+    assert.equal(saved[0].prompt, '一只猫');
+    assert.equal(saved[0].conversationId, 'conv_1');
+    assert.equal(finished.length, 1);
+    assert.equal(finished[0].snapshot.id, submitted.id);
+    assert.equal(finished[0].galleryEntry.id, 'gallery_1');
+    assert.equal(queue.get(submitted.id).status, 'succeeded');
+});
+
+test('上游报错时任务失败并保留错误信息', async () => {
+    const queue = createJobQueue({ transport: async () => jsonResponse(400, { error: { code: 400, message: 'prompt blocked' } }) });
+
+    const done = await queue.wait(queue.submit(JOB).id);
+    assert.equal(done.status, 'failed');
+    assert.equal(done.error.message, 'prompt blocked');
+    assert.equal(done.result, null);
+});
+
+test('参数不完整或任务不存在时抛出 JobError', () => {
+    const queue = createJobQueue({ transport: async () => jsonResponse(200, GEMINI_RESULT) });
+
+    assert.throws(() => queue.submit({ ...JOB, model: ' ' }), error => error instanceof JobError && error.status === 400 && error.code === 'INVALID_JOB');
+    assert.throws(() => queue.submit({ ...JOB, newParts: [] }), error => error instanceof JobError && error.status === 400);
+    assert.throws(() => queue.get('missing'), error => error instanceof JobError && error.status === 404 && error.code === 'JOB_NOT_FOUND');
+    assert.deepEqual(new JobError(404, 'JOB_NOT_FOUND', '不存在').toJSON(), {
+        error: { code: 404, status: 'JOB_NOT_FOUND', message: '不存在' }
+    });
+});
+
+test('删除进行中的任务会中止上游请求且不触发 onFinished', async () => {
+    let upstreamSignal;
+    const finished = [];
+    const queue = createJobQueue({
+        transport: (request, { signal }) => new Promise((resolve, reject) => {
+            upstreamSignal = signal;
+            signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+        }),
+        onFinished: snapshot => finished.push(snapshot)
+    });
+
+    const { id } = queue.submit(JOB);
+    await new Promise(resolve => setImmediate(resolve));
+    const removed = queue.remove(id);
+    assert.equal(removed.status, 'cancelled');
+    assert.equal(upstreamSignal.aborted, true);
+    assert.throws(() => queue.get(id), JobError);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(finished.length, 0);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { configureLogger } = require('../server/logger');
+const { createKeyVault } = require('../server/key-vault');
+const { createKeyPool } = require('../server/key-pool');
+const { createUpstreamProxy } = require('../server/proxy');
+const { Response, ReadableStream } = require('../server/http-client');
+
+configureLogger({ level: 'error' });
+
+/**
+ * 测试结束后（无论成败）依次执行登记的清理函数；Node 16（Electron 22）的测试运行器没有 t.after
+ */
+function withCleanup(fn) {
+    return async () => {
+        const cleanups = [];
+        try {
+            await fn(cleanup => cleanups.push(cleanup));
+        } finally {
+            for (const cleanup of cleanups.reverse()) await cleanup();
+        }
+    };
+}
+
+const API_KEYS = ['test-key-aaaaaaaa01', 'test-key-bbbbbbbb02', 'test-key-cccccccc03'];
+
+function createVault(defer, apiKeys = API_KEYS) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nano-banana-key-pool-'));
+    defer(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const keyVault = createKeyVault({ filePath: path.join(dir, 'keys.json') });
+    keyVault.set('pool', { apiKeys });
+    return keyVault;
+}
+
+function keyStats(pool, apiKey) {
+    const index = API_KEYS.indexOf(apiKey);
+    return pool.status().pools.find(item => item.profile === 'pool').keys[index];
+}
+
+test('round-robin 依次轮换池中的密钥', withCleanup(defer => {
+    const pool = createKeyPool({ keyVault: createVault(defer) });
+    const used = [];
+    for (let i = 0; i < 4; i++) {
+        const lease = pool.acquire('pool');
+        used.push(lease.apiKey);
+        lease.settle(200);
+    }
+    assert.deepEqual(used, [API_KEYS[0], API_KEYS[1], API_KEYS[2], API_KEYS[0]]);
+}));
+
+test('least-used 优先选择进行中请求最少的密钥', withCleanup(defer => {
+    const pool = createKeyPool({ keyVault: createVault(defer), strategy: 'least-used' });
+    const first = pool.acquire('pool');
+    const second = pool.acquire('pool');
+    const third = pool.acquire('pool');
+    assert.deepEqual([first.apiKey, second.apiKey, third.apiKey], API_KEYS);
+
+    second.settle(200);
+    assert.equal(pool.acquire('pool').apiKey, API_KEYS[1]);
+    assert.equal(keyStats(pool, API_KEYS[0]).inFlight, 1);
+}));
+
+test('返回 429 的密钥按 Retry-After 暂停，期间请求交给其他密钥', withCleanup(defer => {
+    const pool = createKeyPool({ keyVault: createVault(defer) });
+    const limited = pool.acquire('pool');
+    limited.settle(429, '30');
+
+    const stats = keyStats(pool, limited.apiKey);
+    assert.equal(stats.healthy, false);
+    assert.equal(stats.benchReason, 429);
+    const benchedFor = Date.parse(stats.benchedUntil) - Date.now();
+    assert.ok(benchedFor > 25000 && benchedFor <= 30000, `暂停时长 ${benchedFor}ms`);
+
+    for (let i = 0; i < 4; i++) {
+        const lease = pool.acquire('pool');
+        assert.notEqual(lease.apiKey, limited.apiKey);
+        lease.settle(200);
+    }
+}));
+
+test('全部暂停时临时使用最早恢复的密钥，单把密钥不会被暂停', withCleanup(defer => {
+    const pool = createKeyPool({ keyVault: createVault(defer), benchMs: 60000, authBenchMs: 600000 });
+    pool.acquire('pool').settle(401);
+    pool.acquire('pool').settle(429);
+    pool.acquire('pool').settle(403);
+    assert.equal(pool.acquire('pool').apiKey, API_KEYS[1]);
+
+    const single = createKeyPool({ keyVault: createVault(defer, [API_KEYS[0]]) });
+    single.acquire('pool').settle(429);
+    assert.equal(single.status().pools[0].keys[0].healthy, true);
+}));
+
+test('代理在响应体传输结束后才结算密钥，流式响应期间计入 inFlight', withCleanup(async defer => {
+    const keyPool = createKeyPool({ keyVault: createVault(defer), strategy: 'least-used' });
+    let controller;
+    const mockFetch = async () => new Response(new ReadableStream({ start: c => { controller = c; } }), {
+        status: 200,
+        headers: { 'content-type': 'text/event-stream' }
+    });
+    const proxy = createUpstreamProxy({ proxyConfig: { allowedOrigins: ['*'], maxRedirects: 5 }, keyPool, mockFetch });
+
+    const response = await proxy.forward({ targetUrl: 'https://upstream.test/v1/chat/completions', keyProfile: 'pool', body: {} });
+    assert.equal(keyStats(keyPool, API_KEYS[0]).inFlight, 1);
+    assert.equal(keyPool.acquire('pool').apiKey, API_KEYS[1], '流式请求未结束时应选择其他密钥');
+
+    const text = response.text();
+    controller.enqueue(new TextEncoder().encode('data: done\n\n'));
+    controller.close();
+    await text;
+    assert.equal(keyStats(keyPool, API_KEYS[0]).inFlight, 0);
+    assert.equal(keyStats(keyPool, API_KEYS[0]).lastStatus, 200);
+}));
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { configureLogger } = require('../server/logger');
+const { createJobQueue } = require('../server/jobs');
+const { createBatchRunner } = require('../server/batches');
+const { Response } = require('../server/http-client');
+const api = require('../api');
+const { resolveModelAdapter, API_CONFIG } = api;
+
+configureLogger({ level: 'silent' });
+
+const CHAT_RESULT = {
+    choices: [{ message: { role: 'assistant', content: '已生成 ![image](data:image/png;base64,iVBORw0KGgo=)' } }]
+};
+
+test('内置规则按模型名选择协议', () => {
+    assert.equal(resolveModelAdapter('nano-banana-2-4k').protocol, 'openai-chat');
+    assert.equal(resolveModelAdapter('gpt-image-1').protocol, 'openai-images');
+    assert.equal(resolveModelAdapter('DALL-E-3').protocol, 'openai-images');
+    assert.equal(resolveModelAdapter('some-other-model').protocol, 'gemini');
+
+    const gemini = resolveModelAdapter('gemini-3-pro-image-preview');
+    assert.deepEqual(gemini, {
+        protocol: 'gemini',
+        path: '/v1beta/models/{model}',
+        auth: 'x-goog-api-key',
+        features: { imageSize: true, history: true, multiImage: true },
+        sizes: null
+    });
+    assert.equal(resolveModelAdapter('some-other-model').features.imageSize, false);
+});
+
+test('自定义规则优先于内置规则，只接受合法的路径、鉴权方式和布尔功能开关', () => {
+    const adapters = [
+        { match: 'nano-banana-pro*', protocol: 'gemini', path: '/relay/models/{model}', auth: 'bearer', features: { history: false, imageSize: 'yes' } },
+        { match: 'FLUX-*', protocol: 'openai-chat', path: 'no-leading-slash', auth: 'basic' },
+        { match: 'ignored-*', protocol: 'unknown-protocol' }
+    ];
+
+    assert.deepEqual(resolveModelAdapter('nano-banana-pro-preview', { adapters }), {
+        protocol: 'gemini',
+        path: '/relay/models/{model}',
+        auth: 'bearer',
+        features: { imageSize: false, history: false, multiImage: true },
+        sizes: null
+    });
+
+    const flux = resolveModelAdapter('flux-dev', { adapters });
+    assert.equal(flux.protocol, 'openai-chat');
+    assert.equal(flux.path, API_CONFIG.PROTOCOL_DEFAULTS['openai-chat'].path);
+    assert.equal(flux.auth, 'bearer');
+
+    assert.equal(resolveModelAdapter('ignored-model', { adapters }).protocol, 'gemini');
+    assert.equal(resolveModelAdapter('nano-banana-2-4k', { adapters }).protocol, 'openai-chat');
+});
+
+test('端点手动指定的协议与规则不一致时使用该协议的默认设置', () => {
+    const adapters = [{ match: 'flux-*', protocol: 'openai-chat', path: '/custom/chat', features: { multiImage: false } }];
+
+    const forced = resolveModelAdapter('flux-dev', { protocol: 'gemini', adapters });
+    assert.equal(forced.protocol, 'gemini');
+    assert.equal(forced.path, '/v1beta/models/{model}');
+    assert.equal(forced.features.multiImage, true);
+
+    const same = resolveModelAdapter('flux-dev', { protocol: 'openai-chat', adapters });
+    assert.equal(same.path, '/custom/chat');
+    assert.equal(same.features.multiImage, false);
+    assert.equal(resolveModelAdapter('flux-dev', { protocol: 'auto', adapters }).path, '/custom/chat');
+});
+
+test('任务队列把配置文件中的规则排在请求规则之后', async () => {
+    const targets = [];
+    const queue = createJobQueue({
+        transport: async request => {
+            targets.push(request.targetUrl);
+            return new Response(JSON.stringify(CHAT_RESULT), { status: 200, headers: { 'content-type': 'application/json' } });
+        },
+        modelAdapters: [
+            { match: 'flux-*', protocol: 'openai-chat', path: '/config/chat' },
+            { match: 'sdxl-*', protocol: 'openai-chat', path: '/config/chat' }
+        ]
+    });
+    const submit = params => queue.wait(queue.submit({
+        keyProfile: 'default',
+        baseUrl: 'https://upstream.test',
+        newParts: [{ text: '一只猫' }],
+        stream: false,
+        ...params
+    }).id);
+
+    await submit({ model: 'flux-dev', modelAdapters: [{ match: 'flux-*', protocol: 'openai-chat', path: '/request/chat' }] });
+    await submit({ model: 'sdxl-turbo' });
+    assert.deepEqual(targets, ['https://upstream.test/request/chat', 'https://upstream.test/config/chat']);
+});
+
+test('批量任务把 defaults.modelAdapters 带到每个生成任务', async () => {
+    const submitted = [];
+    const jobQueue = {
+        submit: params => {
+            submitted.push(params);
+            return { id: `job_${submitted.length}` };
+        },
+        wait: async id => ({ id, status: 'succeeded', galleryId: null, result: { images: [] } }),
+        remove: () => {}
+    };
+    const runner = createBatchRunner({ jobQueue, gallery: null });
+    const modelAdapters = [{ match: 'flux-*', protocol: 'openai-images' }];
+
+    const batch = await runner.submit({
+        content: 'prompt,repeat\none,2\ntwo,1',
+        format: 'csv',
+        defaults: { model: 'flux-dev', keyProfile: 'default', modelAdapters }
+    });
+    for (let i = 0; i < 20 && submitted.length < 3; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    assert.equal(batch.totals.runs, 3);
+    assert.equal(submitted.length, 3);
+    submitted.forEach(params => {
+        assert.deepEqual(params.modelAdapters, modelAdapters);
+        assert.equal(params.model, 'flux-dev');
+    });
+});
+
+test('OpenAI Images 默认只开放 1K，规则中的 sizes 只保留已知分辨率', () => {
+    assert.deepEqual(resolveModelAdapter('gpt-image-1').sizes, { '1K': '1024x1024' });
+    const adapters = [{ match: 'dall-e-3', protocol: 'openai-images', sizes: { '1K': '1024x1024', '2K': '1792x1024', '8K': '8192x8192', '4K': 42 } }];
+    assert.deepEqual(resolveModelAdapter('dall-e-3', { adapters }).sizes, { '1K': '1024x1024', '2K': '1792x1024' });
+    assert.deepEqual(resolveModelAdapter('dall-e-2', { adapters }).sizes, { '1K': '1024x1024' });
+});
+
+test('OpenAI Images 按映射传 size，未映射的分辨率在请求前报错', async () => {
+    const requests = [];
+    api.setProxyTransport(async request => {
+        requests.push(request);
+        return new Response(JSON.stringify({ data: [{ b64_json: 'iVBORw0KGgo=' }] }), { status: 200, headers: { 'content-type': 'application/json' } });
+    });
+    const generate = (imageSize, modelAdapters) => api.generateImageWithGemini({
+        keyProfile: 'default',
+        baseUrl: 'https://upstream.test',
+        model: 'gpt-image-1',
+        modelAdapters,
+        newParts: [{ text: '一只猫' }],
+        imageSize
+    });
+
+    await generate('1K');
+    assert.equal(requests[0].targetUrl, 'https://upstream.test/v1/images/generations');
+    assert.equal(requests[0].body.size, '1024x1024');
+
+    await assert.rejects(generate('4K'), /gpt-image-1 不支持 4K 分辨率（可选：1K）/);
+    assert.equal(requests.length, 1);
+
+    await generate('2K', [{ match: 'gpt-image-*', protocol: 'openai-images', sizes: { '2K': '1536x1024' } }]);
+    assert.equal(requests[1].body.size, '1536x1024');
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Response } = require('../server/http-client');
+const { createOpenAIFacade, OpenAIFacadeError } = require('../server/openai-facade');
+
+const GEMINI_RESULT = {
+    candidates: [{
+        content: { parts: [{ inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } }] },
+        finishReason: 'STOP'
+    }]
+};
+const CHAT_RESULT = {
+    choices: [{ message: { role: 'assistant', content: '已生成 ![image](https://cdn.upstream.test/cat.png)' } }]
+};
+
+function createFacade(options = {}) {
+    const requests = [];
+    const transport = async request => {
+        if (request.purpose === 'media') {
+            return new Response(Buffer.from('iVBORw0KGgo=', 'base64'), { status: 200, headers: { 'content-type': 'image/png' } });
+        }
+        requests.push(request);
+        const body = request.targetUrl.endsWith('/v1/chat/completions') ? CHAT_RESULT : GEMINI_RESULT;
+        return new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } });
+    };
+    const facade = createOpenAIFacade({ transport, baseUrl: 'https://upstream.test', keyProfile: 'default', ...options });
+    return { facade, requests };
+}
+
+test('未配置模型时默认使用支持分辨率的 Gemini 模型，size 映射为 imageSize', async () => {
+    const { facade, requests } = createFacade();
+    assert.equal(facade.listModels().data[0].id, 'gemini-2.5-flash-image-preview');
+
+    const result = await facade.imagesGenerations({ prompt: '一只猫', size: '1792x1024' });
+    assert.equal(result.data[0].b64_json, 'iVBORw0KGgo=');
+    assert.equal(requests[0].targetUrl, 'https://upstream.test/v1beta/models/gemini-2.5-flash-image-preview:generateContent');
+    assert.deepEqual(requests[0].body.generationConfig.imageConfig, { imageSize: '2K' });
+});
+
+test('配置的模型按适配规则选择协议，不再强制走 Gemini', async () => {
+    const { facade, requests } = createFacade({ model: 'nano-banana-2-4k' });
+    const completion = await facade.chatCompletions({ messages: [{ role: 'user', content: '画一只猫' }] });
+    assert.equal(requests[0].targetUrl, 'https://upstream.test/v1/chat/completions');
+    assert.match(completion.choices[0].message.content, /data:image\/png;base64,iVBORw0KGgo=/);
+});
+
+test('模型无法表达请求的分辨率时返回 400，不静默忽略', async () => {
+    const { facade, requests } = createFacade({ model: 'nano-banana-2-4k' });
+    await assert.rejects(
+        facade.imagesGenerations({ prompt: '一只猫', size: '1024x1024' }),
+        error => error instanceof OpenAIFacadeError && error.status === 400 && error.code === 'unsupported_size'
+    );
+    await assert.rejects(
+        facade.chatCompletions({ model: 'some-other-model', image_size: '4k', messages: [{ role: 'user', content: '画一只猫' }] }),
+        error => error instanceof OpenAIFacadeError && error.status === 400
+    );
+    assert.equal(requests.length, 0);
+
+    // 不传 size 时照常生成
+    await facade.imagesGenerations({ prompt: '一只猫' });
+    assert.equal(requests.length, 1);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUpstreamLimiter } = require('../server/rate-limiter');
+const { Response } = require('../server/http-client');
+const api = require('../api');
+
+const ORIGIN = 'https://upstream.test';
+
+test('排队中的 acquire 被取消时以 AbortError 拒绝，并让出队列位置', { timeout: 5000 }, async () => {
+    const limiter = createUpstreamLimiter({ maxConcurrentPerOrigin: 1, maxConcurrentPerKey: 0, ratePerMinute: 0 });
+    const release = await limiter.acquire({ origin: ORIGIN });
+
+    const controller = new AbortController();
+    const queued = limiter.acquire({ origin: ORIGIN, signal: controller.signal });
+    const next = limiter.acquire({ origin: ORIGIN });
+    controller.abort();
+    await assert.rejects(queued, error => error instanceof Error && error.name === 'AbortError');
+
+    release();
+    const releaseNext = await next;
+    releaseNext();
+
+    const aborted = new AbortController();
+    aborted.abort();
+    await assert.rejects(limiter.acquire({ origin: ORIGIN, signal: aborted.signal }), { name: 'AbortError' });
+});
+
+test('等待重试期间取消生成，请求以「生成已取消」结束而不是抛出未捕获异常', { timeout: 5000 }, async () => {
+    let requests = 0;
+    api.setProxyTransport(async () => {
+        requests++;
+        return new Response('{}', { status: 503, headers: { 'retry-after': '60' } });
+    });
+
+    const controller = new AbortController();
+    const pending = api.generateImageWithGemini({
+        keyProfile: 'default',
+        baseUrl: ORIGIN,
+        model: 'gemini-test',
+        newParts: [{ text: '一只猫' }],
+        stream: false,
+        signal: controller.signal,
+        onProgress: (percent, message) => {
+            if (message.includes('正在重试')) setImmediate(() => controller.abort());
+        }
+    });
+
+    await assert.rejects(pending, /生成已取消/);
+    assert.equal(requests, 1);
+});
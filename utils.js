@@ -112,6 +112,32 @@ function showNotification(message, type = 'info') {
     }, 3000);
 }
 
+/**
+ * 请求系统通知权限；只在用户操作（如点击生成）时调用，浏览器才会弹出授权提示
+ */
+function requestDesktopNotificationPermission() {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'default') return;
+    Notification.requestPermission().catch(() => {});
+}
+
+/**
+ * 显示系统通知（浏览器 Notification API，Electron 中为原生通知）
+ * @param {string} title - 标题
+ * @param {{ body?: string, tag?: string, onClick?: Function }} options - onClick 在点击通知后调用
+ * @returns {Notification|null} 不支持或未授权时返回 null
+ */
+function showDesktopNotification(title, { body = '', tag, onClick } = {}) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return null;
+
+    const notification = new Notification(title, { body, tag });
+    notification.onclick = () => {
+        window.focus();
+        notification.close();
+        if (onClick) onClick();
+    };
+    return notification;
+}
+
 /**
  * 格式化文件大小
  * @param {number} bytes - 字节数